@@ -0,0 +1,16 @@
+import fs from 'fs';
+import * as sass from 'sass';
+
+// Compiles the stylesheet into a module, so the <tiny-dices> element can load it into its shadow root
+const { css } = sass.compile('src/index.scss', { style: 'compressed' });
+
+fs.writeFileSync(
+  'src/DiceStyles.mjs',
+  `// Generated from index.scss by build-styles.mjs. Run \`npm run build:styles\` instead of editing it.
+
+/** The compiled TinyDices stylesheet. */
+const DICE_STYLES = ${JSON.stringify(css)};
+
+export default DICE_STYLES;
+`,
+);
@@ -18,7 +18,8 @@ function getAllInputFiles(dir = 'src') {
   return files;
 }
 
-const inputFiles = getAllInputFiles();
+// The CLI runs on import, so it is only shipped as the "bin" entry (dist/cli.mjs)
+const inputFiles = getAllInputFiles().filter((file) => file !== path.join('src', 'cli.mjs'));
 
 // Prepare Plugins
 const plugins = [
@@ -0,0 +1,63 @@
+/**
+ * TinyDices events forwarded by the element and the framework adapters, with their payload.
+ */
+const FORWARDED_EVENTS = Object.freeze([
+  'rollstart',
+  'diestop',
+  'rollend',
+  'reroll',
+  'throw',
+  'lockchange',
+  'restore',
+  'skinchange',
+  'themechange',
+]);
+
+/**
+ * Skins the framework adapters accept as props.
+ */
+const SKIN_PROPS = Object.freeze([
+  'bgSkin',
+  'bgImg',
+  'textSkin',
+  'borderSkin',
+  'selectionBgSkin',
+  'selectionTextSkin',
+]);
+
+/**
+ * @typedef {Object} SkinProps
+ * @property {string|null} [bgSkin] - Background color or gradient of the dice.
+ * @property {string|null} [bgImg] - Background image of the dice, as a `data:` URL.
+ * @property {string|null} [textSkin] - Color of the dice numbers.
+ * @property {string|null} [borderSkin] - Border of the dice faces.
+ * @property {string|null} [selectionBgSkin] - Background of selected dice.
+ * @property {string|null} [selectionTextSkin] - Text color of selected dice.
+ */
+
+/**
+ * Applies the skin props that changed since the last call, then repaints the dice already rendered.
+ *
+ * Props that were never given are left alone, so skins set through the instance itself are kept.
+ * A prop that goes back to `undefined` or `null` resets its skin to the default.
+ *
+ * @param {import('./index.mjs').default} dice - The TinyDices instance.
+ * @param {SkinProps} props - The current props.
+ * @param {SkinProps} applied - The props of the last call. Updated in place.
+ * @returns {boolean} Whether any skin changed.
+ */
+const applySkinProps = (dice, props, applied) => {
+  let changed = false;
+  for (const name of SKIN_PROPS) {
+    const key = /** @type {keyof SkinProps} */ (name);
+    const value = props[key];
+    if (value === applied[key]) continue;
+    applied[key] = value;
+    dice[key] = value ?? null;
+    changed = true;
+  }
+  if (changed) dice.updateDicesSkin();
+  return changed;
+};
+
+export { FORWARDED_EVENTS, SKIN_PROPS, applySkinProps };
@@ -0,0 +1,124 @@
+/**
+ * A face of a custom-faced die.
+ * @typedef {Object} DiceFace
+ * @property {string} label - Name of the face, used in results and screen reader labels.
+ * @property {number|null} value - Value added to the totals, or null for symbol faces.
+ * @property {string} [icon] - Short text drawn instead of the label, such as `+` or an emoji.
+ * @property {string} [image] - URL of an image drawn on the face.
+ */
+
+/**
+ * A face given by the user: a full face object, a number (used as label and value)
+ * or a string (used as label of a symbol face).
+ * @typedef {{ label: string, value?: number|null, icon?: string, image?: string }|number|string} DiceFaceInput
+ */
+
+/**
+ * Built-in face sets, available in every TinyDices instance.
+ *
+ * The Fudge (Fate) faces are ordered so opposite cube faces hold `−` and `+`.
+ *
+ * @type {Readonly<Record<string, ReadonlyArray<Readonly<DiceFace>>>>}
+ */
+const BUILT_IN_FACE_SETS = Object.freeze({
+  fudge: Object.freeze(
+    [
+      { label: 'minus', value: -1, icon: '−' },
+      { label: 'minus', value: -1, icon: '−' },
+      { label: 'blank', value: 0, icon: '' },
+      { label: 'blank', value: 0, icon: '' },
+      { label: 'plus', value: 1, icon: '+' },
+      { label: 'plus', value: 1, icon: '+' },
+    ].map((face) => Object.freeze(face)),
+  ),
+});
+
+/** Maximum amount of faces a custom die can have. */
+const MAX_FACES = 1000;
+
+/**
+ * Checks if an image URL is safe to be used as the source of an `<img>` element.
+ * Script URLs and non-image `data:` URLs are rejected.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isSafeImageUrl = (url) =>
+  url.trim().length > 0 && !/^\s*(javascript|vbscript):|^\s*data:(?!image\/)/i.test(url);
+
+/**
+ * Validates a list of faces and converts it into `DiceFace` objects.
+ *
+ * @param {*} faces - The faces to validate.
+ * @param {string} where - Name of the calling method, used in error messages.
+ * @returns {DiceFace[]}
+ * @throws {Error} If the list is empty, too large, or has an invalid face.
+ */
+const normalizeFaces = (faces, where) => {
+  if (!Array.isArray(faces) || faces.length < 1)
+    throw new Error(`${where}: faces must be a non-empty array.`);
+  if (faces.length > MAX_FACES)
+    throw new Error(`${where}: a die can have at most ${MAX_FACES} faces.`);
+
+  return faces.map((face, index) => {
+    if (typeof face === 'number') {
+      if (!Number.isFinite(face)) throw new Error(`${where}: face ${index} must be finite.`);
+      return { label: String(face), value: face };
+    }
+    if (typeof face === 'string') {
+      if (face.length < 1) throw new Error(`${where}: face ${index} must have a label.`);
+      return { label: face, value: null };
+    }
+    if (!face || typeof face !== 'object' || Array.isArray(face))
+      throw new Error(`${where}: face ${index} must be an object, a number or a string.`);
+    if (typeof face.label !== 'string' || face.label.length < 1)
+      throw new Error(`${where}: face ${index} must have a label.`);
+
+    /** @type {DiceFace} */
+    const result = { label: face.label, value: null };
+    if (face.value !== undefined && face.value !== null) {
+      if (typeof face.value !== 'number' || !Number.isFinite(face.value))
+        throw new Error(`${where}: face ${index} has an invalid value.`);
+      result.value = face.value;
+    }
+    if (face.icon !== undefined) {
+      if (typeof face.icon !== 'string')
+        throw new Error(`${where}: face ${index} has an invalid icon.`);
+      result.icon = face.icon;
+    }
+    if (face.image !== undefined) {
+      if (typeof face.image !== 'string' || !isSafeImageUrl(face.image))
+        throw new Error(`${where}: face ${index} has an invalid image URL.`);
+      result.image = face.image;
+    }
+    return result;
+  });
+};
+
+/**
+ * Builds the input text of a list of dice, such as `6,20,4d[fudge]`.
+ * Consecutive custom-faced dice of the same face set are grouped.
+ *
+ * @param {Array<number|string>} dice - The max value of each die, or the face set name of custom-faced dice.
+ * @returns {string}
+ */
+const describeDice = (dice) => {
+  const tokens = [];
+  for (let i = 0; i < dice.length; ) {
+    const die = dice[i];
+    if (typeof die === 'number') {
+      tokens.push(String(die));
+      i++;
+      continue;
+    }
+    let count = 0;
+    while (i < dice.length && dice[i] === die) {
+      count++;
+      i++;
+    }
+    tokens.push(`${count}d[${die}]`);
+  }
+  return tokens.join(',');
+};
+
+export { BUILT_IN_FACE_SETS, normalizeFaces, describeDice };
@@ -0,0 +1,25 @@
+/** Shortest time between two face changes, in milliseconds. */
+const FLICKER_MIN_DELAY = 30;
+
+/**
+ * Gets the time until the next face change of a spinning die.
+ *
+ * Faces change faster at the start of the spin and slow down as the die decelerates,
+ * while the amount of changes over the whole spin stays close to `changes`.
+ * Infinite spins change their faces at a steady rate.
+ *
+ * @param {number} elapsed - Time since the spin started, in milliseconds.
+ * @param {number} duration - Length of the spin, in milliseconds.
+ * @param {number} changes - Amount of face changes during one spin of `duration`.
+ * @param {boolean} [infinite=false] - Whether the die spins until it is stopped manually.
+ * @returns {number|null} The delay in milliseconds, or null once the spin is over.
+ */
+const getFlickerDelay = (elapsed, duration, changes, infinite = false) => {
+  const base = duration / changes;
+  if (infinite) return Math.max(base, FLICKER_MIN_DELAY);
+  if (elapsed >= duration) return null;
+  const progress = Math.max(elapsed, 0) / duration;
+  return Math.max(base * (0.5 + 1.5 * progress * progress), FLICKER_MIN_DELAY);
+};
+
+export { FLICKER_MIN_DELAY, getFlickerDelay };
@@ -0,0 +1,320 @@
+import { describeDice } from './DiceFaces.mjs';
+
+/**
+ * A die of a formatted roll. Every flag is always present, so the JSON schema stays stable.
+ * @typedef {Object} RollSummaryDie
+ * @property {number} max - Maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {string|null} label - The face label of a custom-faced die, or null.
+ * @property {boolean} dropped - True if the die was removed by a keep/drop modifier.
+ * @property {boolean} exploded - True if the die triggered an explosion.
+ * @property {boolean} fromExplosion - True if the die was added by an explosion.
+ * @property {boolean} critical - True if the die rolled its highest face. Always false for custom-faced dice.
+ * @property {boolean} fumble - True if the die rolled its lowest face (1, or 0 when `canZero` is used). Always false for custom-faced dice.
+ */
+
+/**
+ * The common shape every roll result is converted to before being formatted.
+ * @typedef {Object} RollSummary
+ * @property {number} version - Version of the JSON schema.
+ * @property {string} input - The dice expression or the comma-separated list of max values.
+ * @property {boolean} canZero - Whether 0 was a valid result.
+ * @property {RollSummaryDie[]} dice - Every rolled die, including dropped and exploded ones.
+ * @property {number[]} modifiers - Signed flat modifiers of the roll.
+ * @property {number} total - The grand total of the roll.
+ * @property {number|null} seed - The seed used by the roll, or null if it was not seeded.
+ */
+
+/**
+ * Pieces of a formatted roll, given to the `template` hook.
+ * Strings are already escaped for the output format.
+ * @typedef {Object} FormatParts
+ * @property {RollSummary} roll - The roll being formatted.
+ * @property {string} input - The formatted input.
+ * @property {string[]} dice - The formatted dice, in order.
+ * @property {string} modifiers - The formatted modifiers, or an empty string if there are none.
+ * @property {string} total - The formatted total.
+ */
+
+/**
+ * @typedef {Object} FormatOptions
+ * @property {boolean} [canZero=false] - Whether 0 was a valid result, for results that do not record it (arrays of dice).
+ * @property {(parts: FormatParts) => any} [template] - Builds the output from its pieces. The JSON formatter serializes the returned value.
+ * @property {number} [space] - Indentation passed to `JSON.stringify` by the JSON formatter.
+ */
+
+/**
+ * Any value returned by the roll methods, a history entry or a `RollSummary`.
+ * @typedef {import('./index.mjs').DiceResult|import('./index.mjs').DiceResult[]|import('./index.mjs').NotationRollResult|Omit<import('./DiceHistory.mjs').HistoryEntry, 'id'|'timestamp'>|RollSummary} FormattableRoll
+ */
+
+/** Version of the JSON schema created by `formatRollJSON`. */
+const SUMMARY_VERSION = 1;
+
+/**
+ * Checks if a value is a finite number.
+ *
+ * @param {*} value
+ * @returns {value is number}
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Escapes text so it can be placed inside HTML elements and attributes.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Escapes the characters that have a meaning in Markdown.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeMarkdown = (value) => value.replace(/[\\`*_~[\]|<>]/g, '\\$&');
+
+/**
+ * Converts any roll result into a `RollSummary`.
+ *
+ * @param {FormattableRoll} roll - The value returned by a roll method, a history entry or a `RollSummary`.
+ * @param {boolean} [canZero=false] - Whether 0 was a valid result, for results that do not record it.
+ * @returns {RollSummary}
+ * @throws {Error} If the value is not a roll result.
+ */
+const summarizeRoll = (roll, canZero = false) => {
+  /** @type {any} */
+  const data = roll;
+  /** @type {any[]} */
+  let dice;
+  let input;
+  /** @type {number[]} */
+  let modifiers = [];
+  let total;
+  let seed = null;
+  let zero = canZero;
+
+  if (Array.isArray(data) || (data && isNumber(data.result))) {
+    dice = Array.isArray(data) ? data : [data];
+    input = describeDice(
+      dice.map((die) => (typeof die.label === 'string' ? (die.faceSet ?? 'custom') : die.max)),
+    );
+    total = dice.reduce((sum, die) => sum + die.result, 0);
+    seed = dice.length > 0 ? dice[0].seed : null;
+  } else if (data && Array.isArray(data.dice) && isNumber(data.total)) {
+    dice = data.dice;
+    input = typeof data.expression === 'string' ? data.expression : data.input;
+    modifiers = Array.isArray(data.modifiers) ? data.modifiers : [];
+    total = data.total;
+    seed = data.seed;
+    zero = !!data.canZero;
+  } else throw new Error('formatRoll: the value is not a roll result.');
+
+  if (typeof input !== 'string') throw new Error('formatRoll: the roll has no input.');
+  return {
+    version: SUMMARY_VERSION,
+    input,
+    canZero: zero,
+    dice: dice.map((die) => {
+      if (!isNumber(die.max) || !isNumber(die.result))
+        throw new Error('formatRoll: every die must have a numeric max and result.');
+      const low = zero ? 0 : 1;
+      const label = typeof die.label === 'string' ? die.label : null;
+      return {
+        max: die.max,
+        result: die.result,
+        label,
+        dropped: !!die.dropped,
+        exploded: !!die.exploded,
+        fromExplosion: !!die.fromExplosion,
+        critical: label === null && die.max >= low && die.result === die.max,
+        fumble: label === null && die.max > low && die.result === low,
+      };
+    }),
+    modifiers: [...modifiers],
+    total,
+    seed: isNumber(seed) ? seed : null,
+  };
+};
+
+/**
+ * Gets the names of the markers of a die.
+ *
+ * @param {RollSummaryDie} die
+ * @returns {string[]}
+ */
+const getDieMarks = (die) => {
+  const marks = [];
+  if (die.critical) marks.push('critical');
+  if (die.fumble) marks.push('fumble');
+  if (die.exploded) marks.push('exploded');
+  if (die.fromExplosion) marks.push('from explosion');
+  if (die.dropped) marks.push('dropped');
+  return marks;
+};
+
+/**
+ * Formats the modifiers of a roll, such as ` + 3 - 1`.
+ *
+ * @param {number[]} modifiers
+ * @returns {string}
+ */
+const formatModifiers = (modifiers) =>
+  modifiers.map((modifier) => (modifier < 0 ? ` - ${-modifier}` : ` + ${modifier}`)).join('');
+
+/**
+ * Runs the template hook, or the default layout.
+ *
+ * @param {FormatParts} parts
+ * @param {FormatOptions} options
+ * @param {(parts: FormatParts) => any} layout - The default layout.
+ * @returns {any}
+ */
+const applyTemplate = (parts, options, layout) =>
+  typeof options.template === 'function' ? options.template(parts) : layout(parts);
+
+/**
+ * Formats a roll as a single line, such as `2d6+3 → [4, 2] + 3 = 9`.
+ *
+ * Dropped dice are shown in parentheses, exploded dice are followed by `!`,
+ * other critical dice by `↑` and fumbles by `↓`.
+ *
+ * @param {FormattableRoll} roll - The value returned by a roll method, a history entry or a `RollSummary`.
+ * @param {FormatOptions} [options={}]
+ * @returns {string}
+ * @throws {Error} If the value is not a roll result.
+ */
+const formatRollText = (roll, options = {}) => {
+  const summary = summarizeRoll(roll, options.canZero);
+  return applyTemplate(
+    {
+      roll: summary,
+      input: summary.input,
+      dice: summary.dice.map((die) => {
+        const value = `${die.label ?? die.result}${die.exploded ? '!' : ''}${die.critical && !die.exploded ? '↑' : ''}${die.fumble ? '↓' : ''}`;
+        return die.dropped ? `(${value})` : value;
+      }),
+      modifiers: formatModifiers(summary.modifiers),
+      total: String(summary.total),
+    },
+    options,
+    (parts) => `${parts.input} → [${parts.dice.join(', ')}]${parts.modifiers} = ${parts.total}`,
+  );
+};
+
+/**
+ * Formats a roll as a Markdown breakdown, with one list item per die.
+ *
+ * Dropped dice are struck through, critical dice are bold and every marker is listed after the value.
+ *
+ * @param {FormattableRoll} roll - The value returned by a roll method, a history entry or a `RollSummary`.
+ * @param {FormatOptions} [options={}]
+ * @returns {string}
+ * @throws {Error} If the value is not a roll result.
+ */
+const formatRollMarkdown = (roll, options = {}) => {
+  const summary = summarizeRoll(roll, options.canZero);
+  return applyTemplate(
+    {
+      roll: summary,
+      input: escapeMarkdown(summary.input),
+      dice: summary.dice.map((die) => {
+        let value = escapeMarkdown(die.label ?? String(die.result));
+        if (die.critical) value = `**${value}**`;
+        if (die.dropped) value = `~~${value}~~`;
+        const marks = getDieMarks(die);
+        const name = die.label === null ? `d${die.max}` : 'Die';
+        return `${name}: ${value}${marks.length > 0 ? ` _(${marks.join(', ')})_` : ''}`;
+      }),
+      modifiers:
+        summary.modifiers.length > 0
+          ? escapeMarkdown(formatModifiers(summary.modifiers).trim())
+          : '',
+      total: String(summary.total),
+    },
+    options,
+    (parts) =>
+      [
+        `**${parts.input}** → **${parts.total}**`,
+        ...parts.dice.map((die) => `- ${die}`),
+        ...(parts.modifiers ? [`- Modifiers: ${parts.modifiers}`] : []),
+      ].join('\n'),
+  );
+};
+
+/**
+ * Formats a roll as HTML, with one `<span>` per die.
+ *
+ * Every text is escaped. Dice spans get the `dice-roll-die` class, plus `dropped`, `exploded`,
+ * `from-explosion`, `critical` and `fumble` when they apply.
+ *
+ * @param {FormattableRoll} roll - The value returned by a roll method, a history entry or a `RollSummary`.
+ * @param {FormatOptions} [options={}]
+ * @returns {string}
+ * @throws {Error} If the value is not a roll result.
+ */
+const formatRollHTML = (roll, options = {}) => {
+  const summary = summarizeRoll(roll, options.canZero);
+  return applyTemplate(
+    {
+      roll: summary,
+      input: `<span class="dice-roll-input">${escapeHtml(summary.input)}</span>`,
+      dice: summary.dice.map((die) => {
+        const classes = ['dice-roll-die'];
+        if (die.dropped) classes.push('dropped');
+        if (die.exploded) classes.push('exploded');
+        if (die.fromExplosion) classes.push('from-explosion');
+        if (die.critical) classes.push('critical');
+        if (die.fumble) classes.push('fumble');
+        const title = [die.label === null ? `d${die.max}` : die.label, ...getDieMarks(die)].join(
+          ', ',
+        );
+        return `<span class="${classes.join(' ')}" data-max="${escapeHtml(String(die.max))}" title="${escapeHtml(title)}">${escapeHtml(die.label ?? String(die.result))}</span>`;
+      }),
+      modifiers:
+        summary.modifiers.length > 0
+          ? ` <span class="dice-roll-modifiers">${escapeHtml(formatModifiers(summary.modifiers).trim())}</span>`
+          : '',
+      total: `<span class="dice-roll-total">${escapeHtml(String(summary.total))}</span>`,
+    },
+    options,
+    (parts) =>
+      `<span class="dice-roll">${parts.input} → [${parts.dice.join(', ')}]${parts.modifiers} = ${parts.total}</span>`,
+  );
+};
+
+/**
+ * Formats a roll as a JSON string following the `RollSummary` schema.
+ *
+ * The `template` hook receives the pieces of the text format and its return value is serialized.
+ *
+ * @param {FormattableRoll} roll - The value returned by a roll method, a history entry or a `RollSummary`.
+ * @param {FormatOptions} [options={}]
+ * @returns {string}
+ * @throws {Error} If the value is not a roll result.
+ */
+const formatRollJSON = (roll, options = {}) => {
+  const summary = summarizeRoll(roll, options.canZero);
+  const value =
+    typeof options.template === 'function'
+      ? formatRollText(summary, { template: options.template })
+      : summary;
+  return JSON.stringify(value, null, options.space);
+};
+
+export {
+  summarizeRoll,
+  formatRollText,
+  formatRollMarkdown,
+  formatRollHTML,
+  formatRollJSON,
+  escapeHtml,
+  escapeMarkdown,
+};
@@ -0,0 +1,293 @@
+/**
+ * @typedef {[number, number, number]} Vector3
+ */
+
+/**
+ * @typedef {Object} DiceShapeFace
+ * @property {Vector3} center - Center of the face, in pixels from the die center.
+ * @property {Vector3} normal - Outward unit normal of the face.
+ * @property {Vector3} right - Unit vector pointing to the right of the face text.
+ * @property {Vector3} down - Unit vector pointing below the face text.
+ * @property {Array<[number, number]>} polygon - Face corners in pixels, relative to the center (right, down).
+ * @property {number} opposite - Index of the parallel face on the other side, or -1 if there is none.
+ */
+
+/**
+ * @typedef {Object} DiceShape
+ * @property {string} name - Short shape name, such as `d20`.
+ * @property {number} size - Width and height (px) of the square element used by each face.
+ * @property {DiceShapeFace[]} faces - The faces of the shape.
+ */
+
+const PHI = (1 + Math.sqrt(5)) / 2;
+const EPSILON = 1e-6;
+
+/** @param {Vector3} a @param {Vector3} b @returns {Vector3} */
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+/** @param {Vector3} a @param {Vector3} b @returns {number} */
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+/** @param {Vector3} a @param {Vector3} b @returns {Vector3} */
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+/** @param {Vector3} a @param {number} value @returns {Vector3} */
+const scale = (a, value) => [a[0] * value, a[1] * value, a[2] * value];
+/** @param {Vector3} a @returns {Vector3} */
+const normalize = (a) => scale(a, 1 / Math.sqrt(dot(a, a)));
+
+/**
+ * Vertices of each supported shape, keyed by face count.
+ *
+ * @type {Record<number, () => Vector3[]>}
+ */
+const SHAPE_VERTICES = {
+  // Tetrahedron
+  4: () => [
+    [1, 1, 1],
+    [1, -1, -1],
+    [-1, 1, -1],
+    [-1, -1, 1],
+  ],
+
+  // Octahedron
+  8: () => [
+    [1, 0, 0],
+    [-1, 0, 0],
+    [0, 1, 0],
+    [0, -1, 0],
+    [0, 0, 1],
+    [0, 0, -1],
+  ],
+
+  // Pentagonal trapezohedron (the apex height keeps every kite planar)
+  10: () => {
+    const ring = 0.1;
+    const cos36 = Math.cos(Math.PI / 5);
+    const apex = (ring * (1 + cos36)) / (1 - cos36);
+    /** @type {Vector3[]} */
+    const vertices = [
+      [0, 0, apex],
+      [0, 0, -apex],
+    ];
+    for (let i = 0; i < 10; i++) {
+      const angle = (i * Math.PI) / 5;
+      vertices.push([Math.cos(angle), Math.sin(angle), i % 2 === 0 ? ring : -ring]);
+    }
+    return vertices;
+  },
+
+  // Dodecahedron
+  12: () => {
+    /** @type {Vector3[]} */
+    const vertices = [];
+    for (const x of [-1, 1])
+      for (const y of [-1, 1]) {
+        for (const z of [-1, 1]) vertices.push([x, y, z]);
+        vertices.push([0, x / PHI, y * PHI]);
+        vertices.push([x / PHI, y * PHI, 0]);
+        vertices.push([x * PHI, 0, y / PHI]);
+      }
+    return vertices;
+  },
+
+  // Icosahedron
+  20: () => {
+    /** @type {Vector3[]} */
+    const vertices = [];
+    for (const x of [-1, 1])
+      for (const y of [-1, 1]) {
+        vertices.push([0, x, y * PHI]);
+        vertices.push([x, y * PHI, 0]);
+        vertices.push([x * PHI, 0, y]);
+      }
+    return vertices;
+  },
+};
+
+/**
+ * Distance (px) from the die center to its farthest corner, keyed by face count.
+ *
+ * @type {Record<number, number>}
+ */
+const SHAPE_RADIUS = { 4: 75, 8: 62, 10: 60, 12: 60, 20: 62 };
+
+/** @type {Map<number, DiceShape>} */
+const shapeCache = new Map();
+
+/**
+ * Builds the faces of a convex shape from its vertices.
+ *
+ * Every plane passing through three vertices that keeps all the other vertices behind it is a face.
+ *
+ * @param {Vector3[]} vertices - Shape vertices, already scaled in pixels.
+ * @returns {DiceShapeFace[]}
+ */
+const buildFaces = (vertices) => {
+  /** @type {DiceShapeFace[]} */
+  const faces = [];
+
+  for (let a = 0; a < vertices.length; a++)
+    for (let b = a + 1; b < vertices.length; b++)
+      for (let c = b + 1; c < vertices.length; c++) {
+        let normal = cross(sub(vertices[b], vertices[a]), sub(vertices[c], vertices[a]));
+        if (dot(normal, normal) < EPSILON) continue;
+        normal = normalize(normal);
+        const offset = dot(normal, vertices[a]);
+        if (offset < 0) normal = scale(normal, -1);
+        const distance = Math.abs(offset);
+
+        // All the vertices must stay behind the plane
+        if (vertices.some((vertex) => dot(normal, vertex) > distance + EPSILON)) continue;
+        if (faces.some((face) => dot(face.normal, normal) > 1 - EPSILON)) continue;
+
+        const corners = vertices.filter(
+          (vertex) => Math.abs(dot(normal, vertex) - distance) < EPSILON * 100,
+        );
+        /** @type {Vector3} */
+        const center = scale(
+          corners.reduce((sum, vertex) => [
+            sum[0] + vertex[0],
+            sum[1] + vertex[1],
+            sum[2] + vertex[2],
+          ]),
+          1 / corners.length,
+        );
+
+        // The text points to the farthest corner, like the tip of a d10 kite
+        const far = corners.reduce((best, vertex) => {
+          const toVertex = sub(vertex, center);
+          const toBest = sub(best, center);
+          return dot(toVertex, toVertex) > dot(toBest, toBest) + EPSILON ? vertex : best;
+        });
+        const down = normalize(sub(center, far));
+        const right = cross(down, normal);
+
+        /** @type {Array<[number, number]>} */
+        const polygon = corners
+          .map((vertex) => {
+            const local = sub(vertex, center);
+            return /** @type {[number, number]} */ ([dot(local, right), dot(local, down)]);
+          })
+          .sort((p1, p2) => Math.atan2(p1[1], p1[0]) - Math.atan2(p2[1], p2[0]));
+
+        faces.push({ center, normal, right, down, polygon, opposite: -1 });
+      }
+
+  // Parallel faces
+  faces.forEach((face, index) => {
+    face.opposite = faces.findIndex((other) => dot(face.normal, other.normal) < -1 + EPSILON);
+    if (face.opposite === index) face.opposite = -1;
+  });
+  return faces;
+};
+
+/**
+ * Gets the geometry of a standard polyhedral die.
+ *
+ * Supported face counts are 4 (tetrahedron), 8 (octahedron), 10 (pentagonal trapezohedron),
+ * 12 (dodecahedron) and 20 (icosahedron). The six-faced cube is rendered by the default cube logic.
+ *
+ * @param {number} faceCount - Amount of faces of the die.
+ * @returns {DiceShape|null} The shape geometry, or null if the face count has no polyhedral shape.
+ */
+const getDiceShape = (faceCount) => {
+  const cached = shapeCache.get(faceCount);
+  if (cached) return cached;
+
+  const getVertices = SHAPE_VERTICES[faceCount];
+  if (typeof getVertices !== 'function') return null;
+
+  const vertices = getVertices();
+  const farthest = Math.max(...vertices.map((vertex) => Math.sqrt(dot(vertex, vertex))));
+  const faces = buildFaces(
+    vertices.map((vertex) => scale(vertex, SHAPE_RADIUS[faceCount] / farthest)),
+  );
+
+  let size = 0;
+  for (const face of faces)
+    for (const [x, y] of face.polygon) size = Math.max(size, Math.abs(x) * 2, Math.abs(y) * 2);
+
+  /** @type {DiceShape} */
+  const shape = { name: `d${faceCount}`, size: Math.ceil(size), faces };
+  shapeCache.set(faceCount, shape);
+  return shape;
+};
+
+/**
+ * Rounds a matrix value to keep the generated CSS short.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 10000) / 10000 || 0;
+
+/**
+ * Gets the CSS transform that places a face element on the shape.
+ *
+ * @param {DiceShapeFace} face - The face to place.
+ * @returns {string} A `matrix3d(...)` transform.
+ */
+const getFaceTransform = (face) => {
+  const { right, down, normal, center } = face;
+  return `matrix3d(${[...right, 0, ...down, 0, ...normal, 0, ...center, 1].map(round).join(', ')})`;
+};
+
+/**
+ * Gets the CSS transform that rotates the whole shape so the given face looks at the viewer.
+ *
+ * @param {DiceShapeFace} face - The face to show.
+ * @returns {string} A `matrix3d(...)` transform.
+ */
+const getFrontTransform = (face) => {
+  const { right, down, normal } = face;
+  const values = [
+    [right[0], down[0], normal[0], 0],
+    [right[1], down[1], normal[1], 0],
+    [right[2], down[2], normal[2], 0],
+    [0, 0, 0, 1],
+  ];
+  return `matrix3d(${values.flat().map(round).join(', ')})`;
+};
+
+/**
+ * Gets the CSS clip-path that cuts a square face element into the face polygon.
+ *
+ * @param {DiceShapeFace} face - The face to cut.
+ * @param {number} size - Width and height (px) of the face element.
+ * @returns {string} A `polygon(...)` clip-path.
+ */
+const getFaceClipPath = (face, size) =>
+  `polygon(${face.polygon
+    .map(([x, y]) => `${round(x + size / 2)}px ${round(y + size / 2)}px`)
+    .join(', ')})`;
+
+/**
+ * Assigns the die values to the faces of a shape.
+ *
+ * Like real dice, values on parallel faces always add up to the same number
+ * (the lowest value plus the highest value).
+ *
+ * @param {DiceShape} shape - The shape to number.
+ * @param {number[]} values - Every possible value of the die, one per face.
+ * @returns {number[]} The value of each face, in face order.
+ */
+const assignFaceValues = (shape, values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  /** @type {number[]} */
+  const result = new Array(shape.faces.length).fill(NaN);
+  let low = 0;
+  let high = sorted.length - 1;
+
+  shape.faces.forEach((face, index) => {
+    if (!Number.isNaN(result[index])) return;
+    if (face.opposite > -1 && Number.isNaN(result[face.opposite])) {
+      result[index] = sorted[low++];
+      result[face.opposite] = sorted[high--];
+    } else result[index] = sorted[low++];
+  });
+  return result;
+};
+
+export { getDiceShape, getFaceTransform, getFrontTransform, getFaceClipPath, assignFaceValues };
@@ -0,0 +1,196 @@
+import { isJsonObject } from 'tiny-essentials';
+
+/**
+ * A named group of dice inside the tray.
+ * @typedef {Object} DiceGroup
+ * @property {string} name - The name of the group.
+ * @property {string|null} label - The visible label of the group, or null.
+ * @property {import('./index.mjs').DiceSkin|null} skin - Skin overrides for the dice of the group.
+ * @property {number} modifier - Sum of the flat modifiers of the last expression rolled in the group.
+ * @property {HTMLElement|null} element - The `.dice-group` element, or null in headless mode.
+ * @property {HTMLElement|null} diceElement - The `.dice-group-dice` element holding the dice, or null in headless mode.
+ * @property {HTMLElement|null} labelElement - The `.dice-group-label` element, or null in headless mode.
+ * @property {HTMLElement|null} totalElement - The `.dice-group-total` element, or null in headless mode.
+ */
+
+/**
+ * The public information of a dice group.
+ * @typedef {Object} DiceGroupInfo
+ * @property {string} name - The name of the group.
+ * @property {string|null} label - The visible label of the group, or null.
+ * @property {import('./index.mjs').DiceSkin|null} skin - Skin overrides for the dice of the group.
+ * @property {import('./index.mjs').DiceResult[]} dice - The dice of the group, in tray order.
+ * @property {number} subtotal - Sum of the kept dice of the group plus the flat modifiers of its last expression.
+ */
+
+/**
+ * Settings of a dice group.
+ * @typedef {Object} DiceGroupOptions
+ * @property {string|null} [label] - The visible label of the group, or null for none.
+ * @property {import('./index.mjs').DiceSkin|null} [skin] - Skin overrides for the dice of the group, or null for none.
+ */
+
+/**
+ * A die of a group, with the state needed to show its subtotal.
+ * @typedef {Object} GroupDie
+ * @property {import('./index.mjs').DiceResult & { dropped?: boolean }} die - The current result of the die.
+ * @property {boolean} stopped - Whether the die has stopped spinning.
+ */
+
+/**
+ * Validates the name of a dice group.
+ *
+ * @param {*} name - The name to validate.
+ * @param {string} where - Name of the calling method, used in error messages.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is not a non-empty string.
+ */
+const normalizeGroupName = (name, where) => {
+  if (typeof name !== 'string' || name.trim().length < 1)
+    throw new Error(`${where}: group name must be a non-empty string.`);
+  return name.trim();
+};
+
+/**
+ * Validates the settings of a dice group.
+ *
+ * @param {DiceGroupOptions|null|undefined} options - The settings to validate.
+ * @param {(value: any, where: string) => import('./index.mjs').DiceSkin|null} normalizeSkin - Function used to validate the skin.
+ * @param {string} where - Name of the calling method, used in error messages.
+ * @returns {DiceGroupOptions} The cleaned settings. Missing keys are not set.
+ * @throws {Error} If the settings are not an object, have unknown keys or invalid values.
+ */
+const normalizeGroupOptions = (options, normalizeSkin, where) => {
+  if (options === null || options === undefined) return {};
+  if (!isJsonObject(options)) throw new Error(`${where}: options must be an object or null.`);
+
+  /** @type {DiceGroupOptions} */
+  const result = {};
+  for (const [name, value] of Object.entries(/** @type {Record<string, any>} */ (options))) {
+    switch (name) {
+      case 'label':
+        if (value !== null && typeof value !== 'string')
+          throw new Error(`${where}: option "label" must be a string or null.`);
+        result.label = value === null ? null : value.trim() || null;
+        break;
+      case 'skin':
+        result.skin = normalizeSkin(value, where);
+        break;
+      default:
+        throw new Error(`${where}: unknown group option "${name}".`);
+    }
+  }
+  return result;
+};
+
+/**
+ * Creates a dice group. When a parent element is given, the `.dice-group` element
+ * with its header and dice container is appended to it.
+ *
+ * @param {string} name - The validated name of the group.
+ * @param {DiceGroupOptions} settings - The validated settings of the group.
+ * @param {HTMLElement|null} parent - The dice area, or null in headless mode.
+ * @returns {DiceGroup}
+ */
+const createDiceGroup = (name, settings, parent) => {
+  /** @type {DiceGroup} */
+  const group = {
+    name,
+    label: settings.label ?? null,
+    skin: settings.skin ?? null,
+    modifier: 0,
+    element: null,
+    diceElement: null,
+    labelElement: null,
+    totalElement: null,
+  };
+  if (!parent) return group;
+
+  const element = document.createElement('div');
+  element.className = 'dice-group';
+  element.dataset.group = name;
+  element.setAttribute('role', 'group');
+
+  const header = document.createElement('div');
+  header.className = 'dice-group-header';
+  const labelElement = document.createElement('span');
+  labelElement.className = 'dice-group-label';
+  const totalElement = document.createElement('span');
+  totalElement.className = 'dice-group-total';
+  header.append(labelElement, totalElement);
+
+  const diceElement = document.createElement('div');
+  diceElement.className = 'dice-group-dice';
+  element.append(header, diceElement);
+  parent.appendChild(element);
+
+  group.element = element;
+  group.diceElement = diceElement;
+  group.labelElement = labelElement;
+  group.totalElement = totalElement;
+  return group;
+};
+
+/**
+ * Gets the subtotal of a group: its kept dice plus the flat modifiers of its last expression.
+ *
+ * @param {DiceGroup} group
+ * @param {GroupDie[]} items - The dice of the group.
+ * @returns {number}
+ */
+const getGroupSubtotal = (group, items) => {
+  let subtotal = group.modifier;
+  for (const item of items) if (!item.die.dropped) subtotal += item.die.result;
+  return subtotal;
+};
+
+/**
+ * Gets the public information of a group.
+ *
+ * @param {DiceGroup} group
+ * @param {GroupDie[]} items - The dice of the group.
+ * @returns {DiceGroupInfo}
+ */
+const getGroupInfo = (group, items) => ({
+  name: group.name,
+  label: group.label,
+  skin: group.skin ? { ...group.skin } : null,
+  dice: items.map((item) => item.die),
+  subtotal: getGroupSubtotal(group, items),
+});
+
+/**
+ * Updates the label of a group element.
+ *
+ * @param {DiceGroup} group
+ */
+const updateGroupLabel = (group) => {
+  if (!group.element || !group.labelElement) return;
+  group.labelElement.textContent = group.label ?? '';
+  group.labelElement.hidden = group.label === null;
+  group.element.setAttribute('aria-label', group.label ?? group.name);
+};
+
+/**
+ * Shows the subtotal of a group once every one of its dice has stopped.
+ *
+ * @param {DiceGroup} group
+ * @param {GroupDie[]} items - The dice of the group.
+ */
+const updateGroupTotal = (group, items) => {
+  if (!group.totalElement) return;
+  group.totalElement.textContent =
+    items.length > 0 && items.every((item) => item.stopped)
+      ? String(getGroupSubtotal(group, items))
+      : '';
+};
+
+export {
+  normalizeGroupName,
+  normalizeGroupOptions,
+  createDiceGroup,
+  getGroupSubtotal,
+  getGroupInfo,
+  updateGroupLabel,
+  updateGroupTotal,
+};
@@ -0,0 +1,437 @@
+/**
+ * @typedef {Object} HistoryDie
+ * @property {number} max - Maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {boolean} [dropped] - True if the die was removed by a keep/drop modifier.
+ * @property {boolean} [exploded] - True if the die triggered an explosion.
+ * @property {boolean} [fromExplosion] - True if the die was added by an explosion.
+ * @property {string} [label] - The face label of a custom-faced die.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {number} id - Incremental identifier of the entry.
+ * @property {number} timestamp - Time of the roll, in milliseconds since the Unix epoch.
+ * @property {string} input - The dice expression or the comma-separated list of max values.
+ * @property {boolean} canZero - Whether 0 was a valid result.
+ * @property {HistoryDie[]} dice - Every rolled die.
+ * @property {number[]} modifiers - Signed flat modifiers of the roll.
+ * @property {number} total - The grand total of the roll.
+ * @property {number|null} seed - The seed used by the roll, or null if it was not seeded.
+ * @property {number[]} rerollOf - Ids of the entries whose dice were rolled again by `rerollUnlocked`, or an empty array for new rolls.
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {number|Date} [since] - Only entries rolled at or after this time.
+ * @property {number|Date} [until] - Only entries rolled at or before this time.
+ * @property {number} [max] - Only entries containing at least one die with this max value (e.g. 20 for d20s).
+ */
+
+const CSV_COLUMNS = ['id', 'timestamp', 'input', 'canZero', 'dice', 'modifiers', 'total', 'seed'];
+
+/** CSV columns that are exported, but can be missing from imported files. */
+const OPTIONAL_CSV_COLUMNS = ['rerollOf'];
+
+/**
+ * Checks if a value is a finite number.
+ *
+ * @param {*} value
+ * @returns {value is number}
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Converts a time filter into milliseconds.
+ *
+ * @param {number|Date|undefined} value
+ * @returns {number|null}
+ */
+const toTime = (value) =>
+  value instanceof Date ? value.getTime() : isNumber(value) ? value : null;
+
+/**
+ * Escapes a single CSV cell.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeCsv = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * Splits CSV text into rows of cells, following RFC 4180 quoting.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += char;
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.length > 1 || cells[0] !== '');
+};
+
+/**
+ * Converts a die into its CSV token, such as `6:4`, `6:1d` (dropped), `6:6!` (exploded), `6:2+` (from explosion)
+ * or `6:1=plus` (custom face label, percent-encoded).
+ *
+ * @param {HistoryDie} die
+ * @returns {string}
+ */
+const dieToToken = (die) =>
+  `${die.max}:${die.result}${die.dropped ? 'd' : ''}${die.exploded ? '!' : ''}${die.fromExplosion ? '+' : ''}${
+    die.label !== undefined ? `=${encodeURIComponent(die.label)}` : ''
+  }`;
+
+/**
+ * Converts a CSV token back into a die.
+ *
+ * @param {string} token
+ * @returns {HistoryDie}
+ * @throws {Error} If the token is invalid.
+ */
+const tokenToDie = (token) => {
+  const match = /^(-?\d+):(-?\d+(?:\.\d+)?)([d!+]*)(?:=(\S*))?$/.exec(token);
+  if (!match) throw new Error(`DiceHistory: invalid die token "${token}" in CSV.`);
+  /** @type {HistoryDie} */
+  const die = { max: parseInt(match[1], 10), result: Number(match[2]) };
+  if (match[3].includes('d')) die.dropped = true;
+  if (match[3].includes('!')) die.exploded = true;
+  if (match[3].includes('+')) die.fromExplosion = true;
+  if (match[4] !== undefined) {
+    try {
+      die.label = decodeURIComponent(match[4]);
+    } catch {
+      throw new Error(`DiceHistory: invalid die token "${token}" in CSV.`);
+    }
+  }
+  return die;
+};
+
+/**
+ * DiceHistory - Keeps a capped log of dice rolls that can be queried and exported.
+ *
+ * Entries are stored from the oldest to the newest. When the limit is reached,
+ * the oldest entries are removed first.
+ */
+class DiceHistory {
+  /** @type {HistoryEntry[]} */
+  #entries = [];
+  #limit = 100;
+  #nextId = 1;
+
+  /**
+   * Creates a new roll history.
+   *
+   * @param {number} [limit=100] - Maximum amount of entries kept. Use `Infinity` for no limit.
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+  }
+
+  /**
+   * Sets the maximum amount of entries kept. Older entries are removed right away if needed.
+   *
+   * @param {number} value - A positive number, or `Infinity` for no limit.
+   * @throws {Error} If the value is not a positive number.
+   */
+  set limit(value) {
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 1)
+      throw new Error('DiceHistory: limit must be a positive number.');
+    this.#limit = value;
+    this.#trim();
+  }
+
+  /**
+   * Gets the maximum amount of entries kept.
+   * @returns {number}
+   */
+  get limit() {
+    return this.#limit;
+  }
+
+  /**
+   * Gets the current amount of entries.
+   * @returns {number}
+   */
+  get size() {
+    return this.#entries.length;
+  }
+
+  /**
+   * Gets a copy of every entry, from the oldest to the newest.
+   * @returns {HistoryEntry[]}
+   */
+  get entries() {
+    return this.#entries.map((entry) => this.#cloneEntry(entry));
+  }
+
+  /**
+   * Removes the oldest entries above the limit.
+   */
+  #trim() {
+    if (this.#entries.length > this.#limit)
+      this.#entries.splice(0, this.#entries.length - this.#limit);
+  }
+
+  /**
+   * Creates a deep copy of an entry.
+   *
+   * @param {HistoryEntry} entry
+   * @returns {HistoryEntry}
+   */
+  #cloneEntry(entry) {
+    return {
+      ...entry,
+      dice: entry.dice.map((die) => ({ ...die })),
+      modifiers: entry.modifiers.slice(),
+      rerollOf: entry.rerollOf.slice(),
+    };
+  }
+
+  /**
+   * Validates an entry-like object and converts it into a clean entry.
+   *
+   * @param {*} data
+   * @returns {Omit<HistoryEntry, 'id'> & { id?: number }}
+   * @throws {Error} If the data is not a valid entry.
+   */
+  #normalizeEntry(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data))
+      throw new Error('DiceHistory: entry must be an object.');
+    if (!isNumber(data.timestamp))
+      throw new Error('DiceHistory: entry timestamp must be a number.');
+    if (typeof data.input !== 'string')
+      throw new Error('DiceHistory: entry input must be a string.');
+    if (!Array.isArray(data.dice)) throw new Error('DiceHistory: entry dice must be an array.');
+    if (!isNumber(data.total)) throw new Error('DiceHistory: entry total must be a number.');
+
+    const dice = data.dice.map((/** @type {*} */ die) => {
+      if (!die || !isNumber(die.max) || !isNumber(die.result))
+        throw new Error('DiceHistory: every die must have numeric max and result values.');
+      /** @type {HistoryDie} */
+      const clean = { max: die.max, result: die.result };
+      if (die.dropped) clean.dropped = true;
+      if (die.exploded) clean.exploded = true;
+      if (die.fromExplosion) clean.fromExplosion = true;
+      if (typeof die.label === 'string') clean.label = die.label;
+      return clean;
+    });
+
+    const modifiers = Array.isArray(data.modifiers) ? data.modifiers.filter(isNumber) : [];
+    return {
+      id: isNumber(data.id) ? data.id : undefined,
+      timestamp: data.timestamp,
+      input: data.input,
+      canZero: !!data.canZero,
+      dice,
+      modifiers,
+      total: data.total,
+      seed: isNumber(data.seed) ? data.seed : null,
+      rerollOf: Array.isArray(data.rerollOf) ? data.rerollOf.filter(isNumber) : [],
+    };
+  }
+
+  /**
+   * Adds a new roll to the history.
+   *
+   * @param {Omit<HistoryEntry, 'id'|'timestamp'|'rerollOf'> & { timestamp?: number, rerollOf?: number[] }} data - The roll data.
+   * @returns {HistoryEntry} A copy of the stored entry.
+   * @throws {Error} If the data is not a valid entry.
+   */
+  add(data) {
+    const entry = this.#normalizeEntry({ timestamp: Date.now(), ...data });
+    /** @type {HistoryEntry} */
+    const stored = { ...entry, id: this.#nextId++ };
+    this.#entries.push(stored);
+    this.#trim();
+    return this.#cloneEntry(stored);
+  }
+
+  /**
+   * Finds entries matching a filter.
+   *
+   * @param {HistoryQuery} [filter={}] - Time range and die type filters. All of them are optional.
+   * @returns {HistoryEntry[]} Copies of the matching entries, from the oldest to the newest.
+   */
+  query(filter = {}) {
+    const since = toTime(filter.since);
+    const until = toTime(filter.until);
+    const max = isNumber(filter.max) ? filter.max : null;
+    return this.#entries
+      .filter(
+        (entry) =>
+          (since === null || entry.timestamp >= since) &&
+          (until === null || entry.timestamp <= until) &&
+          (max === null || entry.dice.some((die) => die.max === max)),
+      )
+      .map((entry) => this.#cloneEntry(entry));
+  }
+
+  /**
+   * Removes every entry. The ids of the next entries start again from 1.
+   */
+  clear() {
+    this.#entries = [];
+    this.#nextId = 1;
+  }
+
+  /**
+   * Imports a list of entries.
+   *
+   * When replacing, the imported ids are kept (duplicated or missing ids get a new one),
+   * and the next ids continue after the highest imported id.
+   * When appending, every imported entry gets a new id, so they never collide with the current ones.
+   * The `rerollOf` ids follow the new ids of the imported entries. When appending, ids of entries
+   * that are not imported are removed.
+   *
+   * @param {*[]} list - The entries to import.
+   * @param {boolean} append - If true, the entries are added after the current ones.
+   */
+  #importEntries(list, append) {
+    const entries = list.map((data) => this.#normalizeEntry(data));
+    if (!append) {
+      this.#entries = [];
+      this.#nextId = 1;
+    }
+
+    /** @type {Set<number>} */
+    const used = new Set();
+    /** @type {Map<number, number>} */
+    const ids = new Map();
+    if (!append)
+      for (const entry of entries)
+        if (isNumber(entry.id)) this.#nextId = Math.max(this.#nextId, entry.id + 1);
+
+    for (const entry of entries) {
+      const keep = !append && isNumber(entry.id) && !used.has(entry.id);
+      const id = keep ? /** @type {number} */ (entry.id) : this.#nextId++;
+      used.add(id);
+      if (isNumber(entry.id) && !ids.has(entry.id)) ids.set(entry.id, id);
+      this.#entries.push({ ...entry, id });
+    }
+    for (const entry of this.#entries.slice(this.#entries.length - entries.length))
+      entry.rerollOf = entry.rerollOf
+        .map((id) => ids.get(id) ?? (append ? null : id))
+        .filter((id) => id !== null);
+    this.#trim();
+  }
+
+  /**
+   * Exports every entry as a JSON string.
+   *
+   * @param {number} [space] - Indentation passed to `JSON.stringify`.
+   * @returns {string}
+   */
+  exportJSON(space) {
+    return JSON.stringify(this.#entries, null, space);
+  }
+
+  /**
+   * Imports entries from a JSON string created by `exportJSON`.
+   *
+   * @param {string} json - The JSON string.
+   * @param {boolean} [append=false] - If true, the entries are added after the current ones instead of replacing them.
+   * @throws {Error} If the JSON is invalid or has invalid entries. The history is kept untouched.
+   */
+  importJSON(json, append = false) {
+    const list = JSON.parse(json);
+    if (!Array.isArray(list))
+      throw new Error('DiceHistory: JSON data must be an array of entries.');
+    this.#importEntries(list, append);
+  }
+
+  /**
+   * Exports every entry as CSV text, with a header row.
+   *
+   * Dice are written as space-separated `max:result` tokens, followed by `d` when dropped,
+   * `!` when exploded, `+` when added by an explosion and `=label` for custom faces.
+   * Modifiers and `rerollOf` ids are space-separated numbers.
+   *
+   * @returns {string}
+   */
+  exportCSV() {
+    const lines = [[...CSV_COLUMNS, ...OPTIONAL_CSV_COLUMNS].join(',')];
+    for (const entry of this.#entries) {
+      lines.push(
+        [
+          String(entry.id),
+          String(entry.timestamp),
+          entry.input,
+          String(entry.canZero),
+          entry.dice.map(dieToToken).join(' '),
+          entry.modifiers.join(' '),
+          String(entry.total),
+          entry.seed === null ? '' : String(entry.seed),
+          entry.rerollOf.join(' '),
+        ]
+          .map(escapeCsv)
+          .join(','),
+      );
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Imports entries from CSV text created by `exportCSV`.
+   *
+   * @param {string} csv - The CSV text, including its header row.
+   * @param {boolean} [append=false] - If true, the entries are added after the current ones instead of replacing them.
+   * @throws {Error} If the CSV is invalid. The history is kept untouched.
+   */
+  importCSV(csv, append = false) {
+    if (typeof csv !== 'string') throw new Error('DiceHistory: CSV data must be a string.');
+    const [header, ...rows] = parseCsv(csv);
+    if (!header || CSV_COLUMNS.some((column) => !header.includes(column)))
+      throw new Error(`DiceHistory: CSV header must include ${CSV_COLUMNS.join(', ')}.`);
+
+    /** @param {string[]} row @param {string} column */
+    const cell = (row, column) => row[header.indexOf(column)] ?? '';
+    /** @param {string} value */
+    const split = (value) => value.split(' ').filter((part) => part.length > 0);
+
+    const list = rows.map((row) => ({
+      id: parseInt(cell(row, 'id'), 10),
+      timestamp: Number(cell(row, 'timestamp')),
+      input: cell(row, 'input'),
+      canZero: cell(row, 'canZero') === 'true',
+      dice: split(cell(row, 'dice')).map(tokenToDie),
+      modifiers: split(cell(row, 'modifiers')).map(Number),
+      total: Number(cell(row, 'total')),
+      seed: cell(row, 'seed') === '' ? null : Number(cell(row, 'seed')),
+      rerollOf: split(cell(row, 'rerollOf')).map(Number),
+    }));
+    this.#importEntries(list, append);
+  }
+}
+
+export default DiceHistory;
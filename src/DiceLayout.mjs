@@ -0,0 +1,83 @@
+/**
+ * Layout modes of the dice area.
+ *
+ * - `row`: a centered row that wraps, like a line of dice.
+ * - `scatter`: dice spread at random spots of the area, with slight rotations, like dice on a table.
+ * - `grid`: a compact grid of evenly spaced dice.
+ * - `stack`: a single column of dice.
+ */
+const DICE_LAYOUTS = Object.freeze(['row', 'scatter', 'grid', 'stack']);
+
+/** Largest tilt of a scattered die, in degrees. */
+const SCATTER_MAX_TILT = 15;
+
+/** Random spots tried for a scattered die before a new row is added to the area. */
+const SCATTER_ATTEMPTS = 40;
+
+/**
+ * @typedef {Object} ScatterPosition
+ * @property {number} x - Offset from the left of the area, in pixels.
+ * @property {number} y - Offset from the top of the area, in pixels.
+ * @property {number} rotation - Tilt of the die, in degrees.
+ */
+
+/**
+ * Places dice at random spots of an area, so that no two dice overlap.
+ *
+ * Each die takes a square cell of `size` pixels, which should leave room for its tilt.
+ * Current positions are kept as long as they still fit inside the area and do not overlap
+ * a kept die, so the dice that did not change stay where they are. The other dice get a new spot.
+ * When no free spot is found, the area grows by one row.
+ *
+ * @param {Array<ScatterPosition|null>} current - The current position of each die, or null for new dice.
+ * @param {number} width - Width of the area, in pixels.
+ * @param {number} minHeight - Smallest height of the area, in pixels.
+ * @param {number} size - Size of the cell of each die, in pixels.
+ * @param {import('./DiceRandom.mjs').RandomFunction} [random=Math.random] - Generator of the spots and tilts.
+ * @returns {{ positions: ScatterPosition[], height: number }} The position of each die, in order, and the height of the area.
+ */
+const scatterPositions = (current, width, minHeight, size, random = Math.random) => {
+  const maxX = Math.max(width - size, 0);
+  let height = Math.max(minHeight, size);
+
+  /** @type {ScatterPosition[]} */
+  const placed = [];
+  /** @param {number} x @param {number} y */
+  const isFree = (x, y) =>
+    placed.every((spot) => Math.abs(spot.x - x) >= size || Math.abs(spot.y - y) >= size);
+
+  /** @type {Array<ScatterPosition|null>} */
+  const positions = current.map((position) => {
+    if (!position || position.x > maxX || position.x < 0 || position.y < 0) return null;
+    if (!isFree(position.x, position.y)) return null;
+    placed.push(position);
+    height = Math.max(height, position.y + size);
+    return position;
+  });
+
+  return {
+    positions: positions.map((position) => {
+      if (position) return position;
+      /** @type {ScatterPosition} */
+      const spot = { x: 0, y: 0, rotation: Math.round((random() * 2 - 1) * SCATTER_MAX_TILT) };
+      let found = false;
+      for (let i = 0; i < SCATTER_ATTEMPTS && !found; i++) {
+        spot.x = Math.round(random() * maxX);
+        spot.y = Math.round(random() * (height - size));
+        found = isFree(spot.x, spot.y);
+      }
+
+      // The new row is below every die, so the spot is always free
+      if (!found) {
+        spot.x = Math.round(random() * maxX);
+        spot.y = height;
+        height += size;
+      }
+      placed.push(spot);
+      return spot;
+    }),
+    height,
+  };
+};
+
+export { DICE_LAYOUTS, SCATTER_MAX_TILT, scatterPositions };
@@ -0,0 +1,328 @@
+/**
+ * @typedef {Object} NotationSelect
+ * @property {'keep'|'drop'} type - Whether the matching dice are kept or dropped.
+ * @property {'highest'|'lowest'} side - Which end of the sorted pool is affected.
+ * @property {number} amount - How many dice are kept or dropped.
+ */
+
+/**
+ * @typedef {Object} NotationDiceTerm
+ * @property {'dice'} type - Term type.
+ * @property {1|-1} sign - Whether the term is added or subtracted from the total.
+ * @property {number} count - Amount of dice rolled by this term.
+ * @property {number} sides - Maximum value of each die.
+ * @property {NotationSelect|null} select - Keep/drop modifier, or null if every die counts.
+ * @property {boolean} explode - Whether dice rolling their max value roll again.
+ * @property {string} notation - The original text of this term.
+ * @property {number} position - Index of the term inside the original expression.
+ */
+
+/**
+ * @typedef {Object} NotationConstantTerm
+ * @property {'constant'} type - Term type.
+ * @property {1|-1} sign - Whether the term is added or subtracted from the total.
+ * @property {number} value - The flat modifier value.
+ * @property {string} notation - The original text of this term.
+ * @property {number} position - Index of the term inside the original expression.
+ */
+
+/**
+ * @typedef {NotationDiceTerm|NotationConstantTerm} NotationTerm
+ */
+
+/**
+ * @typedef {Object} ParsedNotation
+ * @property {string} expression - The original expression.
+ * @property {NotationTerm[]} terms - Parsed terms in order of appearance.
+ */
+
+/**
+ * @typedef {Object} NotationDie
+ * @property {number} term - Index of the term that produced this die.
+ * @property {number} max - Maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {boolean} dropped - True if the die was removed by a keep/drop modifier.
+ * @property {boolean} exploded - True if the die rolled its max value and triggered an extra roll.
+ * @property {boolean} fromExplosion - True if the die was added by an explosion.
+ */
+
+/**
+ * @typedef {Object} NotationTermResult
+ * @property {NotationTerm} term - The parsed term.
+ * @property {number[]} values - Values counted by this term (kept dice or the constant).
+ * @property {number} subtotal - Signed sum of the counted values.
+ */
+
+/**
+ * @typedef {Object} NotationEvaluation
+ * @property {string} expression - The original expression.
+ * @property {boolean} canZero - Whether 0 was a valid die result.
+ * @property {NotationDie[]} dice - Every rolled die, including dropped and exploded ones.
+ * @property {NotationTermResult[]} terms - Per-term breakdown.
+ * @property {number[]} modifiers - Signed flat modifiers found in the expression.
+ * @property {number} total - The grand total of the expression.
+ */
+
+/** Maximum amount of dice a single term can roll. */
+const MAX_DICE_PER_TERM = 1000;
+
+/** Maximum amount of extra dice a single term can gain from explosions. */
+const MAX_EXPLOSIONS_PER_TERM = 100;
+
+/**
+ * Error thrown when a dice expression cannot be parsed.
+ *
+ * The `position` property points to the character index (0-based) where the problem was found.
+ */
+class DiceNotationError extends Error {
+  /**
+   * @param {string} message - Description of the problem.
+   * @param {string} expression - The expression being parsed.
+   * @param {number} position - Character index of the problem.
+   */
+  constructor(message, expression, position) {
+    super(`${message} (at position ${position} in "${expression}")`);
+    this.name = 'DiceNotationError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+/**
+ * Checks whether a string looks like a dice expression instead of a plain comma-separated list.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` if the value is a non-empty string with anything besides digits, commas and spaces.
+ */
+const isDiceNotation = (value) =>
+  typeof value === 'string' && value.trim().length > 0 && !/^[\d\s,]*$/.test(value);
+
+/**
+ * Parses a standard dice expression such as `4d6kh3`, `2d20kl1+5`, `3d6!` or `1d8+1d6-2`.
+ *
+ * Supported syntax:
+ * - `NdM` rolls N dice with M sides (`N` defaults to 1, `d%` is a d100).
+ * - `kh`/`k`/`kl` keeps the highest or lowest dice (amount defaults to 1).
+ * - `dl`/`d`/`dh` drops the lowest or highest dice (amount defaults to 1).
+ * - `!` makes dice that roll their max value roll again.
+ * - `+` and `-` combine dice groups and flat modifiers.
+ *
+ * @param {string} expression - The dice expression.
+ * @returns {ParsedNotation} The parsed terms.
+ * @throws {DiceNotationError} If the expression is invalid.
+ */
+const parseDiceNotation = (expression) => {
+  if (typeof expression !== 'string')
+    throw new DiceNotationError('Dice expression must be a string', String(expression), 0);
+
+  const src = expression;
+  let pos = 0;
+
+  const skipSpaces = () => {
+    while (pos < src.length && /\s/.test(src[pos])) pos++;
+  };
+
+  /** @returns {number|null} */
+  const readInt = () => {
+    const start = pos;
+    while (pos < src.length && /\d/.test(src[pos])) pos++;
+    if (start === pos) return null;
+    return parseInt(src.slice(start, pos), 10);
+  };
+
+  /** @param {string} message */
+  const fail = (message, at = pos) => {
+    throw new DiceNotationError(message, src, at);
+  };
+
+  /** @type {NotationTerm[]} */
+  const terms = [];
+
+  skipSpaces();
+  if (pos >= src.length) fail('Empty dice expression');
+
+  while (pos < src.length) {
+    // Operator
+    /** @type {1|-1} */
+    let sign = 1;
+    const char = src[pos];
+    if (char === '+' || char === '-') {
+      if (char === '-') sign = -1;
+      pos++;
+      skipSpaces();
+    } else if (terms.length > 0) fail(`Unexpected character "${char}", expected "+" or "-"`);
+
+    // Term
+    const start = pos;
+    const count = readInt();
+    if (src[pos] === 'd' || src[pos] === 'D') {
+      pos++;
+      /** @type {number|null} */
+      let sides;
+      const sidesStart = pos;
+      if (src[pos] === '%') {
+        sides = 100;
+        pos++;
+      } else sides = readInt();
+
+      if (sides === null) fail('Expected the number of sides after "d"');
+      if (/** @type {number} */ (sides) < 1) fail('Dice must have at least 1 side', sidesStart);
+      if (count !== null && count < 1) fail('Dice count must be at least 1', start);
+      const diceCount = count ?? 1;
+      if (diceCount > MAX_DICE_PER_TERM)
+        fail(`Dice count cannot be higher than ${MAX_DICE_PER_TERM}`, start);
+
+      /** @type {NotationSelect|null} */
+      let select = null;
+      let explode = false;
+
+      // Modifiers
+      while (pos < src.length) {
+        const modStart = pos;
+        const mod = src[pos].toLowerCase();
+        if (mod === '!') {
+          if (explode) fail('Duplicate "!" modifier');
+          if (/** @type {number} */ (sides) < 2)
+            fail('Cannot explode a die with less than 2 sides');
+          explode = true;
+          pos++;
+        } else if (mod === 'k' || mod === 'd') {
+          if (select) fail('Only one keep/drop modifier is allowed per dice group');
+          if (diceCount < 2) fail('Cannot keep or drop dice from a single die', modStart);
+          pos++;
+          const sideChar = (src[pos] || '').toLowerCase();
+          /** @type {'highest'|'lowest'} */
+          let side = mod === 'k' ? 'highest' : 'lowest';
+          if (sideChar === 'h' || sideChar === 'l') {
+            side = sideChar === 'h' ? 'highest' : 'lowest';
+            pos++;
+          }
+          const amount = readInt() ?? 1;
+          if (mod === 'k' && (amount < 1 || amount > diceCount))
+            fail(`Keep amount must be between 1 and ${diceCount}`, modStart);
+          if (mod === 'd' && (amount < 1 || amount >= diceCount))
+            fail(`Drop amount must be between 1 and ${diceCount - 1}`, modStart);
+          select = { type: mod === 'k' ? 'keep' : 'drop', side, amount };
+        } else break;
+      }
+
+      terms.push({
+        type: 'dice',
+        sign,
+        count: diceCount,
+        sides: /** @type {number} */ (sides),
+        select,
+        explode,
+        notation: src.slice(start, pos),
+        position: start,
+      });
+    } else if (count !== null) {
+      terms.push({
+        type: 'constant',
+        sign,
+        value: count,
+        notation: src.slice(start, pos),
+        position: start,
+      });
+    } else if (pos >= src.length) fail('Expected a number or dice group after operator');
+    else fail(`Unexpected character "${src[pos]}"`);
+
+    skipSpaces();
+  }
+
+  return { expression: src, terms };
+};
+
+/**
+ * Finds the dice removed by a keep/drop modifier.
+ *
+ * Dice with the same result are removed in their order inside the list.
+ *
+ * @template {{ result: number }} T
+ * @param {T[]} dice - The dice of a single term.
+ * @param {NotationSelect} select - The keep/drop modifier of the term.
+ * @returns {T[]} The dropped dice.
+ */
+const getDroppedDice = (dice, select) => {
+  const sorted = dice.slice().sort((a, b) => a.result - b.result);
+  const { type, side, amount } = select;
+  const dropAmount = type === 'drop' ? amount : dice.length - amount;
+  return (type === 'keep') === (side === 'highest')
+    ? sorted.slice(0, dropAmount)
+    : sorted.slice(sorted.length - dropAmount);
+};
+
+/**
+ * Rolls a parsed dice expression using the given number generator.
+ *
+ * This function has no DOM dependencies, so it can run in headless environments.
+ *
+ * @param {ParsedNotation} parsed - The parsed expression.
+ * @param {(max: number, canZero: boolean) => number} rollNumber - Function used to roll each die.
+ * @param {boolean} [canZero=false] - Whether 0 is a valid die result.
+ * @returns {NotationEvaluation} The rolled dice and totals.
+ */
+const evaluateDiceNotation = (parsed, rollNumber, canZero = false) => {
+  /** @type {NotationDie[]} */
+  const dice = [];
+  /** @type {NotationTermResult[]} */
+  const terms = [];
+  /** @type {number[]} */
+  const modifiers = [];
+  let total = 0;
+
+  parsed.terms.forEach((term, termIndex) => {
+    // Flat modifier
+    if (term.type === 'constant') {
+      const subtotal = term.sign * term.value;
+      modifiers.push(subtotal);
+      terms.push({ term, values: [term.value], subtotal });
+      total += subtotal;
+      return;
+    }
+
+    // Roll the pool
+    /** @type {NotationDie[]} */
+    const pool = [];
+    let explosions = 0;
+    for (let i = 0; i < term.count; i++) {
+      let fromExplosion = false;
+      while (true) {
+        /** @type {NotationDie} */
+        const die = {
+          term: termIndex,
+          max: term.sides,
+          result: rollNumber(term.sides, canZero),
+          dropped: false,
+          exploded: false,
+          fromExplosion,
+        };
+        pool.push(die);
+        if (!term.explode || die.result !== term.sides || explosions >= MAX_EXPLOSIONS_PER_TERM)
+          break;
+        die.exploded = true;
+        fromExplosion = true;
+        explosions++;
+      }
+    }
+
+    // Keep or drop
+    if (term.select) for (const die of getDroppedDice(pool, term.select)) die.dropped = true;
+
+    const values = pool.filter((die) => !die.dropped).map((die) => die.result);
+    const subtotal = term.sign * values.reduce((sum, value) => sum + value, 0);
+    terms.push({ term, values, subtotal });
+    dice.push(...pool);
+    total += subtotal;
+  });
+
+  return { expression: parsed.expression, canZero, dice, terms, modifiers, total };
+};
+
+export {
+  DiceNotationError,
+  isDiceNotation,
+  parseDiceNotation,
+  getDroppedDice,
+  evaluateDiceNotation,
+};
@@ -0,0 +1,141 @@
+/**
+ * Position, speed and rotation of a thrown die.
+ * Positions are offsets in pixels from the place of the die in the tray.
+ * @typedef {Object} ThrowState
+ * @property {number} x - Horizontal offset, in pixels.
+ * @property {number} y - Vertical offset, in pixels.
+ * @property {number} vx - Horizontal speed, in pixels per second.
+ * @property {number} vy - Vertical speed, in pixels per second.
+ * @property {number} rotX - Rotation around the X axis, in degrees.
+ * @property {number} rotY - Rotation around the Y axis, in degrees.
+ */
+
+/**
+ * Walls of the dice area, as offsets from the place of the die in the tray.
+ * @typedef {Object} ThrowBounds
+ * @property {number} minX
+ * @property {number} maxX
+ * @property {number} minY
+ * @property {number} maxY
+ */
+
+/**
+ * A pointer position recorded during a drag.
+ * @typedef {Object} PointerSample
+ * @property {number} x - Horizontal position, in pixels.
+ * @property {number} y - Vertical position, in pixels.
+ * @property {number} time - Time of the sample, in milliseconds.
+ */
+
+/** Fraction of the speed a die keeps after sliding for one second. */
+const THROW_FRICTION = 0.2;
+
+/** Fraction of the speed a die keeps after bouncing on a wall. */
+const THROW_RESTITUTION = 0.6;
+
+/** Speed, in pixels per second, below which a die settles. */
+const THROW_MIN_SPEED = 40;
+
+/** Highest launch speed, in pixels per second. */
+const THROW_MAX_SPEED = 6000;
+
+/** Longest time a die can slide, in milliseconds. */
+const THROW_MAX_TIME = 6000;
+
+/** Degrees a die turns while sliding one pixel. */
+const THROW_DEGREES_PER_PIXEL = 0.9;
+
+/** Flicks slower than this, in pixels per second, are ignored, so clicks keep working. */
+const FLICK_MIN_SPEED = 300;
+
+/** Only the pointer samples of this last period, in milliseconds, give the flick speed. */
+const FLICK_SAMPLE_TIME = 100;
+
+/**
+ * Creates the state of a die thrown with the given speed.
+ * Every die gets a slightly different speed and direction, so thrown dice spread out.
+ *
+ * @param {number} velocityX - Horizontal launch speed, in pixels per second.
+ * @param {number} velocityY - Vertical launch speed, in pixels per second.
+ * @param {number} [x=0] - Horizontal start offset, in pixels.
+ * @param {number} [y=0] - Vertical start offset, in pixels.
+ * @param {() => number} [random=Math.random] - Source of the spread.
+ * @returns {ThrowState}
+ */
+const createThrowState = (velocityX, velocityY, x = 0, y = 0, random = Math.random) => {
+  const speed =
+    Math.min(Math.hypot(velocityX, velocityY), THROW_MAX_SPEED) * (0.8 + random() * 0.4);
+  const angle = Math.atan2(velocityY, velocityX) + (random() - 0.5) * (Math.PI / 8);
+  return {
+    x,
+    y,
+    vx: Math.cos(angle) * speed,
+    vy: Math.sin(angle) * speed,
+    rotX: 0,
+    rotY: 0,
+  };
+};
+
+/**
+ * Moves a thrown die forward in time, applying friction and bouncing it on the walls.
+ *
+ * @param {ThrowState} state - The die state. It is updated in place.
+ * @param {number} delta - Elapsed time, in seconds.
+ * @param {ThrowBounds} bounds - The walls of the dice area.
+ * @returns {boolean} `true` while the die is still moving.
+ */
+const stepThrow = (state, delta, bounds) => {
+  const x = state.x + state.vx * delta;
+  const y = state.y + state.vy * delta;
+  state.rotY += (x - state.x) * THROW_DEGREES_PER_PIXEL;
+  state.rotX -= (y - state.y) * THROW_DEGREES_PER_PIXEL;
+  state.x = x;
+  state.y = y;
+
+  if (state.x < bounds.minX || state.x > bounds.maxX) {
+    state.x = Math.min(Math.max(state.x, bounds.minX), bounds.maxX);
+    state.vx = -state.vx * THROW_RESTITUTION;
+  }
+  if (state.y < bounds.minY || state.y > bounds.maxY) {
+    state.y = Math.min(Math.max(state.y, bounds.minY), bounds.maxY);
+    state.vy = -state.vy * THROW_RESTITUTION;
+  }
+
+  const friction = Math.pow(THROW_FRICTION, delta);
+  state.vx *= friction;
+  state.vy *= friction;
+  return Math.hypot(state.vx, state.vy) >= THROW_MIN_SPEED;
+};
+
+/**
+ * Gets the whole turn closest to an angle, where the die shows its result face again.
+ *
+ * @param {number} angle - An angle, in degrees.
+ * @returns {number}
+ */
+const getRestingAngle = (angle) => Math.round(angle / 360) * 360;
+
+/**
+ * Gets the speed of a flick from the pointer samples of a drag.
+ *
+ * @param {PointerSample[]} samples - The pointer positions, from the oldest to the newest.
+ * @returns {{ velocityX: number, velocityY: number }} The speed, in pixels per second.
+ */
+const getFlickVelocity = (samples) => {
+  if (samples.length < 2) return { velocityX: 0, velocityY: 0 };
+  const last = samples[samples.length - 1];
+  const first =
+    samples.find((sample) => last.time - sample.time <= FLICK_SAMPLE_TIME) ?? samples[0];
+  const time = (last.time - first.time) / 1000;
+  if (time <= 0) return { velocityX: 0, velocityY: 0 };
+  return { velocityX: (last.x - first.x) / time, velocityY: (last.y - first.y) / time };
+};
+
+export {
+  FLICK_MIN_SPEED,
+  THROW_MAX_TIME,
+  createThrowState,
+  stepThrow,
+  getRestingAngle,
+  getFlickVelocity,
+};
@@ -0,0 +1,186 @@
+/**
+ * Rules of a dice pool, where dice are counted as hits instead of being added up.
+ * @typedef {Object} PoolOptions
+ * @property {number} target - Dice rolling this value or higher are successes.
+ * @property {number|null} [doubleOn=null] - Dice rolling this value or higher count as two successes ("10s count double").
+ * @property {number|null} [again=null] - Dice rolling this value or higher add another die to the pool ("10-again").
+ * @property {number|null} [cancelOn=null] - Dice rolling this value or lower remove one success each ("1s cancel successes").
+ * @property {number} [botchOn=1] - Dice rolling this value or lower are botch dice.
+ */
+
+/**
+ * A dice pool to roll: the amount of dice, their maximum value and the pool rules.
+ * @typedef {PoolOptions & { count: number, sides: number }} PoolInput
+ */
+
+/**
+ * A die of a dice pool.
+ * @typedef {Object} PoolDie
+ * @property {number} max - Maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {boolean} success - True if the die reached the target.
+ * @property {number} successes - Successes added by this die (0, 1 or 2).
+ * @property {boolean} botch - True if the die rolled `botchOn` or lower.
+ * @property {boolean} exploded - True if the die triggered an "again" roll.
+ * @property {boolean} fromExplosion - True if the die was added by an "again" roll.
+ */
+
+/**
+ * The outcome of a dice pool.
+ * @typedef {Object} PoolEvaluation
+ * @property {PoolDie[]} dice - Every rolled die, including the ones added by "again" rolls.
+ * @property {number} successes - Net successes, after cancellations. Never below 0.
+ * @property {number} failures - Amount of dice that did not reach the target.
+ * @property {number} botches - Amount of botch dice.
+ * @property {boolean} botched - True if no die reached the target and at least one die is a botch.
+ */
+
+/** Maximum amount of dice a pool can roll. */
+const MAX_POOL_DICE = 1000;
+
+/** Maximum amount of extra dice a pool can gain from "again" rolls. */
+const MAX_AGAIN_ROLLS = 100;
+
+/**
+ * Validates a dice pool and its rules. A number is used as the target.
+ *
+ * @param {number} count - Amount of dice in the pool.
+ * @param {number} sides - The maximum value of the dice.
+ * @param {PoolOptions|number} options - The pool rules, or the target number.
+ * @param {boolean} canZero - Whether 0 is a valid result.
+ * @param {string} where - Name of the calling method, used in error messages.
+ * @returns {Required<PoolOptions>}
+ * @throws {Error} If the count or the sides are invalid, a rule is not a number, or "again" would trigger on every roll.
+ */
+const normalizePoolOptions = (count, sides, options, canZero, where) => {
+  if (!Number.isInteger(count) || count < 1 || count > MAX_POOL_DICE)
+    throw new Error(`${where}: count must be an integer between 1 and ${MAX_POOL_DICE}.`);
+  if (!Number.isInteger(sides) || sides < 1)
+    throw new Error(`${where}: sides must be a positive integer.`);
+
+  const data = typeof options === 'number' ? { target: options } : options;
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    throw new Error(`${where}: options must be an object or a target number.`);
+
+  /** @param {*} value */
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  /** @param {'doubleOn'|'again'|'cancelOn'} name */
+  const optional = (name) => {
+    const value = data[name];
+    if (value === undefined || value === null) return null;
+    if (!isNumber(value)) throw new Error(`${where}: ${name} must be a number or null.`);
+    return value;
+  };
+
+  if (!isNumber(data.target)) throw new Error(`${where}: target must be a number.`);
+  const botchOn = data.botchOn ?? 1;
+  if (!isNumber(botchOn)) throw new Error(`${where}: botchOn must be a number.`);
+  const again = optional('again');
+  if (again !== null && again <= (canZero ? 0 : 1))
+    throw new Error(`${where}: again must be higher than the lowest face of the dice.`);
+  if (again !== null && again > sides)
+    throw new Error(`${where}: again cannot be higher than the dice max value.`);
+
+  return {
+    target: data.target,
+    doubleOn: optional('doubleOn'),
+    again,
+    cancelOn: optional('cancelOn'),
+    botchOn,
+  };
+};
+
+/**
+ * Scores a single die of a dice pool.
+ *
+ * @param {number} result - The rolled value.
+ * @param {Required<PoolOptions>} rules - The validated pool rules.
+ * @returns {{ success: boolean, successes: number, botch: boolean }}
+ */
+const scorePoolDie = (result, rules) => {
+  const success = result >= rules.target;
+  return {
+    success,
+    successes: !success ? 0 : rules.doubleOn !== null && result >= rules.doubleOn ? 2 : 1,
+    botch: result <= rules.botchOn,
+  };
+};
+
+/**
+ * Counts the net successes of scored pool dice, after cancellations. Never below 0.
+ *
+ * @param {Array<{ result: number, successes: number }>} dice - The scored dice.
+ * @param {Required<PoolOptions>} rules - The validated pool rules.
+ * @returns {number}
+ */
+const countPoolSuccesses = (dice, rules) => {
+  const rawSuccesses = dice.reduce((sum, die) => sum + die.successes, 0);
+  const cancelled =
+    rules.cancelOn !== null
+      ? dice.filter((die) => die.result <= /** @type {number} */ (rules.cancelOn)).length
+      : 0;
+  return Math.max(0, rawSuccesses - cancelled);
+};
+
+/**
+ * Gets the CSS classes of a dice pool die.
+ *
+ * @param {{ success: boolean, botch: boolean, exploded: boolean, fromExplosion: boolean }} die
+ * @returns {string[]}
+ */
+const getPoolClasses = (die) => {
+  const classes = [die.success ? 'success' : 'failure'];
+  if (die.botch) classes.push('botch');
+  if (die.exploded) classes.push('exploded');
+  if (die.fromExplosion) classes.push('from-explosion');
+  return classes;
+};
+
+/**
+ * Rolls a dice pool and counts its successes using the given number generator.
+ *
+ * This function has no DOM dependencies, so it can run in headless environments.
+ * The pool must be validated first with `normalizePoolOptions`.
+ *
+ * @param {number} count - Amount of dice in the pool.
+ * @param {number} sides - The maximum value of the dice.
+ * @param {Required<PoolOptions>} rules - The validated pool rules.
+ * @param {(max: number, canZero: boolean) => number} rollNumber - Function used to roll each die.
+ * @param {boolean} [canZero=false] - Whether 0 is a valid die result.
+ * @returns {PoolEvaluation}
+ */
+const evaluateDicePool = (count, sides, rules, rollNumber, canZero = false) => {
+  /** @type {PoolDie[]} */
+  const dice = [];
+  let againRolls = 0;
+  for (let i = 0; i < count; i++) {
+    let fromExplosion = false;
+    while (true) {
+      const result = rollNumber(sides, canZero);
+      /** @type {PoolDie} */
+      const die = {
+        max: sides,
+        result,
+        ...scorePoolDie(result, rules),
+        exploded: false,
+        fromExplosion,
+      };
+      dice.push(die);
+      if (rules.again === null || result < rules.again || againRolls >= MAX_AGAIN_ROLLS) break;
+      die.exploded = true;
+      fromExplosion = true;
+      againRolls++;
+    }
+  }
+
+  const botches = dice.filter((die) => die.botch).length;
+  return {
+    dice,
+    successes: countPoolSuccesses(dice, rules),
+    failures: dice.filter((die) => !die.success).length,
+    botches,
+    botched: dice.every((die) => !die.success) && botches > 0,
+  };
+};
+
+export { normalizePoolOptions, scorePoolDie, countPoolSuccesses, getPoolClasses, evaluateDicePool };
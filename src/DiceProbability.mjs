@@ -0,0 +1,313 @@
+/**
+ * Probability of each possible total, keyed by total.
+ * @typedef {Map<number, number>} Distribution
+ */
+
+/**
+ * @typedef {Object} DistributionEntry
+ * @property {number} total - A possible total.
+ * @property {number} probability - Chance of rolling this total, between 0 and 1.
+ */
+
+/**
+ * @typedef {Object} DiceProbability
+ * @property {DistributionEntry[]} distribution - Every possible total, sorted from the lowest to the highest.
+ * @property {number} min - The lowest possible total.
+ * @property {number} max - The highest possible total.
+ * @property {number} mean - The expected value of the total.
+ * @property {number} variance - The variance of the total.
+ * @property {number} stdDev - The standard deviation of the total.
+ * @property {(percent: number) => number} percentile - Gets the lowest total reached by at least `percent`% of the rolls.
+ * @property {(target: number) => number} atLeast - Gets the chance of rolling `target` or more.
+ * @property {(target: number) => number} atMost - Gets the chance of rolling `target` or less.
+ * @property {(target: number) => number} exactly - Gets the chance of rolling exactly `target`.
+ */
+
+/** Maximum amount of basic operations a single distribution can take before giving up. */
+const MAX_OPERATIONS = 5e7;
+
+/**
+ * Explosion chains less likely than this are cut, and the die keeps its last value,
+ * just like the explosion cap of the roll engine.
+ */
+const EXPLOSION_PRECISION = 1e-12;
+
+/**
+ * Tracks the work done by a distribution and stops it when it gets too large.
+ */
+class OperationBudget {
+  #left = MAX_OPERATIONS;
+
+  /**
+   * @param {number} amount - Operations about to be done.
+   * @throws {Error} If the budget is exceeded.
+   */
+  spend(amount) {
+    this.#left -= amount;
+    if (this.#left < 0)
+      throw new Error('probability: the configuration is too large to compute exactly.');
+  }
+}
+
+/**
+ * Gets the distribution of a single die, matching `rollNumber` exactly.
+ *
+ * @param {number} max - The maximum value of the die.
+ * @param {boolean} canZero - Whether 0 is a valid result.
+ * @returns {Distribution}
+ * @throws {Error} If the max value is not a number.
+ */
+const getDieDistribution = (max, canZero) => {
+  if (typeof max !== 'number' || Number.isNaN(max))
+    throw new Error(`Invalid die max value: ${max}. All values must be positive numbers.`);
+
+  /** @type {Distribution} */
+  const result = new Map();
+  if (max <= 0) {
+    result.set(0, 1);
+    return result;
+  }
+
+  // rollNumber uses Math.floor(random() * range) + low
+  const range = canZero ? max + 1 : max;
+  const low = canZero ? 0 : 1;
+  for (let k = 0; k < range; k++) result.set(k + low, (Math.min(k + 1, range) - k) / range);
+  return result;
+};
+
+/**
+ * Gets the distribution of a single exploding die.
+ *
+ * @param {number} sides - The maximum value of the die, which triggers the explosion.
+ * @param {boolean} canZero - Whether 0 is a valid result.
+ * @returns {Distribution}
+ */
+const getExplodingDistribution = (sides, canZero) => {
+  const base = getDieDistribution(sides, canZero);
+  const maxChance = base.get(sides) ?? 0;
+
+  /** @type {Distribution} */
+  const result = new Map();
+  let chain = 1;
+  let depth = 0;
+  while (chain * maxChance >= EXPLOSION_PRECISION) {
+    for (const [value, chance] of base)
+      if (value !== sides) result.set(sides * depth + value, chain * chance);
+    chain *= maxChance;
+    depth++;
+  }
+
+  // The remaining chains stop on the last max value
+  result.set(sides * depth, (result.get(sides * depth) ?? 0) + chain);
+  return result;
+};
+
+/**
+ * Combines two independent distributions.
+ *
+ * @param {Distribution} a
+ * @param {Distribution} b
+ * @param {OperationBudget} budget
+ * @returns {Distribution}
+ */
+const convolve = (a, b, budget) => {
+  budget.spend(a.size * b.size);
+  /** @type {Distribution} */
+  const result = new Map();
+  for (const [totalA, chanceA] of a)
+    for (const [totalB, chanceB] of b)
+      result.set(totalA + totalB, (result.get(totalA + totalB) ?? 0) + chanceA * chanceB);
+  return result;
+};
+
+/**
+ * Sums `count` independent dice with the same distribution, using repeated doubling.
+ *
+ * @param {Distribution} die
+ * @param {number} count
+ * @param {OperationBudget} budget
+ * @returns {Distribution}
+ */
+const sumDice = (die, count, budget) => {
+  /** @type {Distribution} */
+  let result = new Map([[0, 1]]);
+  let power = die;
+  let left = count;
+  while (left > 0) {
+    if (left % 2 === 1) result = convolve(result, power, budget);
+    left = Math.floor(left / 2);
+    if (left > 0) power = convolve(power, power, budget);
+  }
+  return result;
+};
+
+/**
+ * Gets the distribution of the kept dice of a pool using keep/drop rules.
+ *
+ * Faces are placed from the highest to the lowest, so the position of every die
+ * in the sorted pool is known, and only the dice inside the kept positions are added.
+ *
+ * @param {Distribution} die - Distribution of a single die.
+ * @param {number} count - Amount of dice in the pool.
+ * @param {import('./DiceNotation.mjs').NotationSelect} select - The keep/drop rule.
+ * @param {OperationBudget} budget
+ * @returns {Distribution}
+ */
+const selectDice = (die, count, select, budget) => {
+  // Kept positions inside the pool sorted from the highest to the lowest
+  const keepAmount = select.type === 'keep' ? select.amount : count - select.amount;
+  const keepHighest = (select.type === 'keep') === (select.side === 'highest');
+  const from = keepHighest ? 0 : count - keepAmount;
+  const to = from + keepAmount;
+
+  /** @param {number} n @param {number} k */
+  const choose = (n, k) => {
+    let value = 1;
+    for (let i = 1; i <= k; i++) value = (value * (n - k + i)) / i;
+    return value;
+  };
+
+  // states[placed] = distribution of the kept sum
+  /** @type {Distribution[]} */
+  let states = [new Map([[0, 1]])];
+  for (let i = 1; i <= count; i++) states.push(new Map());
+
+  const faces = [...die.entries()].sort((a, b) => b[0] - a[0]);
+  for (const [value, chance] of faces) {
+    /** @type {Distribution[]} */
+    const next = states.map(() => new Map());
+    for (let placed = 0; placed <= count; placed++) {
+      const sums = states[placed];
+      if (sums.size === 0) continue;
+      budget.spend(sums.size * (count - placed + 1));
+      for (let amount = 0; amount <= count - placed; amount++) {
+        const weight = choose(count - placed, amount) * chance ** amount;
+        if (weight === 0) continue;
+        const kept = Math.max(0, Math.min(placed + amount, to) - Math.max(placed, from));
+        const target = next[placed + amount];
+        for (const [sum, sumChance] of sums)
+          target.set(
+            sum + kept * value,
+            (target.get(sum + kept * value) ?? 0) + sumChance * weight,
+          );
+      }
+    }
+    states = next;
+  }
+  return states[count];
+};
+
+/**
+ * Flips the sign of every total of a distribution.
+ *
+ * @param {Distribution} distribution
+ * @returns {Distribution}
+ */
+const negate = (distribution) =>
+  new Map([...distribution].map(([total, chance]) => [total === 0 ? 0 : -total, chance]));
+
+/**
+ * Computes the exact distribution of the total of a parsed dice expression.
+ *
+ * Exploding dice are supported, but not together with keep/drop modifiers on the same group.
+ *
+ * @param {import('./DiceNotation.mjs').ParsedNotation} parsed - The parsed expression.
+ * @param {boolean} [canZero=false] - Whether 0 is a valid die result.
+ * @returns {Distribution}
+ * @throws {Error} If a group explodes and keeps/drops dice, or the expression is too large.
+ */
+const getNotationDistribution = (parsed, canZero = false) => {
+  const budget = new OperationBudget();
+  /** @type {Distribution} */
+  let result = new Map([[0, 1]]);
+
+  for (const term of parsed.terms) {
+    /** @type {Distribution} */
+    let termResult;
+    if (term.type === 'constant') termResult = new Map([[term.value, 1]]);
+    else {
+      if (term.explode && term.select)
+        throw new Error(
+          `probability: exploding dice with keep/drop modifiers are not supported ("${term.notation}").`,
+        );
+      const die = term.explode
+        ? getExplodingDistribution(term.sides, canZero)
+        : getDieDistribution(term.sides, canZero);
+      termResult = term.select
+        ? selectDice(die, term.count, term.select, budget)
+        : sumDice(die, term.count, budget);
+    }
+    result = convolve(result, term.sign === -1 ? negate(termResult) : termResult, budget);
+  }
+  return result;
+};
+
+/**
+ * Computes the exact distribution of the total of a list of dice.
+ *
+ * @param {number[]} perDieData - Max value of each die.
+ * @param {boolean} [canZero=false] - Whether 0 is a valid die result.
+ * @returns {Distribution}
+ * @throws {Error} If a max value is not a number, or the configuration is too large.
+ */
+const getConfigDistribution = (perDieData, canZero = false) => {
+  const budget = new OperationBudget();
+  /** @type {Distribution} */
+  let result = new Map([[0, 1]]);
+  for (const max of perDieData) result = convolve(result, getDieDistribution(max, canZero), budget);
+  return result;
+};
+
+/**
+ * Builds the statistics of a distribution.
+ *
+ * @param {Distribution} distribution - Probability of each total.
+ * @returns {DiceProbability}
+ */
+const analyzeDistribution = (distribution) => {
+  /** @type {DistributionEntry[]} */
+  const entries = [...distribution]
+    .filter(([, probability]) => probability > 0)
+    .sort((a, b) => a[0] - b[0])
+    .map(([total, probability]) => ({ total, probability }));
+
+  const mean = entries.reduce((sum, entry) => sum + entry.total * entry.probability, 0);
+  const variance = entries.reduce(
+    (sum, entry) => sum + (entry.total - mean) ** 2 * entry.probability,
+    0,
+  );
+
+  /** @param {(total: number) => boolean} check */
+  const sumWhere = (check) =>
+    Math.min(
+      1,
+      entries.reduce((sum, entry) => (check(entry.total) ? sum + entry.probability : sum), 0),
+    );
+
+  return {
+    distribution: entries,
+    min: entries.length > 0 ? entries[0].total : 0,
+    max: entries.length > 0 ? entries[entries.length - 1].total : 0,
+    mean,
+    variance,
+    stdDev: Math.sqrt(variance),
+
+    percentile(percent) {
+      if (typeof percent !== 'number' || Number.isNaN(percent) || percent < 0 || percent > 100)
+        throw new Error('percentile: percent must be a number between 0 and 100.');
+      const goal = percent / 100 - 1e-12;
+      let cumulative = 0;
+      for (const entry of entries) {
+        cumulative += entry.probability;
+        if (cumulative >= goal) return entry.total;
+      }
+      return entries.length > 0 ? entries[entries.length - 1].total : 0;
+    },
+
+    atLeast: (target) => sumWhere((total) => total >= target),
+    atMost: (target) => sumWhere((total) => total <= target),
+    exactly: (target) => sumWhere((total) => total === target),
+  };
+};
+
+export { getDieDistribution, getNotationDistribution, getConfigDistribution, analyzeDistribution };
@@ -0,0 +1,82 @@
+/**
+ * A function returning a floating-point number in the range [0, 1), just like `Math.random`.
+ * @typedef {() => number} RandomFunction
+ */
+
+/**
+ * Converts a seed into an unsigned 32-bit integer.
+ *
+ * Numbers are truncated into the 32-bit range, and strings are hashed with FNV-1a,
+ * so any text (like a session name) can be used as a seed.
+ *
+ * @param {number|string} seed - The seed to normalize.
+ * @returns {number} An unsigned 32-bit integer seed.
+ * @throws {Error} If the seed is not a finite number or a string.
+ */
+const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return Math.trunc(seed) >>> 0;
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  throw new Error(`Invalid seed: ${seed}. Seeds must be finite numbers or strings.`);
+};
+
+/**
+ * Derives the next seed of a seed chain.
+ *
+ * Each roll made by a seeded TinyDices instance uses its own seed, and the following
+ * roll uses the seed derived from it. This keeps every roll replayable by its seed alone.
+ *
+ * @param {number} seed - The current unsigned 32-bit seed.
+ * @returns {number} The next unsigned 32-bit seed.
+ */
+const nextSeed = (seed) => {
+  let value = (seed + 0x9e3779b9) >>> 0;
+  value = Math.imul(value ^ (value >>> 16), 0x85ebca6b);
+  value = Math.imul(value ^ (value >>> 13), 0xc2b2ae35);
+  return (value ^ (value >>> 16)) >>> 0;
+};
+
+/**
+ * Creates a deterministic pseudo-random generator (Mulberry32) from a seed.
+ *
+ * The same seed always produces the same sequence of numbers.
+ *
+ * @param {number|string} seed - The seed of the generator.
+ * @returns {RandomFunction} A function returning numbers in the range [0, 1).
+ */
+const createSeededRandom = (seed) => {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Creates a random generator backed by `crypto.getRandomValues`.
+ *
+ * @returns {RandomFunction} A function returning numbers in the range [0, 1).
+ * @throws {Error} If the Web Crypto API is not available in the current environment.
+ */
+const createCryptoRandom = () => {
+  const cryptoApi = globalThis.crypto;
+  if (!cryptoApi || typeof cryptoApi.getRandomValues !== 'function')
+    throw new Error('createCryptoRandom: crypto.getRandomValues is not available.');
+
+  const buffer = new Uint32Array(1);
+  return () => {
+    cryptoApi.getRandomValues(buffer);
+    return buffer[0] / 4294967296;
+  };
+};
+
+export { normalizeSeed, nextSeed, createSeededRandom, createCryptoRandom };
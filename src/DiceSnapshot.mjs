@@ -0,0 +1,268 @@
+import { isJsonObject } from 'tiny-essentials';
+import { normalizeFaces } from './DiceFaces.mjs';
+import { normalizeGroupName } from './DiceGroups.mjs';
+import { getPoolClasses } from './DicePool.mjs';
+
+/**
+ * A die saved by `snapshot()`.
+ * @typedef {Object} DiceSnapshotDie
+ * @property {number} max - The maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {number[]} sequence - The values shown on each face, with the result first.
+ * @property {boolean} canZero - Whether 0 is a valid result.
+ * @property {boolean} rollInfinity - Whether the die was rolled with infinite spin.
+ * @property {boolean} locked - Whether the die is kept by `rerollUnlocked`.
+ * @property {import('./index.mjs').DiceSkin|null} skin - The skin given to the roll that created the die.
+ * @property {number|null} seed - The seed of the roll that created the die.
+ * @property {string} [name] - The name given to the die with the `labels` roll option.
+ * @property {string} [group] - The name of the group of the die.
+ * @property {import('./DiceFaces.mjs').DiceFace[]} [faces] - The faces of a custom-faced die.
+ * @property {string|null} [faceSet] - The name of the face set of a custom-faced die.
+ * @property {number} [face] - The face number a custom-faced die landed on, starting at 1.
+ * @property {number} [term] - Index of the notation term that produced the die.
+ * @property {boolean} [dropped] - Whether the die was removed by a keep/drop modifier.
+ * @property {boolean} [exploded] - Whether the die triggered an explosion.
+ * @property {boolean} [fromExplosion] - Whether the die was added by an explosion.
+ * @property {boolean} [success] - Whether a dice pool die reached the target.
+ * @property {number} [successes] - Successes added by a dice pool die.
+ * @property {boolean} [botch] - Whether a dice pool die is a botch.
+ */
+
+/**
+ * A dice group saved by `snapshot()`, so `restore()` can create it again when it is missing.
+ * @typedef {Object} DiceSnapshotGroup
+ * @property {string} name - The name of the group.
+ * @property {string|null} label - The visible label of the group, or null.
+ * @property {import('./index.mjs').DiceSkin|null} skin - Skin overrides for the dice of the group.
+ */
+
+/**
+ * A JSON-safe description of the dice tray, created by `snapshot()` and used by `restore()`.
+ * @typedef {Object} DiceSnapshot
+ * @property {number} version - Format version of the snapshot.
+ * @property {DiceSnapshotDie[]} dice - The dice of the tray, in order.
+ * @property {DiceSnapshotGroup[]} [groups] - The groups of the dice. Missing in snapshots of older versions.
+ */
+
+/** Format version written by `snapshot()`, and the only one `restore()` accepts. */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Checks if a value is a number.
+ *
+ * @param {*} value
+ * @returns {value is number}
+ */
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Creates the JSON-safe description of a tray die.
+ *
+ * @param {import('./index.mjs').TrayDie} item - The tray die to save.
+ * @returns {DiceSnapshotDie}
+ */
+const snapshotDie = (item) => {
+  const die =
+    /** @type {import('./index.mjs').DiceResult & Partial<import('./DiceNotation.mjs').NotationDie & import('./DicePool.mjs').PoolDie>} */ (
+      item.die
+    );
+  /** @type {DiceSnapshotDie} */
+  const data = {
+    max: item.max,
+    result: die.result,
+    sequence: [...die.sequence],
+    canZero: item.canZero,
+    rollInfinity: item.rollInfinity,
+    locked: item.locked,
+    skin: item.skin ? { ...item.skin } : null,
+    seed: die.seed,
+  };
+  if (item.name !== null) data.name = item.name;
+  if (item.group !== null) data.group = item.group;
+  if (item.faces) {
+    data.faces = item.faces.map((face) => ({ ...face }));
+    data.faceSet = item.faceSet;
+    data.face = /** @type {import('./index.mjs').FaceDiceResult} */ (die).face;
+  }
+  if (typeof die.term === 'number') {
+    data.term = die.term;
+    data.dropped = !!die.dropped;
+    data.exploded = !!die.exploded;
+    data.fromExplosion = !!die.fromExplosion;
+  }
+  if (typeof die.success === 'boolean') {
+    data.success = die.success;
+    data.successes = die.successes ?? 0;
+    data.botch = !!die.botch;
+    data.exploded = !!die.exploded;
+    data.fromExplosion = !!die.fromExplosion;
+  }
+  return data;
+};
+
+/**
+ * Creates the JSON-safe description of a dice group.
+ *
+ * @param {import('./DiceGroups.mjs').DiceGroup} group - The group to save.
+ * @returns {DiceSnapshotGroup}
+ */
+const snapshotGroup = (group) => ({
+  name: group.name,
+  label: group.label,
+  skin: group.skin ? { ...group.skin } : null,
+});
+
+/**
+ * Validates a die of a snapshot.
+ *
+ * @param {*} value - The die to validate.
+ * @param {number} index - Index of the die inside the snapshot, used in error messages.
+ * @param {(value: any, where: string) => import('./index.mjs').DiceSkin|null} normalizeSkin - Function used to validate the skin.
+ * @returns {DiceSnapshotDie}
+ * @throws {Error} If the die is not an object or has invalid values.
+ */
+const parseSnapshotDie = (value, index, normalizeSkin) => {
+  if (!isJsonObject(value)) throw new Error(`restore: die ${index} must be an object.`);
+  const die = /** @type {Record<string, any>} */ (value);
+  if (!isNumber(die.max) || !isNumber(die.result))
+    throw new Error(`restore: die ${index} must have a numeric max and result.`);
+  if (!Array.isArray(die.sequence) || !die.sequence.every(isNumber))
+    throw new Error(`restore: die ${index} must have a sequence of numbers.`);
+  if (die.seed !== null && die.seed !== undefined && !isNumber(die.seed))
+    throw new Error(`restore: die ${index} has an invalid seed.`);
+
+  /** @type {DiceSnapshotDie} */
+  const data = {
+    max: die.max,
+    result: die.result,
+    sequence: [...die.sequence],
+    canZero: !!die.canZero,
+    rollInfinity: !!die.rollInfinity,
+    locked: !!die.locked,
+    skin: normalizeSkin(die.skin, 'restore'),
+    seed: isNumber(die.seed) ? die.seed : null,
+  };
+  if (typeof die.name === 'string') data.name = die.name;
+  if (die.group !== undefined && die.group !== null)
+    data.group = normalizeGroupName(die.group, 'restore');
+  if (die.faces !== undefined) {
+    data.faces = normalizeFaces(die.faces, 'restore');
+    if (!Number.isInteger(die.face) || die.face < 1 || die.face > data.faces.length)
+      throw new Error(`restore: die ${index} has an invalid face number.`);
+    data.faceSet = typeof die.faceSet === 'string' ? die.faceSet : null;
+    data.face = die.face;
+  }
+  if (isNumber(die.term)) {
+    data.term = die.term;
+    data.dropped = !!die.dropped;
+    data.exploded = !!die.exploded;
+    data.fromExplosion = !!die.fromExplosion;
+  }
+  if (typeof die.success === 'boolean') {
+    data.success = die.success;
+    data.successes = isNumber(die.successes) ? die.successes : 0;
+    data.botch = !!die.botch;
+    data.exploded = !!die.exploded;
+    data.fromExplosion = !!die.fromExplosion;
+  }
+  return data;
+};
+
+/**
+ * Validates a group of a snapshot.
+ *
+ * @param {*} value - The group to validate.
+ * @param {(value: any, where: string) => import('./index.mjs').DiceSkin|null} normalizeSkin - Function used to validate the skin.
+ * @returns {DiceSnapshotGroup}
+ * @throws {Error} If the group is not an object or has invalid values.
+ */
+const parseSnapshotGroup = (value, normalizeSkin) => {
+  if (!isJsonObject(value)) throw new Error('restore: every group must be an object.');
+  const group = /** @type {Record<string, any>} */ (value);
+  const name = normalizeGroupName(group.name, 'restore');
+  if (group.label !== undefined && group.label !== null && typeof group.label !== 'string')
+    throw new Error(`restore: the label of the group "${name}" must be a string or null.`);
+  return {
+    name,
+    label: typeof group.label === 'string' ? group.label.trim() || null : null,
+    skin: normalizeSkin(group.skin, 'restore'),
+  };
+};
+
+/**
+ * Validates a snapshot, its dice and its groups.
+ *
+ * Every group used by a die is returned. Groups missing from the snapshot,
+ * as in snapshots of older versions, get no label and no skin.
+ *
+ * @param {DiceSnapshot|string} snapshot - The object returned by `snapshot()`, or its JSON string.
+ * @param {(value: any, where: string) => import('./index.mjs').DiceSkin|null} normalizeSkin - Function used to validate the skins.
+ * @returns {{ dice: DiceSnapshotDie[], groups: DiceSnapshotGroup[] }} The validated dice, in order, and their groups.
+ * @throws {Error} If the snapshot is invalid.
+ */
+const parseSnapshot = (snapshot, normalizeSkin) => {
+  const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+  if (!isJsonObject(data) || !Array.isArray(data.dice))
+    throw new Error('restore: snapshot must be an object with a dice array.');
+  if (data.version !== SNAPSHOT_VERSION)
+    throw new Error(`restore: unsupported snapshot version "${data.version}".`);
+  if (data.groups !== undefined && !Array.isArray(data.groups))
+    throw new Error('restore: snapshot groups must be an array.');
+  const dice = data.dice.map((/** @type {*} */ die, /** @type {number} */ index) =>
+    parseSnapshotDie(die, index, normalizeSkin),
+  );
+
+  /** @type {Map<string, DiceSnapshotGroup>} */
+  const saved = new Map();
+  for (const value of data.groups ?? []) {
+    const group = parseSnapshotGroup(value, normalizeSkin);
+    if (!saved.has(group.name)) saved.set(group.name, group);
+  }
+  /** @type {Map<string, DiceSnapshotGroup>} */
+  const groups = new Map();
+  for (const die of dice)
+    if (die.group !== undefined && !groups.has(die.group))
+      groups.set(die.group, saved.get(die.group) ?? { name: die.group, label: null, skin: null });
+  return { dice, groups: Array.from(groups.values()) };
+};
+
+/**
+ * Gets the CSS classes and the notation or pool data of a restored die.
+ *
+ * @param {DiceSnapshotDie} die - A validated snapshot die.
+ * @returns {{ classes: string[], extra: Object }} The classes of the die container and the data merged into its result.
+ */
+const getSnapshotDieData = (die) => {
+  if (typeof die.success === 'boolean') {
+    const poolDie = {
+      max: die.max,
+      result: die.result,
+      success: die.success,
+      successes: die.successes ?? 0,
+      botch: !!die.botch,
+      exploded: !!die.exploded,
+      fromExplosion: !!die.fromExplosion,
+    };
+    return { classes: getPoolClasses(poolDie), extra: poolDie };
+  }
+
+  /** @type {string[]} */
+  const classes = [];
+  if (die.dropped) classes.push('dropped');
+  if (die.exploded) classes.push('exploded');
+  if (die.fromExplosion) classes.push('from-explosion');
+  if (typeof die.term !== 'number') return { classes, extra: {} };
+  return {
+    classes,
+    extra: {
+      term: die.term,
+      max: die.max,
+      result: die.result,
+      dropped: die.dropped,
+      exploded: die.exploded,
+      fromExplosion: die.fromExplosion,
+    },
+  };
+};
+
+export { SNAPSHOT_VERSION, snapshotDie, snapshotGroup, parseSnapshot, getSnapshotDieData };
@@ -0,0 +1,150 @@
+/**
+ * Names of the sounds played by TinyDices.
+ * - `roll`: dice were rolled.
+ * - `land`: a die stopped.
+ * - `critical`: a die stopped on its highest face.
+ * @typedef {'roll'|'land'|'critical'} DiceSoundName
+ */
+
+/** Names of every sound, in the order they are documented. */
+const DICE_SOUND_NAMES = Object.freeze(
+  /** @type {DiceSoundName[]} */ (['roll', 'land', 'critical']),
+);
+
+/**
+ * White noise buffers, shared by every sound of the same audio context.
+ *
+ * @type {WeakMap<BaseAudioContext, AudioBuffer>}
+ */
+const noiseBuffers = new WeakMap();
+
+/**
+ * Gets a short white noise buffer of an audio context, used by the rattle and landing sounds.
+ *
+ * @param {BaseAudioContext} context
+ * @returns {AudioBuffer}
+ */
+const getNoiseBuffer = (context) => {
+  let buffer = noiseBuffers.get(context);
+  if (!buffer) {
+    buffer = context.createBuffer(1, Math.floor(context.sampleRate * 0.25), context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseBuffers.set(context, buffer);
+  }
+  return buffer;
+};
+
+/**
+ * Plays a short burst of filtered noise, the base of every dice hit.
+ *
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @param {number} when - Start time, in the audio context clock.
+ * @param {number} frequency - Center frequency of the filter, in hertz.
+ * @param {number} duration - Length of the burst, in seconds.
+ * @param {number} gain - Peak volume, from 0 to 1.
+ */
+const playNoiseHit = (context, destination, when, frequency, duration, gain) => {
+  const source = context.createBufferSource();
+  source.buffer = getNoiseBuffer(context);
+
+  const filter = context.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = frequency;
+  filter.Q.value = 1.5;
+
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(gain, when);
+  envelope.gain.exponentialRampToValueAtTime(0.001, when + duration);
+
+  source.connect(filter).connect(envelope).connect(destination);
+  source.start(when, Math.random() * 0.1);
+  source.stop(when + duration);
+};
+
+/**
+ * Plays the rattle of dice shaken and thrown.
+ *
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @param {number} when - Start time, in the audio context clock.
+ * @param {number} [count=1] - Amount of rolled dice. More dice make a denser rattle.
+ */
+const playRollSound = (context, destination, when, count = 1) => {
+  const hits = 4 + Math.min(count, 6) * 2;
+  for (let i = 0; i < hits; i++)
+    playNoiseHit(
+      context,
+      destination,
+      when + Math.random() * 0.35,
+      2500 + Math.random() * 2500,
+      0.03,
+      0.15 + Math.random() * 0.15,
+    );
+};
+
+/**
+ * Plays the clack of a die landing on the table. Dice with more faces sound a little lower.
+ *
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @param {number} when - Start time, in the audio context clock.
+ * @param {number} [max=6] - The maximum value of the die.
+ */
+const playLandSound = (context, destination, when, max = 6) => {
+  const size = Math.min(Math.max(max, 2), 100);
+  playNoiseHit(context, destination, when, 3200 - Math.log2(size) * 250, 0.06, 0.5);
+
+  // Body of the hit
+  const oscillator = context.createOscillator();
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(240 - Math.log2(size) * 15, when);
+  oscillator.frequency.exponentialRampToValueAtTime(90, when + 0.08);
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(0.35, when);
+  envelope.gain.exponentialRampToValueAtTime(0.001, when + 0.1);
+  oscillator.connect(envelope).connect(destination);
+  oscillator.start(when);
+  oscillator.stop(when + 0.1);
+};
+
+/**
+ * Plays a bright two-note chime for critical results.
+ *
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @param {number} when - Start time, in the audio context clock.
+ */
+const playCriticalSound = (context, destination, when) => {
+  [880, 1320].forEach((frequency, index) => {
+    const start = when + index * 0.09;
+    const oscillator = context.createOscillator();
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = frequency;
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.001, start);
+    envelope.gain.exponentialRampToValueAtTime(0.3, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.001, start + 0.45);
+    oscillator.connect(envelope).connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.45);
+  });
+};
+
+/**
+ * Plays an audio buffer once.
+ *
+ * @param {BaseAudioContext} context
+ * @param {AudioNode} destination
+ * @param {AudioBuffer} buffer
+ * @param {number} when - Start time, in the audio context clock.
+ */
+const playBuffer = (context, destination, buffer, when) => {
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(destination);
+  source.start(when);
+};
+
+export { DICE_SOUND_NAMES, playRollSound, playLandSound, playCriticalSound, playBuffer };
@@ -0,0 +1,34 @@
+/**
+ * Built-in theme presets, available in every TinyDices instance.
+ *
+ * Each theme uses the same keys as the skin setters. Missing keys use the default skin.
+ *
+ * @type {Readonly<Record<string, Readonly<import('./index.mjs').DiceTheme>>>}
+ */
+const BUILT_IN_THEMES = Object.freeze({
+  dark: Object.freeze({
+    bgSkin: 'linear-gradient(135deg, #1e1e1e, #3a3a3a)',
+    textSkin: '#f5f5f5',
+    borderSkin: '2px solid rgba(255, 255, 255, 0.15)',
+    selectionBgSkin: '#f5f5f5',
+    selectionTextSkin: '#1e1e1e',
+  }),
+
+  parchment: Object.freeze({
+    bgSkin: 'linear-gradient(135deg, #f3e5c0, #d9c08c)',
+    textSkin: '#4b3621',
+    borderSkin: '2px solid #8b6b3e',
+    selectionBgSkin: '#4b3621',
+    selectionTextSkin: '#f3e5c0',
+  }),
+
+  neon: Object.freeze({
+    bgSkin: 'linear-gradient(135deg, #0f0c29, #302b63)',
+    textSkin: '#39ff14',
+    borderSkin: '2px solid #ff00ff',
+    selectionBgSkin: '#ff00ff',
+    selectionTextSkin: '#0f0c29',
+  }),
+});
+
+export { BUILT_IN_THEMES };
@@ -0,0 +1,233 @@
+import TinyDices from './index.mjs';
+import DICE_STYLES from './DiceStyles.mjs';
+import { FORWARDED_EVENTS } from './DiceAdapter.mjs';
+
+/**
+ * Base class of the element. Outside the browser there is no `HTMLElement`,
+ * so the module can still be imported (the element just cannot be used there).
+ */
+const BaseElement = /** @type {typeof HTMLElement} */ (
+  typeof HTMLElement !== 'undefined' ? HTMLElement : class {}
+);
+
+/**
+ * The `<tiny-dices>` custom element: a TinyDices tray with its styles inside a shadow root.
+ *
+ * Attributes:
+ * - `dice`: the input rolled by `roll()` without arguments, such as `6,6,20` or `4d6kh3` (default: `6`).
+ * - `can-zero`: if present, 0 is a valid result.
+ * - `infinite`: if present, dice spin until they are stopped.
+ * - `theme`: the name of a registered theme.
+ * - `stop-time`: spin duration of each roll, in milliseconds.
+ *
+ * Every TinyDices event is dispatched as a DOM event of the same name, with its payload as `detail`,
+ * and `roll()` dispatches a `roll` event with `{ input, result }`.
+ */
+class TinyDicesElement extends BaseElement {
+  /** @returns {string[]} */
+  static get observedAttributes() {
+    return ['theme'];
+  }
+
+  /** @type {HTMLDivElement} */
+  #body;
+
+  /** @type {TinyDices|null} */
+  #dice = null;
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `:host{display:block}:host([hidden]){display:none}${DICE_STYLES}`;
+    this.#body = document.createElement('div');
+    this.#body.setAttribute('part', 'body');
+    root.append(style, this.#body);
+  }
+
+  /**
+   * Creates the TinyDices instance when the element is added to a document.
+   */
+  connectedCallback() {
+    if (this.#dice) return;
+    const dice = new TinyDices(this.#body);
+    for (const name of FORWARDED_EVENTS)
+      dice.on(name, (/** @type {*} */ detail) =>
+        this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true })),
+      );
+    this.#dice = dice;
+    this.#applyTheme();
+  }
+
+  /**
+   * Destroys the TinyDices instance when the element is removed from the document.
+   */
+  disconnectedCallback() {
+    if (!this.#dice) return;
+    this.#dice.destroy();
+    this.#dice = null;
+    this.#body.replaceChildren();
+    this.#body.className = '';
+  }
+
+  /**
+   * Applies the changed attributes to the TinyDices instance.
+   *
+   * @param {string} name - The attribute name.
+   * @param {string|null} oldValue
+   * @param {string|null} newValue
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (name === 'theme' && oldValue !== newValue) this.#applyTheme();
+  }
+
+  /**
+   * Applies the `theme` attribute. Without the attribute, the default skins are used.
+   * An unknown theme dispatches an `error` event with `{ error }` and keeps the current skins.
+   */
+  #applyTheme() {
+    if (!this.#dice) return;
+    const theme = this.getAttribute('theme');
+    try {
+      this.#dice.applyTheme(theme === null || theme.trim().length < 1 ? {} : theme.trim());
+    } catch (error) {
+      this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+    }
+  }
+
+  /**
+   * Gets the TinyDices instance of the element, to reach the rest of its API.
+   * @returns {TinyDices|null} The instance, or null while the element is not connected.
+   */
+  get tinyDices() {
+    return this.#dice;
+  }
+
+  /**
+   * Sets the input rolled by `roll()` without arguments. Reflects the `dice` attribute.
+   * @param {string} value - A comma-separated string or a dice expression.
+   */
+  set dice(value) {
+    this.setAttribute('dice', String(value));
+  }
+
+  /**
+   * Gets the input rolled by `roll()` without arguments.
+   * @returns {string}
+   */
+  get dice() {
+    return this.getAttribute('dice') ?? '6';
+  }
+
+  /**
+   * Sets whether 0 is a valid result. Reflects the `can-zero` attribute.
+   * @param {boolean} value
+   */
+  set canZero(value) {
+    this.toggleAttribute('can-zero', !!value);
+  }
+
+  /**
+   * Gets whether 0 is a valid result.
+   * @returns {boolean}
+   */
+  get canZero() {
+    return this.hasAttribute('can-zero');
+  }
+
+  /**
+   * Sets whether dice spin until they are stopped. Reflects the `infinite` attribute.
+   * @param {boolean} value
+   */
+  set infinite(value) {
+    this.toggleAttribute('infinite', !!value);
+  }
+
+  /**
+   * Gets whether dice spin until they are stopped.
+   * @returns {boolean}
+   */
+  get infinite() {
+    return this.hasAttribute('infinite');
+  }
+
+  /**
+   * Sets the name of the theme of the dice. Reflects the `theme` attribute.
+   * @param {string|null} value - A registered theme name, or null for the default skins.
+   */
+  set theme(value) {
+    if (value === null || value === undefined) this.removeAttribute('theme');
+    else this.setAttribute('theme', String(value));
+  }
+
+  /**
+   * Gets the name of the theme of the dice.
+   * @returns {string|null}
+   */
+  get theme() {
+    return this.getAttribute('theme');
+  }
+
+  /**
+   * Sets the spin duration of each roll, in milliseconds. Reflects the `stop-time` attribute.
+   * @param {number|null} value - The duration, or null to use the instance settings.
+   */
+  set stopTime(value) {
+    if (value === null || value === undefined) this.removeAttribute('stop-time');
+    else this.setAttribute('stop-time', String(value));
+  }
+
+  /**
+   * Gets the spin duration of each roll.
+   * @returns {number|null} The duration, or null if the attribute is missing or invalid.
+   */
+  get stopTime() {
+    const attribute = this.getAttribute('stop-time');
+    const value = attribute !== null && attribute.trim().length > 0 ? Number(attribute) : NaN;
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+
+  /**
+   * Rolls the dice, replacing the current ones, and dispatches a `roll` event with `{ input, result }`.
+   *
+   * @param {string|Array<number>} [input=this.dice] - A comma-separated string, a dice expression or array of max values per die.
+   * @param {import('./index.mjs').RollOptions} [options={}] - Roll options, applied over the attributes.
+   * @returns {Array<import('./index.mjs').DiceResult>|import('./index.mjs').NotationRollResult} - The same value returned by `TinyDices.roll`.
+   * @throws {Error} If the element is not connected, or the input or an option is invalid.
+   */
+  roll(input = this.dice, options = {}) {
+    if (!this.#dice) throw new Error('roll: the element is not connected to a document.');
+    const stopTime = this.stopTime;
+    const result = this.#dice.roll(input, {
+      canZero: this.canZero,
+      infinite: this.infinite,
+      ...(stopTime !== null ? { stopTime } : {}),
+      ...options,
+    });
+    this.dispatchEvent(new CustomEvent('roll', { detail: { input, result }, bubbles: true }));
+    return result;
+  }
+}
+
+/** Whether `TinyDicesElement` itself was already registered under a name. */
+let baseDefined = false;
+
+/**
+ * Registers the `<tiny-dices>` element. Calling it again with the same name returns the registered class.
+ *
+ * @param {string} [name='tiny-dices'] - The tag name of the element.
+ * @returns {typeof TinyDicesElement|null} The element class, or null if custom elements are not available.
+ */
+const defineTinyDicesElement = (name = 'tiny-dices') => {
+  if (typeof customElements === 'undefined') return null;
+  const defined = customElements.get(name);
+  if (defined) return /** @type {typeof TinyDicesElement} */ (defined);
+
+  // A class can only be registered once, so other names get their own subclass
+  const element = baseDefined ? class extends TinyDicesElement {} : TinyDicesElement;
+  customElements.define(name, element);
+  baseDefined = true;
+  return element;
+};
+
+export { TinyDicesElement, defineTinyDicesElement, FORWARDED_EVENTS };
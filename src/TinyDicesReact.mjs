@@ -0,0 +1,152 @@
+import TinyDices from './index.mjs';
+import { FORWARDED_EVENTS, SKIN_PROPS, applySkinProps } from './DiceAdapter.mjs';
+
+/**
+ * React callback prop of each forwarded TinyDices event.
+ */
+const REACT_EVENT_PROPS = Object.freeze({
+  rollstart: 'onRollStart',
+  diestop: 'onDieStop',
+  rollend: 'onRollEnd',
+  reroll: 'onReroll',
+  throw: 'onThrow',
+  lockchange: 'onLockChange',
+  restore: 'onRestore',
+  skinchange: 'onSkinChange',
+  themechange: 'onThemeChange',
+});
+
+/**
+ * @typedef {Object} TinyDicesCallbacks
+ * @property {(detail: { input: string|Array<number>, result: * }) => void} [onRoll] - Called after `roll()` starts a roll.
+ * @property {(detail: *) => void} [onRollStart] - The `rollstart` event.
+ * @property {(detail: *) => void} [onDieStop] - The `diestop` event.
+ * @property {(detail: *) => void} [onRollEnd] - The `rollend` event.
+ * @property {(detail: *) => void} [onReroll] - The `reroll` event.
+ * @property {(detail: *) => void} [onThrow] - The `throw` event.
+ * @property {(detail: *) => void} [onLockChange] - The `lockchange` event.
+ * @property {(detail: *) => void} [onRestore] - The `restore` event.
+ * @property {(detail: *) => void} [onSkinChange] - The `skinchange` event.
+ * @property {(detail: *) => void} [onThemeChange] - The `themechange` event.
+ */
+
+/**
+ * @typedef {import('./DiceAdapter.mjs').SkinProps & TinyDicesCallbacks} TinyDicesHookOptions
+ */
+
+/**
+ * @typedef {Object} TinyDicesHook
+ * @property {{ current: HTMLElement|null }} ref - Ref to pass to the element that holds the dice.
+ * @property {TinyDices|null} dice - The TinyDices instance, or null while the element is not mounted.
+ * @property {(input: string|Array<number>, options?: import('./index.mjs').RollOptions) => *} roll - Rolls the dice, like `TinyDices.roll`.
+ */
+
+/**
+ * Creates the React adapter. Tiny Dices has no dependencies, so it uses the React of your app.
+ *
+ * @param {*} React - The `react` module.
+ * @returns {{ TinyDicesView: *, useTinyDices: (options?: TinyDicesHookOptions) => TinyDicesHook }}
+ *
+ * @example
+ * import React from 'react';
+ * const { TinyDicesView, useTinyDices } = createTinyDicesReact(React);
+ */
+const createTinyDicesReact = (React) => {
+  const {
+    createElement,
+    forwardRef,
+    useCallback,
+    useEffect,
+    useImperativeHandle,
+    useRef,
+    useState,
+  } = React;
+
+  /**
+   * Owns a TinyDices instance for the lifetime of a component.
+   *
+   * The instance is created once when the element is mounted and destroyed when it is unmounted.
+   * Skin props are applied when they change, and callbacks always see their latest version.
+   *
+   * @param {TinyDicesHookOptions} [options={}] - Skin props and event callbacks.
+   * @returns {TinyDicesHook}
+   */
+  const useTinyDices = (options = {}) => {
+    const ref = useRef(null);
+    const diceRef = useRef(null);
+    const appliedRef = useRef({});
+    const optionsRef = useRef(options);
+    optionsRef.current = options;
+
+    const [dice, setDice] = useState(null);
+
+    useEffect(() => {
+      const instance = new TinyDices(ref.current);
+      for (const name of FORWARDED_EVENTS) {
+        const prop = /** @type {keyof TinyDicesCallbacks} */ (
+          REACT_EVENT_PROPS[/** @type {keyof REACT_EVENT_PROPS} */ (name)]
+        );
+        instance.on(name, (/** @type {*} */ detail) => optionsRef.current[prop]?.(detail));
+      }
+
+      appliedRef.current = {};
+      applySkinProps(instance, optionsRef.current, appliedRef.current);
+      diceRef.current = instance;
+      setDice(instance);
+
+      return () => {
+        instance.destroy();
+        diceRef.current = null;
+        setDice(null);
+      };
+    }, []);
+
+    useEffect(
+      () => {
+        if (diceRef.current) applySkinProps(diceRef.current, options, appliedRef.current);
+      },
+      SKIN_PROPS.map((name) => options[/** @type {keyof TinyDicesHookOptions} */ (name)]),
+    );
+
+    const roll = useCallback(
+      /**
+       * @param {string|Array<number>} input
+       * @param {import('./index.mjs').RollOptions} [rollOptions]
+       */
+      (input, rollOptions) => {
+        /** @type {TinyDices|null} */
+        const instance = diceRef.current;
+        if (!instance) throw new Error('roll: the dice are not mounted.');
+        const result = instance.roll(input, rollOptions);
+        optionsRef.current.onRoll?.({ input, result });
+        return result;
+      },
+      [],
+    );
+
+    return { ref, dice, roll };
+  };
+
+  /**
+   * A dice tray component. Its ref exposes `roll(input, options)` and the `tinyDices` instance.
+   * `className` and `style` are applied to the outer element.
+   */
+  const TinyDicesView = forwardRef(
+    (
+      /** @type {TinyDicesHookOptions & { className?: string, style?: Record<string, any> }} */ props,
+      /** @type {*} */ forwardedRef,
+    ) => {
+      const { className, style, ...options } = props;
+      const { ref, dice, roll } = useTinyDices(options);
+      useImperativeHandle(forwardedRef, () => ({ roll, tinyDices: dice }), [roll, dice]);
+
+      // TinyDices adds its own classes, so the element it uses is never re-rendered by React
+      return createElement('div', { className, style }, createElement('div', { ref }));
+    },
+  );
+  TinyDicesView.displayName = 'TinyDices';
+
+  return { TinyDicesView, useTinyDices };
+};
+
+export { createTinyDicesReact, REACT_EVENT_PROPS };
@@ -0,0 +1,87 @@
+import TinyDices from './index.mjs';
+import { FORWARDED_EVENTS, SKIN_PROPS, applySkinProps } from './DiceAdapter.mjs';
+
+/**
+ * Creates the Vue 3 adapter. Tiny Dices has no dependencies, so it uses the Vue of your app.
+ *
+ * The component accepts the skin props (`bg-skin`, `text-skin`, ...) and emits every TinyDices event
+ * with its payload, plus `roll` with `{ input, result }` after `roll()` starts a roll.
+ * Its template ref exposes `roll(input, options)` and the `tinyDices` instance.
+ *
+ * @param {*} Vue - The `vue` module.
+ * @returns {*} The component.
+ *
+ * @example
+ * import * as Vue from 'vue';
+ * const TinyDicesView = createTinyDicesVue(Vue);
+ */
+const createTinyDicesVue = (Vue) => {
+  const { defineComponent, h, onBeforeUnmount, onMounted, ref, shallowRef, watch } = Vue;
+
+  return defineComponent({
+    name: 'TinyDices',
+    props: Object.fromEntries(
+      SKIN_PROPS.map((name) => [name, { type: String, default: undefined }]),
+    ),
+    emits: [...FORWARDED_EVENTS, 'roll'],
+
+    /**
+     * @param {import('./DiceAdapter.mjs').SkinProps} props
+     * @param {{ emit: (event: string, detail: *) => void, expose: (exposed: Record<string, any>) => void }} context
+     */
+    setup(props, { emit, expose }) {
+      const body = ref(null);
+      // A shallow ref, since the private fields of TinyDices do not work through a reactive proxy
+      const dice = shallowRef(null);
+      /** @type {import('./DiceAdapter.mjs').SkinProps} */
+      const applied = {};
+
+      onMounted(() => {
+        const instance = new TinyDices(body.value);
+        for (const name of FORWARDED_EVENTS)
+          instance.on(name, (/** @type {*} */ detail) => emit(name, detail));
+        applySkinProps(instance, props, applied);
+        dice.value = instance;
+      });
+
+      watch(
+        () =>
+          SKIN_PROPS.map(
+            (name) => props[/** @type {keyof import('./DiceAdapter.mjs').SkinProps} */ (name)],
+          ),
+        () => {
+          if (dice.value) applySkinProps(dice.value, props, applied);
+        },
+      );
+
+      onBeforeUnmount(() => {
+        dice.value?.destroy();
+        dice.value = null;
+      });
+
+      /**
+       * Rolls the dice, like `TinyDices.roll`, and emits `roll` with `{ input, result }`.
+       *
+       * @param {string|Array<number>} input
+       * @param {import('./index.mjs').RollOptions} [options]
+       * @returns {*} The same value returned by `TinyDices.roll`.
+       * @throws {Error} If the component is not mounted, or the input or an option is invalid.
+       */
+      const roll = (input, options) => {
+        /** @type {TinyDices|null} */
+        const instance = dice.value;
+        if (!instance) throw new Error('roll: the dice are not mounted.');
+        const result = instance.roll(input, options);
+        emit('roll', { input, result });
+        return result;
+      };
+
+      expose({ roll, tinyDices: dice });
+
+      // TinyDices adds its own classes, so the element it uses never receives the fallthrough attributes
+      return () => h('div', null, [h('div', { ref: body })]);
+    },
+  });
+};
+
+export { createTinyDicesVue };
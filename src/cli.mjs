@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+import TinyDices from './index.mjs';
+import { isDiceNotation } from './DiceNotation.mjs';
+import { formatRollText } from './DiceFormat.mjs';
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {string[]} inputs - Dice configs or expressions to roll.
+ * @property {boolean} canZero - Whether 0 is a valid result.
+ * @property {number} repeat - How many times every input is rolled.
+ * @property {number|string|null} seed - Seed of the first roll, or null for random rolls.
+ * @property {boolean} json - Whether the output is printed as JSON.
+ * @property {boolean} help - Whether the usage text was requested.
+ * @property {boolean} version - Whether the version was requested.
+ */
+
+/**
+ * A finished roll, as printed by the CLI.
+ * @typedef {Omit<import('./DiceHistory.mjs').HistoryEntry, 'id'|'timestamp'>} CliRoll
+ */
+
+const USAGE = `Usage: tiny-dices [options] <dice...>
+
+Rolls dice using the same rules as the TinyDices library.
+
+Dice:
+  6,6,20            Comma-separated max values (a d6, another d6 and a d20)
+  4d6kh3+2          Dice notation (keep/drop, exploding dice and modifiers)
+
+Options:
+  -z, --can-zero    Allow 0 as a die result
+  -r, --repeat <n>  Roll every input n times (default: 1)
+  -s, --seed <seed> Seed of the first roll, for replayable results
+  -j, --json        Print the results as JSON
+  -h, --help        Show this help
+  -v, --version     Show the version
+`;
+
+/**
+ * Error thrown when the command-line arguments are invalid.
+ */
+class CliUsageError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'CliUsageError';
+  }
+}
+
+/**
+ * Parses the command-line arguments.
+ *
+ * @param {string[]} args - The arguments, without the node and script paths.
+ * @returns {CliOptions}
+ * @throws {CliUsageError} If an option is unknown or has an invalid value.
+ */
+const parseArgs = (args) => {
+  /** @type {CliOptions} */
+  const options = {
+    inputs: [],
+    canZero: false,
+    repeat: 1,
+    seed: null,
+    json: false,
+    help: false,
+    version: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg, undefined];
+
+    /** @returns {string} */
+    const readValue = () => {
+      if (inlineValue !== undefined) return inlineValue;
+      if (i + 1 >= args.length) throw new CliUsageError(`Missing value for ${name}.`);
+      return args[++i];
+    };
+
+    switch (name) {
+      case '-z':
+      case '--can-zero':
+        options.canZero = true;
+        break;
+
+      case '-r':
+      case '--repeat': {
+        const value = readValue();
+        const repeat = Number(value);
+        if (!/^\d+$/.test(value) || repeat < 1)
+          throw new CliUsageError(`Invalid repeat count: ${value}. It must be a positive integer.`);
+        options.repeat = repeat;
+        break;
+      }
+
+      case '-s':
+      case '--seed': {
+        const value = readValue();
+        options.seed = /^\d+$/.test(value) ? Number(value) : value;
+        break;
+      }
+
+      case '-j':
+      case '--json':
+        options.json = true;
+        break;
+
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+
+      default:
+        if (arg.startsWith('-') && !/^-\d/.test(arg))
+          throw new CliUsageError(`Unknown option: ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+  return options;
+};
+
+/**
+ * Rolls every input the requested amount of times.
+ *
+ * @param {CliOptions} options
+ * @returns {CliRoll[]}
+ * @throws {CliUsageError} If a dice config is invalid.
+ * @throws {import('./DiceNotation.mjs').DiceNotationError} If a dice expression is invalid.
+ */
+const rollAll = (options) => {
+  const dice = new TinyDices();
+  const history = dice.enableHistory(Infinity);
+  if (options.seed !== null) dice.seed = options.seed;
+
+  for (let i = 0; i < options.repeat; i++) {
+    for (const input of options.inputs) {
+      if (isDiceNotation(input)) {
+        dice.roll(input, options.canZero);
+        continue;
+      }
+
+      const config = dice.parseRollConfig(input);
+      if (config.length < 1 || config.some((max) => max < 1))
+        throw new CliUsageError(
+          `Invalid dice config: ${input}. Use max values like 6,6,20 or dice notation like 2d6+3.`,
+        );
+      dice.roll(config, options.canZero);
+    }
+  }
+
+  return history.entries.map(({ id, timestamp, ...roll }) => roll);
+};
+
+/**
+ * Formats a roll as a single human-readable line, such as `4d6kh3+2 → [5, 4, 3, (1↓)] + 2 = 14`.
+ *
+ * The seed is added after the line, so the roll can be replayed with `--seed`.
+ *
+ * @param {CliRoll} roll
+ * @returns {string}
+ */
+const formatRoll = (roll) => {
+  const seed = roll.seed !== null ? `  (seed ${roll.seed})` : '';
+  return `${formatRollText(roll)}${seed}`;
+};
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} args - The arguments, without the node and script paths.
+ * @returns {number} The exit code.
+ */
+const run = (args) => {
+  try {
+    const options = parseArgs(args);
+    if (options.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    if (options.version) {
+      const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+      process.stdout.write(`${pkg.version}\n`);
+      return 0;
+    }
+    if (options.inputs.length < 1) throw new CliUsageError('No dice given.');
+
+    const rolls = rollAll(options);
+    if (options.json) process.stdout.write(`${JSON.stringify(rolls, null, 2)}\n`);
+    else process.stdout.write(`${rolls.map(formatRoll).join('\n')}\n`);
+    return 0;
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    process.stderr.write(`tiny-dices: ${message}\n`);
+    if (err instanceof CliUsageError) {
+      process.stderr.write('Run "tiny-dices --help" for usage.\n');
+      return 2;
+    }
+    return 1;
+  }
+};
+
+process.exitCode = run(process.argv.slice(2));
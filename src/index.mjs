@@ -1,4 +1,73 @@
-import { isJsonObject, TinyColorValidator } from 'tiny-essentials';
+import { isJsonObject, TinyColorValidator, TinyEvents } from 'tiny-essentials';
+import {
+  DiceNotationError,
+  evaluateDiceNotation,
+  getDroppedDice,
+  isDiceNotation,
+  parseDiceNotation,
+} from './DiceNotation.mjs';
+import {
+  assignFaceValues,
+  getDiceShape,
+  getFaceClipPath,
+  getFaceTransform,
+  getFrontTransform,
+} from './DiceGeometry.mjs';
+import { createCryptoRandom, createSeededRandom, nextSeed, normalizeSeed } from './DiceRandom.mjs';
+import DiceHistory from './DiceHistory.mjs';
+import { BUILT_IN_THEMES } from './DiceThemes.mjs';
+import { BUILT_IN_FACE_SETS, describeDice, normalizeFaces } from './DiceFaces.mjs';
+import {
+  countPoolSuccesses,
+  evaluateDicePool,
+  getPoolClasses,
+  normalizePoolOptions,
+  scorePoolDie,
+} from './DicePool.mjs';
+import {
+  DICE_SOUND_NAMES,
+  playBuffer,
+  playCriticalSound,
+  playLandSound,
+  playRollSound,
+} from './DiceSounds.mjs';
+import {
+  FLICK_MIN_SPEED,
+  THROW_MAX_TIME,
+  createThrowState,
+  getFlickVelocity,
+  getRestingAngle,
+  stepThrow,
+} from './DicePhysics.mjs';
+import { getFlickerDelay } from './DiceFlicker.mjs';
+import { DICE_LAYOUTS, scatterPositions } from './DiceLayout.mjs';
+import {
+  createDiceGroup,
+  getGroupInfo,
+  getGroupSubtotal,
+  normalizeGroupName,
+  normalizeGroupOptions,
+  updateGroupLabel,
+  updateGroupTotal,
+} from './DiceGroups.mjs';
+import {
+  getSnapshotDieData,
+  parseSnapshot,
+  SNAPSHOT_VERSION,
+  snapshotDie,
+  snapshotGroup,
+} from './DiceSnapshot.mjs';
+import {
+  analyzeDistribution,
+  getConfigDistribution,
+  getNotationDistribution,
+} from './DiceProbability.mjs';
+import {
+  formatRollHTML,
+  formatRollJSON,
+  formatRollMarkdown,
+  formatRollText,
+} from './DiceFormat.mjs';
 
 /**
  * @typedef {Object} PreDiceResult
@@ -10,7 +79,233 @@ import { isJsonObject, TinyColorValidator } from 'tiny-essentials';
 
 /**
  * The final dice result.
- * @typedef {PreDiceResult & { result: number }} DiceResult
+ *
+ * `max` is the maximum value of the die.
+ * `seed` is the seed used by the roll that produced this die, or `null` if the instance is not seeded.
+ * `name` is the name given to the die with the `labels` roll option, when there is one.
+ * @typedef {PreDiceResult & { result: number, max: number, seed: number|null, name?: string }} DiceResult
+ */
+
+/**
+ * A custom-faced die, with the face it landed on.
+ *
+ * `result` is the value of the face (0 for symbol faces) and `max` is the number of faces.
+ * @typedef {DiceResult & { face: number, label: string, value: number|null, faceSet: string|null }} FaceDiceResult
+ */
+
+/**
+ * A die rolled from a dice expression, with its notation metadata.
+ * @typedef {DiceResult & import('./DiceNotation.mjs').NotationDie} NotationDiceResult
+ */
+
+/**
+ * The structured result of a dice expression roll.
+ * @typedef {Object} NotationRollResult
+ * @property {string} expression - The original expression.
+ * @property {boolean} canZero - Whether 0 was a valid die result.
+ * @property {NotationDiceResult[]} dice - Every rolled die, including dropped and exploded ones.
+ * @property {import('./DiceNotation.mjs').NotationTermResult[]} terms - Per-term breakdown.
+ * @property {number[]} modifiers - Signed flat modifiers found in the expression.
+ * @property {number} total - The grand total of the expression.
+ * @property {number|null} seed - The seed used by this roll. Setting it back as `seed` replays the roll.
+ */
+
+/**
+ * A die rolled by a dice pool, with its success data.
+ * @typedef {DiceResult & import('./DicePool.mjs').PoolDie} PoolDiceResult
+ */
+
+/**
+ * The structured result of a dice pool roll.
+ *
+ * `total` holds the net successes, so the result can be formatted like any other roll.
+ * @typedef {Object} PoolRollResult
+ * @property {string} input - The pool described as `<count>d<sides>>=<target>`, such as `5d10>=8`.
+ * @property {boolean} canZero - Whether 0 was a valid die result.
+ * @property {Required<import('./DicePool.mjs').PoolOptions>} rules - The rules used by the pool.
+ * @property {PoolDiceResult[]} dice - Every rolled die, including the ones added by "again" rolls.
+ * @property {number} successes - Net successes, after cancellations. Never below 0.
+ * @property {number} failures - Amount of dice that did not reach the target.
+ * @property {number} botches - Amount of botch dice.
+ * @property {boolean} botched - True if no die reached the target and at least one die is a botch.
+ * @property {number[]} modifiers - Always empty, pools have no flat modifiers.
+ * @property {number} total - Same as `successes`.
+ * @property {number|null} seed - The seed used by this roll. Setting it back as `seed` replays the roll.
+ */
+
+/**
+ * A generic event listener callback function.
+ *
+ * @callback handler
+ * @param {...any} payload - The data payload passed when the event is triggered.
+ * @returns {void}
+ */
+
+/**
+ * The seed and the random generator of a single roll.
+ * @typedef {Object} RollRandom
+ * @property {number|null} seed - The seed of the roll, or null for restored dice.
+ * @property {import('./DiceRandom.mjs').RandomFunction} random - The generator of the roll.
+ */
+
+/**
+ * The rules of the roll that created some tray dice, shared by all of them.
+ * Used to score the dice again when some of them are rerolled.
+ * @typedef {Object} DieSource
+ * @property {number|null} historyId - Id of the history entry of the roll, or null if it was not recorded.
+ * @property {import('./DiceNotation.mjs').ParsedNotation|null} notation - The parsed expression of a dice expression roll, or null.
+ * @property {Required<import('./DicePool.mjs').PoolOptions>|null} rules - The rules of a dice pool roll, or null.
+ */
+
+/**
+ * Internal tracking data of a single roll, used to emit its lifecycle events.
+ * @typedef {Object} RollSession
+ * @property {DiceResult[]} dice - Dice results of the roll, in order.
+ * @property {boolean[]} stopped - Whether each die has already stopped.
+ * @property {number|null} seed - The seed used by the roll, or null for restored dice.
+ * @property {import('./DiceRandom.mjs').RandomFunction} random - The generator of the roll, built from its seed.
+ * @property {boolean} canZero - Whether 0 was a valid result.
+ * @property {boolean} rollInfinity - Whether the dice spin infinitely.
+ * @property {DiceSkin|null} skin - The skin given to the roll call, or null if none.
+ * @property {Required<DiceAnimation>} animation - The animation settings of the roll.
+ * @property {Array<string|null>} labels - Names of the dice of the roll, by position.
+ * @property {HTMLElement|null} container - Element the dice are inserted into, or null for the dice area.
+ * @property {string|null} group - Name of the group the dice are rolled into, or null.
+ * @property {DieSource} source - The rules of the roll, given to its dice.
+ * @property {number|null} total - The total of the roll, when it is not just the sum of the dice.
+ * @property {boolean} started - Whether the `rollstart` event was already emitted.
+ * @property {boolean} ended - Whether every die has stopped and `rollend` was emitted.
+ * @property {boolean} interrupted - Whether the roll was interrupted before all dice stopped.
+ * @property {any} reason - The reason the roll was interrupted with, or null.
+ * @property {Array<() => void>} onEnd - Callbacks to run once the roll ends.
+ * @property {Array<(reason: any) => void>} onInterrupt - Callbacks to run if the roll is interrupted.
+ */
+
+/**
+ * Skin values that override the instance skin for some dice.
+ * Missing or invalid values fall back to the instance skin.
+ * @typedef {Object} DiceSkin
+ * @property {string|null} [bgSkin] - CSS color or `linear-gradient(...)` of the faces.
+ * @property {string|null} [textSkin] - CSS color of the numbers.
+ * @property {string|null} [borderSkin] - CSS border of the faces.
+ * @property {string|null} [bgImg] - `data:` image URL of the faces.
+ * @property {string|null} [selectionBgSkin] - CSS color or `linear-gradient(...)` of the selected text background.
+ * @property {string|null} [selectionTextSkin] - CSS color of the selected text.
+ */
+
+/**
+ * Animation settings of the dice. Missing values use the instance settings.
+ * @typedef {Object} DiceAnimation
+ * @property {number} [duration] - Length of the spin, in milliseconds. Dice stop when it ends.
+ * @property {string} [easing] - CSS easing function of the spin, such as `ease-out` or `cubic-bezier(...)`.
+ * @property {number} [minRotations] - Fewest whole turns a die spins around each axis.
+ * @property {number} [maxRotations] - Most whole turns a die spins around each axis.
+ * @property {number} [stagger] - Delay between the start of each die of a roll, in milliseconds.
+ * @property {boolean} [flicker] - Whether the faces cycle through random values while the die spins.
+ * @property {number} [flickerChanges] - How many times the faces change during one spin when `flicker` is enabled.
+ */
+
+/**
+ * Settings of a roll, accepted by `roll`, `rollAsync`, `rollDice`, `rollDices`, `rollNotation`,
+ * `rollGroup` and `rollGroups` instead of their positional arguments, and by `rollFaces` and `rollPool`.
+ * @typedef {Object} RollOptions
+ * @property {boolean} [canZero=false] - Whether 0 is a valid result.
+ * @property {boolean} [infinite=false] - Whether the dice spin infinitely.
+ * @property {number} [stopTime] - Spin duration of this roll, in milliseconds. Same as `animation.duration`.
+ * @property {DiceSkin|null} [skin=null] - Skin overrides for the dice of this roll.
+ * @property {DiceAnimation|null} [animation=null] - Animation overrides for the dice of this roll.
+ * @property {Array<string|null>|null} [labels=null] - Names of the dice, by position, used in screen reader labels and announcements.
+ * @property {number|string|null} [seed=null] - Seed of this roll only. The instance seed is not changed.
+ * @property {HTMLElement|null} [container=null] - Element the dice are inserted into, instead of the dice area.
+ */
+
+/**
+ * Validated settings of a roll.
+ * @typedef {Object} RollSettings
+ * @property {boolean} canZero
+ * @property {boolean} infinite
+ * @property {DiceSkin|null} skin
+ * @property {DiceAnimation|null} animation
+ * @property {Array<string|null>} labels
+ * @property {number|null} seed
+ * @property {HTMLElement|null} container
+ * @property {string|null} [group] - Name of the group the dice are rolled into. Only set by the group methods.
+ */
+
+/** @typedef {import('./DiceGroups.mjs').DiceGroup} DiceGroup */
+/** @typedef {import('./DiceGroups.mjs').DiceGroupInfo} DiceGroupInfo */
+/** @typedef {import('./DiceGroups.mjs').DiceGroupOptions} DiceGroupOptions */
+
+/**
+ * How the dice are placed in the dice area.
+ * @typedef {'row'|'scatter'|'grid'|'stack'} DiceLayout
+ */
+
+/**
+ * A complete skin configuration that can be saved under a name and applied in one call.
+ * Missing values use the default skin when the theme is applied.
+ * @typedef {DiceSkin} DiceTheme
+ */
+
+/**
+ * A die currently shown in the tray, with the data needed to reroll it.
+ * @typedef {Object} TrayDie
+ * @property {DiceResult} die - The current result of the die.
+ * @property {number} max - The maximum value of the die.
+ * @property {boolean} canZero - Whether 0 is a valid result.
+ * @property {boolean} rollInfinity - Whether the die spins infinitely.
+ * @property {boolean} locked - Whether the die is kept by `rerollUnlocked`.
+ * @property {HTMLElement|null} cube - The die container, or null in headless mode.
+ * @property {DiceElement|null} element - The faces and wrapper of the die, or null if the cube script did not add them.
+ * @property {DiceSkin|null} skin - The skin given to the roll that created the die.
+ * @property {boolean} stopped - Whether the die has stopped spinning.
+ * @property {import('./DiceFaces.mjs').DiceFace[]|null} faces - The faces of a custom-faced die, or null.
+ * @property {string|null} faceSet - The name of the face set of a custom-faced die, or null.
+ * @property {string|null} name - The name given to the die with the `labels` roll option, or null.
+ * @property {string|null} group - The name of the group of the die, or null.
+ * @property {DieSource} source - The rules of the roll that created the die.
+ */
+
+/** @typedef {import('./DiceSnapshot.mjs').DiceSnapshotDie} DiceSnapshotDie */
+/** @typedef {import('./DiceSnapshot.mjs').DiceSnapshot} DiceSnapshot */
+
+/**
+ * Data given to custom sound callbacks.
+ * @typedef {Object} DiceSoundInfo
+ * @property {import('./DiceSounds.mjs').DiceSoundName} name - The sound being played.
+ * @property {AudioContext} context - The audio context of the instance.
+ * @property {AudioNode} destination - Node that applies the volume. Connect your sounds to it.
+ * @property {number} volume - The current volume, from 0 to 1.
+ * @property {number} when - Time the sound should start, in the audio context clock.
+ * @property {DiceResult[]} dice - The dice of the roll for `roll`, or the die that stopped for `land` and `critical`.
+ * @property {number|null} index - Index of the die inside its roll, or null for `roll`.
+ */
+
+/**
+ * A custom sound: a function that plays it, called with the sound data.
+ * @callback DiceSoundCallback
+ * @param {DiceSoundInfo} info
+ * @returns {void}
+ */
+
+/**
+ * Data given to the die label formatter.
+ * @typedef {Object} DieLabelInfo
+ * @property {number} index - Index of the die inside the tray.
+ * @property {number} max - The maximum value of the die.
+ * @property {number} result - The rolled value.
+ * @property {string|null} label - The face label of a custom-faced die, or null.
+ * @property {string|null} name - The name given to the die with the `labels` roll option, or null.
+ * @property {boolean} rolling - Whether the die is still spinning.
+ * @property {boolean} locked - Whether the die is locked.
+ * @property {boolean} dropped - Whether the die was dropped by a keep/drop modifier.
+ */
+
+/**
+ * Data given to the roll announcement formatter.
+ * @typedef {Object} AnnouncementInfo
+ * @property {Array<{ max: number, result: number, label: string|null, name: string|null, dropped: boolean }>} dice - The dice of the finished roll.
+ * @property {number} total - The total of the roll (dropped dice are not counted).
  */
 
 /**
@@ -29,6 +324,18 @@ import { isJsonObject, TinyColorValidator } from 'tiny-essentials';
  * @property {() => void} stop - Function that stops the cube rolling.
  */
 
+/**
+ * Settings of the die being created, given to the cube script as its last argument.
+ * @typedef {Object} CubeOptions
+ * @property {() => DiceSkin|null} [getSkin] - Gets the current skin of the die, after every override is applied.
+ * @property {Required<DiceAnimation> & { delay: number }} [animation] - Animation settings of the die.
+ *           `delay` is the stagger of the die inside its roll, in milliseconds.
+ * @property {import('./DiceFaces.mjs').DiceFace[]|null} [faces=null] - Faces of a custom-faced die.
+ * @property {number[]|null} [restored=null] - Face values of a restored die. Restored dice stop right away.
+ * @property {boolean} [thrown=false] - Whether the die is moved by the throw simulation instead of the spin animation.
+ * @property {import('./DiceRandom.mjs').RandomFunction} [random] - Generator of the roll the die belongs to.
+ */
+
 /**
  * TinyDices - JavaScript class for rendering animated 3D dice with HTML/CSS.
  *
@@ -51,6 +358,8 @@ import { isJsonObject, TinyColorValidator } from 'tiny-essentials';
  * dice.roll([10, 10], false, true);     // Rolls 2d10 with infinite spin
  * dice.roll([10, 10], true);            // Rolls 2d10 starting from 0
  * dice.roll([4, 8, 6], true, true);     // Rolls d4, d8, and d6 from 0 with infinite spin
+ * dice.roll('4d6kh3');                  // Rolls 4d6 and keeps the 3 highest
+ * dice.roll('1d8+1d6-2');               // Rolls d8 and d6, then subtracts 2
  *
  * Customization:
  * dice.setBgSkin('gray');                // Sets background skin to gray
@@ -60,202 +369,624 @@ import { isJsonObject, TinyColorValidator } from 'tiny-essentials';
  * dice.getBgSkin();                       // Gets current or default background skin
  * dice.getTextSkin();                     // Gets current or default text skin
  * dice.getBorderSkin();                   // Gets current or default border skin
+ *
+ * Events (via `on`, `once` and `off`):
+ * - `rollstart` `{ dice, seed, canZero, rollInfinity }` - Dice were rolled and inserted.
+ * - `diestop` `{ index, result, die, seed }` - A die finished its animation.
+ * - `rollend` `{ dice, seed }` - Every die of the roll has stopped.
+ * - `reroll` `{ index, die, sequence }` - The faces of a die were re-rolled.
+ * - `skinchange` `{ name, value }` - A skin setting was changed.
+ * - `destroy` - The instance was destroyed.
+ *
+ * Events are also emitted in headless mode, where dice stop right after being rolled.
  */
 class TinyDices {
   /**
-   * Stores all current dice elements created by the instance.
-   *
-   * Each element follows the `DiceElement` structure, containing cube faces,
-   * its container, and the cube wrapper for rotation.
-   *
-   * @type {DiceElement[]}
+   * Error class thrown when a dice expression cannot be parsed.
    */
-  #elements = [];
+  static DiceNotationError = DiceNotationError;
 
-  #cubeId = 0; // used for incremental z-index to avoid overlapping issues
-  #destroyed = false;
-  #stopTime = 2000;
-  #rdChangerAmount = 1000;
+  /**
+   * Creates a deterministic pseudo-random generator from a seed.
+   */
+  static createSeededRandom = createSeededRandom;
 
-  /** @type {string|null} */ #defaultBgSkin = 'linear-gradient(135deg, #ff3399, #33ccff)';
-  /** @type {string|null} */ #defaultBorderSkin = '2px solid rgba(255, 255, 255, 0.2)';
-  /** @type {string|null} */ #defaultSelectionTextSkin = '#FFF';
-  /** @type {string|null} */ #defaultSelectionBgSkin = '#000';
-  /** @type {string|null} */ #defaultTextSkin = 'white';
-  /** @type {string|null} */ #selectionBgSkin = null;
-  /** @type {string|null} */ #selectionTextSkin = null;
-  /** @type {string|null} */ #bgSkin = null;
-  /** @type {string|null} */ #bgImg = null;
-  /** @type {string|null} */ #textSkin = null;
-  /** @type {string|null} */ #borderSkin = null;
+  /**
+   * Creates a random generator backed by `crypto.getRandomValues`.
+   */
+  static createCryptoRandom = createCryptoRandom;
 
-  /** @type {HTMLElement|null} */ #diceBase = null;
-  /** @type {HTMLElement|null} */ diceArea = null;
-  /** @type {HTMLElement|null} */ container = null;
+  /**
+   * Capped roll log class used by `enableHistory`.
+   */
+  static DiceHistory = DiceHistory;
 
   /**
-   * Creates a cube DOM element with animated faces and randomized values.
+   * Skin names accepted by the per-die skin overrides.
    *
-   * @param {number} result - The main value to appear on the front face.
-   * @param {number} max - The maximum possible value for the die.
-   * @param {boolean} [rollInfinity=false] - If true, the cube will spin infinitely.
-   * @returns {CubeResult} - The cube element and an array of all face values.
+   * @type {Array<keyof DiceSkin>}
    */
-  #createCube;
+  static #skinNames = [
+    'bgSkin',
+    'textSkin',
+    'borderSkin',
+    'bgImg',
+    'selectionBgSkin',
+    'selectionTextSkin',
+  ];
 
   /**
-   * Creates a new TinyDices instance attached to a specified HTML element.
+   * Default accessible label of a die, such as `d20: 17, locked` or `Attack, d20: 17`.
    *
-   * @param {HTMLElement} diceBase - The HTML container element where the dice will be rendered.
-   * @param {(result: number, max: number, canZero?: boolean, rollInfinity?: boolean) => CubeResult} [createCubeScript=null]
-   *        - Optional function to override the internal cube creation logic.
-   *          If provided, it will be used instead of the built-in method.
-   *
-   *          The function should accept the following parameters:
-   *            - result {number} - The main value to appear on the front face of the die.
-   *            - max {number} - The maximum value allowed for a face of the die.
-   *            - canZero {boolean} [optional] - If true, faces can include the number 0.
-   *            - rollInfinity {boolean} [optional] - If true, the die spins infinitely.
+   * @param {DieLabelInfo} info
+   * @returns {string}
+   */
+  static #defaultDieLabel({ max, result, label, name, rolling, locked, dropped }) {
+    const state = [];
+    if (dropped) state.push('dropped');
+    if (locked) state.push('locked');
+    return `${name ? `${name}, ` : ''}${label === null ? `d${max}` : 'Die'}: ${rolling ? 'rolling' : (label ?? result)}${state.length > 0 ? `, ${state.join(', ')}` : ''}`;
+  }
+
+  /**
+   * Default roll announcement, such as `Rolled 2 dice: 4, 6. Total: 10.`
    *
-   *          And return:
-   *            - {HTMLElement} cube - The DOM element representing the dice cube.
-   *            - {number[]} sequence - An array containing all the face values of the die.
+   * @param {AnnouncementInfo} info
+   * @returns {string}
+   */
+  static #defaultAnnouncement({ dice, total }) {
+    const values = dice.map(
+      (die) =>
+        `${die.name ? `${die.name} ` : ''}${die.label ?? die.result}${die.dropped ? ' (dropped)' : ''}`,
+    );
+    return `Rolled ${dice.length} ${dice.length === 1 ? 'die' : 'dice'}: ${values.join(', ')}. Total: ${total}.`;
+  }
+
+  /**
+   * Stores the dice elements added by the cube script, keyed by their container,
+   * until the tray die they belong to takes them.
    *
+   * Each element follows the `DiceElement` structure, containing cube faces,
+   * its container, and the cube wrapper for rotation.
    *
-   * When implementing a custom dice creation logic, you can use the following internal methods:
+   * @type {Map<HTMLElement, DiceElement>}
+   */
+  #elements = new Map();
+
+  #events = new TinyEvents();
+
+  /**
+   * Rolls that still have dice spinning.
    *
-   * @function tinyDice.addElement
-   * Adds a structured dice object to the internal list for tracking and future cleanup.
-   * This method expects an object with `faces`, `container`, and `wrapper` properties.
+   * @type {Set<RollSession>}
+   */
+  #sessions = new Set();
+
+  /** @type {RollSession|null} */ #lastSession = null;
+
+  /**
+   * Dice currently shown in the tray, in order.
    *
-   * @function tinyDice.rollNumber(max: number, canZero: boolean): number
-   * Generates a random number based on the maximum value and zero allowance.
-   * Useful when assigning values to non-front faces of the die.
+   * @type {TrayDie[]}
+   */
+  #tray = [];
+
+  #lockOnClick = false;
+  #keyboardControl = false;
+  #throwMode = false;
+
+  /**
+   * The pointer drag of the throw mode, while the pointer is down.
    *
-   * @function tinyDice.updateDiceFaceSkin(face: HTMLElement): void
-   * Applies the dice face style or skin to a given face element.
-   * This is usually a visual effect or texture that the user can define.
+   * @type {{ pointerId: number, samples: import('./DicePhysics.mjs').PointerSample[] }|null}
+   */
+  #throwDrag = null;
+
+  /**
+   * Cancels the face flicker timers of the dice still spinning, by die container.
    *
-   * @function tinyDice.addCubeId(): number
-   * Returns a unique identifier for each die. This value is typically used to set the `z-index`
-   * of the container, so that new dice appear above older ones.
+   * @type {Map<HTMLElement, () => void>}
+   */
+  #flickers = new Map();
+
+  /**
+   * Named dice groups, in creation order.
    *
+   * @type {Map<string, DiceGroup>}
+   */
+  #groups = new Map();
+
+  /** @type {DiceLayout} */ #layout = 'row';
+
+  /**
+   * Spot of each scattered die, by die container. Dice keep their spot until they are replaced.
    *
+   * @type {WeakMap<Element, import('./DiceLayout.mjs').ScatterPosition>}
    */
-  constructor(diceBase, createCubeScript) {
-    if (typeof createCubeScript === 'function') this.#createCube = createCubeScript;
-    else this.#insertCreateCube();
-    if (typeof HTMLElement !== 'undefined' && diceBase instanceof HTMLElement) {
-      this.#diceBase = diceBase;
-      this.#diceBase.classList.add('tiny-dices-body');
+  #scatterSpots = new WeakMap();
 
-      this.diceArea = document.createElement('div');
-      this.diceArea.classList.add('dice-area');
+  /** @type {ResizeObserver|null} */ #layoutObserver = null;
 
-      this.#diceBase.appendChild(this.diceArea);
-    }
-  }
+  /** Width of the dice area when the scattered dice were last placed. */
+  #layoutWidth = -1;
+
+  /** @type {boolean|null} */ #reducedMotion = null;
+
+  /** @type {HTMLElement|null} */ #liveRegion = null;
 
   /**
-   * Internal helper to check if the dice base element is a valid HTMLElement.
+   * Builds the accessible label of a die.
    *
-   * @returns {boolean} - True if #diceBase is a valid HTMLElement.
+   * @type {(info: DieLabelInfo) => string}
    */
-  #existsHtml() {
-    return typeof HTMLElement !== 'undefined' && this.#diceBase instanceof HTMLElement
-      ? true
-      : false;
-  }
+  #dieLabelFormatter = TinyDices.#defaultDieLabel;
 
   /**
-   * Checks if the internal HTML structure (dice base container) still exists in the DOM.
+   * Builds the text announced to screen readers once a roll ends.
    *
-   * Useful to verify if the TinyDices component is still rendered and operational.
+   * @type {(info: AnnouncementInfo) => string}
+   */
+  #announceFormatter = TinyDices.#defaultAnnouncement;
+
+  /**
+   * Registered themes, starting with the built-in presets.
    *
-   * @returns {boolean} - Returns `true` if the HTML elements exist, otherwise `false`.
+   * @type {Map<string, DiceTheme>}
    */
-  existsHtml() {
-    return this.#existsHtml();
-  }
+  #themes = new Map(Object.entries(BUILT_IN_THEMES).map(([name, theme]) => [name, { ...theme }]));
 
   /**
-   * Increments and returns the current cube ID.
+   * Registered face sets of custom-faced dice, starting with the built-in sets.
    *
-   * This ID is used to set a unique z-index for each die,
-   * ensuring that newer dice appear above older ones in the stack.
+   * @type {Map<string, import('./DiceFaces.mjs').DiceFace[]>}
+   */
+  #faceSets = new Map(
+    Object.entries(BUILT_IN_FACE_SETS).map(([name, faces]) => [
+      name,
+      faces.map((face) => ({ ...face })),
+    ]),
+  );
+
+  /** @type {Map<number, DiceSkin>} */ #indexSkins = new Map();
+  /** @type {Map<number, DiceSkin>} */ #maxSkins = new Map();
+
+  /** @type {DiceHistory|null} */ #history = null;
+
+  /** @type {AudioContext|null} */ #audioContext = null;
+  /** @type {GainNode|null} */ #soundGain = null;
+
+  /** Whether the audio context was created by `enableSounds`, so `disableSounds` closes it. */
+  #ownsAudioContext = false;
+
+  #soundVolume = 0.5;
+  #soundMuted = false;
+
+  /**
+   * Custom sounds that replace the built-in ones.
    *
-   * @returns {number} The current cube ID before incrementing.
+   * @type {Map<import('./DiceSounds.mjs').DiceSoundName, AudioBuffer|DiceSoundCallback>}
    */
-  addCubeId() {
-    return this.#cubeId++;
-  }
+  #customSounds = new Map();
 
   /**
-   * Validates and stores a new dice element into the internal list.
+   * Landing sounds started in the same audio tick, so many dice stopping together are spread out.
    *
-   * This method ensures that the given object has the correct structure
-   * before appending it to the internal array of rendered dice elements.
+   * @type {{ time: number, count: number }}
+   */
+  #landBatch = { time: -1, count: 0 };
+
+  /**
+   * Emits an event, triggering all registered handlers for that event.
    *
-   * @param {DiceElement} item - The dice element object to validate and store.
-   * @returns {boolean} `true` if the item was valid and added; otherwise, `false`.
+   * @param {string|string[]} event - The event name to emit.
+   * @param {...any} payload - Optional data to pass to each handler.
+   * @returns {boolean[]} True if any listeners were called, false otherwise.
    */
-  #addElement(item) {
-    if (
-      isJsonObject(item) &&
-      Array.isArray(item.faces) &&
-      typeof HTMLElement !== 'undefined' &&
-      item.container instanceof HTMLElement &&
-      item.wrapper instanceof HTMLElement
-    ) {
-      this.#elements.push(item);
-      return true;
-    }
-    return false;
+  #emit(event, ...payload) {
+    return this.#events.emit(event, ...payload);
   }
 
   /**
-   * Adds a new dice element to the internal storage.
-   *
-   * This is the public wrapper for the internal method `#addElement`.
-   * It validates the structure of the dice element before adding.
-   *
-   * @param {DiceElement} item
-   *        - The dice element object to add. It must contain:
-   *          - `faces`: an array of six face elements,
-   *          - `container`: the outer wrapper element,
-   *          - `wrapper`: the rotating inner cube element.
+   * Enables or disables throwing an error when the maximum number of listeners is exceeded.
    *
-   * @returns {boolean} `true` if the element was valid and added, otherwise `false`.
+   * @param {boolean} shouldThrow - If true, an error will be thrown when the max is exceeded.
    */
-  addElement(item) {
-    return this.#addElement(item);
+  setThrowOnMaxListeners(shouldThrow) {
+    return this.#events.setThrowOnMaxListeners(shouldThrow);
   }
 
   /**
-   * Validates a background-image value restricted to safe data:image URLs only.
+   * Checks whether an error will be thrown when the max listener limit is exceeded.
    *
-   * @param {string} value - The CSS background-image value.
-   * @returns {boolean}
+   * @returns {boolean} True if an error will be thrown, false if only a warning is shown.
    */
-  #isValidDataImage(value) {
-    if (typeof value !== 'string') return false;
-    const normalized = value.trim();
+  getThrowOnMaxListeners() {
+    return this.#events.getThrowOnMaxListeners();
+  }
 
-    // Only allow data:image/... base64 or URL-encoded images
-    const dataUrlPattern = /^data:image\/(png|jpeg|jpg|gif|webp);base64,[a-z0-9+\/=]+$/i;
+  /**
+   * Adds a listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   */
+  prependListener(event, handler) {
+    return this.#events.prependListener(event, handler);
+  }
 
-    return dataUrlPattern.test(normalized);
+  /**
+   * Adds a one-time listener to the beginning of the listeners array for the specified event.
+   *
+   * @param {string|string[]} event - Event name.
+   * @param {handler} handler - The callback function.
+   * @returns {handler[]} - The wrapped handler used internally.
+   */
+  prependListenerOnce(event, handler) {
+    return this.#events.prependListenerOnce(event, handler);
   }
 
   /**
-   * Validates a linear-gradient string to prevent unsafe or malformed styles.
+   * Adds a event listener.
    *
-   * @param {string} value - The CSS gradient string.
-   * @returns {boolean}
+   * @param {string|string[]} event - Event name, such as 'rollstart' or 'diestop'.
+   * @param {handler} handler - Callback function to be called when event fires.
    */
-  #isValidLinearGradient(value) {
-    if (typeof value !== 'string') return false;
-    const normalized = value.trim().toLowerCase();
+  appendListener(event, handler) {
+    return this.#events.appendListener(event, handler);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'rollstart' or 'diestop'.
+   * @param {handler} handler - The callback function to run on event.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  appendListenerOnce(event, handler) {
+    return this.#events.appendListenerOnce(event, handler);
+  }
+
+  /**
+   * Adds a event listener.
+   *
+   * @param {string|string[]} event - Event name, such as 'rollstart' or 'diestop'.
+   * @param {handler} handler - Callback function to be called when event fires.
+   */
+  on(event, handler) {
+    return this.#events.on(event, handler);
+  }
+
+  /**
+   * Registers an event listener that runs only once, then is removed.
+   *
+   * @param {string|string[]} event - Event name, such as 'rollstart' or 'diestop'.
+   * @param {handler} handler - The callback function to run on event.
+   * @returns {handler[]} - The wrapped version of the handler.
+   */
+  once(event, handler) {
+    return this.#events.once(event, handler);
+  }
+
+  /**
+   * Removes a previously registered event listener.
+   *
+   * @param {string|string[]} event - The name of the event to remove the handler from.
+   * @param {handler} handler - The specific callback function to remove.
+   */
+  off(event, handler) {
+    return this.#events.off(event, handler);
+  }
+
+  /**
+   * Removes all event listeners of a specific type.
+   *
+   * @param {string|string[]} event - The event type to remove (e.g. 'rollend').
+   */
+  offAll(event) {
+    return this.#events.offAll(event);
+  }
+
+  /**
+   * Removes all event listeners of all types.
+   */
+  offAllTypes() {
+    return this.#events.offAllTypes();
+  }
+
+  /**
+   * Returns the number of listeners for a given event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {number} Number of listeners for the event.
+   */
+  listenerCount(event) {
+    return this.#events.listenerCount(event);
+  }
+
+  /**
+   * Returns a copy of the array of listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  listeners(event) {
+    return this.#events.listeners(event);
+  }
+
+  /**
+   * Returns a copy of the array of one-time listeners for the specified event.
+   *
+   * @param {string} event - The name of the event.
+   * @returns {handler[]} Array of listener functions.
+   */
+  onceListeners(event) {
+    return this.#events.onceListeners(event);
+  }
+
+  /**
+   * Returns a copy of the internal listeners array for the specified event,
+   * including wrapper functions like those used by `.once()`.
+   * @param {string | symbol} event - The event name.
+   * @returns {handler[]} An array of raw listener functions.
+   */
+  allListeners(event) {
+    return this.#events.allListeners(event);
+  }
+
+  /**
+   * Returns an array of event names for which there are registered listeners.
+   *
+   * @returns {string[]} Array of registered event names.
+   */
+  eventNames() {
+    return this.#events.eventNames();
+  }
+
+  /**
+   * Sets the maximum number of listeners per event before a warning is shown.
+   *
+   * @param {number} n - The maximum number of listeners.
+   */
+  setMaxListeners(n) {
+    return this.#events.setMaxListeners(n);
+  }
+
+  /**
+   * Gets the maximum number of listeners allowed per event.
+   *
+   * @returns {number} The maximum number of listeners.
+   */
+  getMaxListeners() {
+    return this.#events.getMaxListeners();
+  }
+
+  #cubeId = 0; // used for incremental z-index to avoid overlapping issues
+  #destroyed = false;
+
+  /**
+   * Default animation settings of the dice.
+   *
+   * @type {Readonly<Required<DiceAnimation>>}
+   */
+  static #defaultAnimation = Object.freeze({
+    duration: 2000,
+    easing: 'ease-in-out',
+    minRotations: 3,
+    maxRotations: 7,
+    stagger: 0,
+    flicker: false,
+    flickerChanges: 20,
+  });
+
+  /** @type {Required<DiceAnimation>} */ #animation = { ...TinyDices.#defaultAnimation };
+
+  /** @type {import('./DiceRandom.mjs').RandomFunction} */ #random = Math.random;
+  /** @type {number|null} */ #seed = null;
+
+  /** @type {string|null} */ #defaultBgSkin = 'linear-gradient(135deg, #ff3399, #33ccff)';
+  /** @type {string|null} */ #defaultBorderSkin = '2px solid rgba(255, 255, 255, 0.2)';
+  /** @type {string|null} */ #defaultSelectionTextSkin = '#FFF';
+  /** @type {string|null} */ #defaultSelectionBgSkin = '#000';
+  /** @type {string|null} */ #defaultTextSkin = 'white';
+  /** @type {string|null} */ #selectionBgSkin = null;
+  /** @type {string|null} */ #selectionTextSkin = null;
+  /** @type {string|null} */ #bgSkin = null;
+  /** @type {string|null} */ #bgImg = null;
+  /** @type {string|null} */ #textSkin = null;
+  /** @type {string|null} */ #borderSkin = null;
+
+  /** @type {HTMLElement|null} */ #diceBase = null;
+  /** @type {HTMLElement|null} */ diceArea = null;
+  /** @type {HTMLElement|null} */ container = null;
+
+  /**
+   * Creates a cube DOM element with animated faces and randomized values.
+   *
+   * @param {number} result - The main value to appear on the front face.
+   * @param {number} max - The maximum possible value for the die.
+   * @param {boolean} [canZero=false] - If true, faces can include the number 0.
+   * @param {boolean} [rollInfinity=false] - If true, the cube will spin infinitely.
+   * @param {() => void} [onStop] - Callback to run once the cube stops.
+   * @param {CubeOptions} [options={}] - Settings of the die, such as its skin and animation.
+   * @returns {CubeResult} - The cube element and an array of all face values.
+   */
+  #createCube;
+
+  /**
+   * Creates a new TinyDices instance attached to a specified HTML element.
+   *
+   * @param {HTMLElement} [diceBase] - The HTML container element where the dice will be rendered. Omit it to roll without rendering.
+   * @param {(result: number, max: number, canZero?: boolean, rollInfinity?: boolean, onStop?: () => void, options?: CubeOptions) => CubeResult} [createCubeScript=null]
+   *        - Optional function to override the internal cube creation logic.
+   *          If provided, it will be used instead of the built-in method.
+   *
+   *          The function should accept the following parameters:
+   *            - result {number} - The main value to appear on the front face of the die.
+   *            - max {number} - The maximum value allowed for a face of the die.
+   *            - canZero {boolean} [optional] - If true, faces can include the number 0.
+   *            - rollInfinity {boolean} [optional] - If true, the die spins infinitely.
+   *            - onStop {() => void} [optional] - Must be called once the die stops, so the
+   *              `diestop` and `rollend` events can be emitted.
+   *            - options {CubeOptions} [optional] - Settings of the die: its skin, animation,
+   *              custom faces, restored faces, throw state and the generator of its roll.
+   *
+   *          And return:
+   *            - {HTMLElement} cube - The DOM element representing the dice cube.
+   *            - {number[]} sequence - An array containing all the face values of the die.
+   *
+   *
+   * When implementing a custom dice creation logic, you can use the following internal methods:
+   *
+   * @function tinyDice.addElement
+   * Adds a structured dice object to the internal list for tracking and future cleanup.
+   * This method expects an object with `faces`, `container`, and `wrapper` properties.
+   *
+   * @function tinyDice.rollNumber(max: number, canZero: boolean, random?: RandomFunction): number
+   * Generates a random number based on the maximum value and zero allowance.
+   * Useful when assigning values to non-front faces of the die. Pass `options.random`
+   * to keep seeded rolls replayable.
+   *
+   * @function tinyDice.updateDiceFaceSkin(face: HTMLElement, skin?: DiceSkin|null): void
+   * Applies the dice face style or skin to a given face element. Pass `options.getSkin()`
+   * to use the per-die skin overrides.
+   * This is usually a visual effect or texture that the user can define.
+   *
+   * @function tinyDice.addCubeId(): number
+   * Returns a unique identifier for each die. This value is typically used to set the `z-index`
+   * of the container, so that new dice appear above older ones.
+   *
+   *
+   */
+  constructor(diceBase, createCubeScript) {
+    if (typeof createCubeScript === 'function') this.#createCube = createCubeScript;
+    else this.#insertCreateCube();
+    if (typeof HTMLElement !== 'undefined' && diceBase instanceof HTMLElement) {
+      this.#diceBase = diceBase;
+      this.#diceBase.classList.add('tiny-dices-body');
+
+      this.diceArea = document.createElement('div');
+      this.diceArea.classList.add('dice-area');
+      this.diceArea.setAttribute('role', 'group');
+      this.diceArea.setAttribute('aria-label', 'Dice');
+      this.diceArea.addEventListener('click', this.#onDiceClick);
+      this.diceArea.addEventListener('keydown', this.#onDiceKeyDown);
+      this.diceArea.addEventListener('pointerdown', this.#onThrowPointerDown);
+      this.diceArea.addEventListener('pointermove', this.#onThrowPointerMove);
+      this.diceArea.addEventListener('pointerup', this.#onThrowPointerUp);
+      this.diceArea.addEventListener('pointercancel', this.#onThrowPointerCancel);
+
+      // Screen reader announcements
+      this.#liveRegion = document.createElement('div');
+      this.#liveRegion.className = 'dice-live';
+      this.#liveRegion.setAttribute('role', 'status');
+      this.#liveRegion.setAttribute('aria-live', 'polite');
+      this.#liveRegion.setAttribute('aria-atomic', 'true');
+
+      this.#diceBase.appendChild(this.diceArea);
+      this.#diceBase.appendChild(this.#liveRegion);
+    }
+  }
+
+  /**
+   * Internal helper to check if the dice base element is a valid HTMLElement.
+   *
+   * @returns {boolean} - True if #diceBase is a valid HTMLElement.
+   */
+  #existsHtml() {
+    return typeof HTMLElement !== 'undefined' && this.#diceBase instanceof HTMLElement
+      ? true
+      : false;
+  }
+
+  /**
+   * Checks if the internal HTML structure (dice base container) still exists in the DOM.
+   *
+   * Useful to verify if the TinyDices component is still rendered and operational.
+   *
+   * @returns {boolean} - Returns `true` if the HTML elements exist, otherwise `false`.
+   */
+  existsHtml() {
+    return this.#existsHtml();
+  }
+
+  /**
+   * Increments and returns the current cube ID.
+   *
+   * This ID is used to set a unique z-index for each die,
+   * ensuring that newer dice appear above older ones in the stack.
+   *
+   * @returns {number} The current cube ID before incrementing.
+   */
+  addCubeId() {
+    return this.#cubeId++;
+  }
+
+  /**
+   * Validates and stores a new dice element into the internal list.
+   *
+   * This method ensures that the given object has the correct structure
+   * before storing it, so the tray die using its container can find it.
+   *
+   * @param {DiceElement} item - The dice element object to validate and store.
+   * @returns {boolean} `true` if the item was valid and added; otherwise, `false`.
+   */
+  #addElement(item) {
+    if (
+      isJsonObject(item) &&
+      Array.isArray(item.faces) &&
+      typeof HTMLElement !== 'undefined' &&
+      item.container instanceof HTMLElement &&
+      item.wrapper instanceof HTMLElement
+    ) {
+      this.#elements.set(/** @type {HTMLElement} */ (item.container), item);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Adds a new dice element to the internal storage.
+   *
+   * This is the public wrapper for the internal method `#addElement`.
+   * It validates the structure of the dice element before adding.
+   *
+   * @param {DiceElement} item
+   *        - The dice element object to add. It must contain:
+   *          - `faces`: an array of six face elements,
+   *          - `container`: the outer wrapper element,
+   *          - `wrapper`: the rotating inner cube element.
+   *
+   * @returns {boolean} `true` if the element was valid and added, otherwise `false`.
+   */
+  addElement(item) {
+    return this.#addElement(item);
+  }
+
+  /**
+   * Validates a background-image value restricted to safe data:image URLs only.
+   *
+   * @param {string} value - The CSS background-image value.
+   * @returns {boolean}
+   */
+  #isValidDataImage(value) {
+    if (typeof value !== 'string') return false;
+    const normalized = value.trim();
+
+    // Only allow data:image/... base64 or URL-encoded images
+    const dataUrlPattern = /^data:image\/(png|jpeg|jpg|gif|webp);base64,[a-z0-9+\/=]+$/i;
+
+    return dataUrlPattern.test(normalized);
+  }
+
+  /**
+   * Validates a linear-gradient string to prevent unsafe or malformed styles.
+   *
+   * @param {string} value - The CSS gradient string.
+   * @returns {boolean}
+   */
+  #isValidLinearGradient(value) {
+    if (typeof value !== 'string') return false;
+    const normalized = value.trim().toLowerCase();
 
     // Must start with 'linear-gradient(' and end with ')'
     if (!normalized.startsWith('linear-gradient(') || !normalized.endsWith(')')) {
@@ -358,396 +1089,1780 @@ class TinyDices {
   }
 
   /**
-   * Sets the random changer amount.
-   * @param {number} value Stop time value.
+   * Sets the random changer amount: how many times the faces change during one spin
+   * when the face flicker is enabled, the same value as `animation.flickerChanges`.
+   * Invalid values are ignored.
+   * @param {number} value Amount of face changes per spin.
    * @returns {void}
    */
   set rdChangerAmount(value) {
-    this.#rdChangerAmount = value;
+    const animation = this.#normalizeAnimation({ flickerChanges: value }, 'rdChangerAmount');
+    if (animation && animation.flickerChanges !== undefined)
+      this.#animation.flickerChanges = animation.flickerChanges;
   }
 
   /**
-   * Gets the current random changer amount.
-   * @returns {number} Random changer amountvalue.
+   * Gets the current random changer amount, the same value as `animation.flickerChanges`.
+   * @returns {number} Amount of face changes per spin.
    */
   get rdChangerAmount() {
-    return this.#rdChangerAmount;
+    return this.#animation.flickerChanges;
   }
 
   /**
-   * Gets the current stop time.
+   * Gets the current stop time, the same value as `animation.duration`.
    * @returns {number} Stop time value.
    */
   get stopTime() {
-    return this.#stopTime;
+    return this.#animation.duration;
   }
 
   /**
-   * Sets the stop time.
+   * Sets the stop time, the same value as `animation.duration`.
+   * Invalid values are ignored.
    * @param {number} value Stop time value.
    * @returns {void}
    */
   set stopTime(value) {
-    this.#stopTime = value;
+    const animation = this.#normalizeAnimation({ duration: value }, 'stopTime');
+    if (animation && animation.duration !== undefined)
+      this.#animation.duration = animation.duration;
   }
 
   /**
-   * Sets the background image using a `data:` URL.
+   * Sets the animation settings of the dice. Missing or invalid values use the default settings:
+   * `{ duration: 2000, easing: 'ease-in-out', minRotations: 3, maxRotations: 7, stagger: 0, flicker: false, flickerChanges: 20 }`.
    *
-   * For security reasons, only `data:` URLs are accepted by default to avoid external resource injection.
+   * The spin animation, the stop timer and the face change cadence all follow these settings.
+   * Every roll method also accepts an `animation` argument to override them for one roll.
    *
-   * @param {string|null} value - The background-image URL (must be a `data:` image by default).
+   * @param {DiceAnimation|null} value
+   * @throws {Error} If the value is not an object or has unknown keys.
    */
-  set bgImg(value) {
-    this.#bgImg =
-      typeof value === 'string' && this.#isValidDataImage(value) ? value : null;
+  set animation(value) {
+    this.#animation = this.#resolveAnimation(
+      this.#normalizeAnimation(value, 'animation'),
+      TinyDices.#defaultAnimation,
+    );
   }
 
   /**
-   * Sets the background image using a `data:` URL or, optionally, a standard image URL if forced.
-   *
-   * For security reasons, only `data:` URLs are accepted by default to avoid external resource injection.
-   * You can override this restriction using the `forceUnsafe` flag, but this is discouraged unless trusted.
-   *
-   * @param {string|null} value - The background-image URL (must be a `data:` image by default).
-   * @param {boolean} [forceUnsafe=false] - Allows setting non-data URLs if true (use with caution).
+   * Gets the animation settings of the dice.
+   * @returns {Required<DiceAnimation>} A copy of the settings.
    */
-  setBgImg(value, forceUnsafe = false) {
-    this.#bgImg =
-      typeof value === 'string' && (forceUnsafe || this.#isValidDataImage(value)) ? value : null;
+  get animation() {
+    return { ...this.#animation };
   }
 
   /**
-   * Returns the currently set background image if valid, or null.
+   * Validates an animation override object. Invalid values are removed, so they fall back to the instance settings.
    *
-   * @returns {string|null} - The current background-image value (data:image URL) or null if none is set.
+   * @param {DiceAnimation|null|undefined} animation - The settings to validate.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @returns {DiceAnimation|null} The cleaned settings, or null if no settings were given.
+   * @throws {Error} If the settings are not an object or have unknown keys.
    */
-  get bgImg() {
-    return this.#bgImg || null;
+  #normalizeAnimation(animation, where) {
+    if (animation === null || animation === undefined) return null;
+    if (!isJsonObject(animation)) throw new Error(`${where}: animation must be an object or null.`);
+
+    /** @param {*} value */
+    const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    /** @type {DiceAnimation} */
+    const result = {};
+    for (const [name, value] of Object.entries(/** @type {Record<string, any>} */ (animation))) {
+      switch (name) {
+        case 'duration':
+        case 'stagger':
+          if (isTime(value)) result[name] = value;
+          break;
+        case 'minRotations':
+        case 'maxRotations':
+          if (isTime(value)) result[name] = Math.floor(value);
+          break;
+        case 'easing':
+          if (typeof value === 'string' && value.trim().length > 0 && !/[;{}]/.test(value))
+            result.easing = value.trim();
+          break;
+        case 'flicker':
+          if (typeof value === 'boolean') result.flicker = value;
+          break;
+        case 'flickerChanges':
+          if (typeof value === 'number' && Number.isFinite(value) && value > 0)
+            result.flickerChanges = value;
+          break;
+        default:
+          throw new Error(`${where}: unknown animation setting "${name}".`);
+      }
+    }
+    return result;
   }
 
   /**
-   * Sets the background skin style if it's a valid CSS color or linear-gradient.
-   * Prevents injection of unsafe or malformed styles.
+   * Merges validated animation settings over a base configuration.
+   * If the rotation range is reversed, the highest value is raised to the lowest one.
    *
-   * @param {string} skin - A valid CSS color string or gradient.
+   * @param {DiceAnimation|null} animation - The validated settings, or null.
+   * @param {Required<DiceAnimation>} [base=this.#animation] - The settings used for missing values.
+   * @returns {Required<DiceAnimation>}
    */
-  set bgSkin(skin) {
-    if (typeof skin !== 'string') {
-      this.#bgSkin = null;
-      return;
-    }
-
-    const trimmed = skin.trim();
-    const isGradient = this.#isValidLinearGradient(trimmed);
-    const isColor = !!TinyColorValidator.isColor(trimmed);
-
-    this.#bgSkin = isGradient || isColor ? trimmed : null;
+  #resolveAnimation(animation, base = this.#animation) {
+    const result = { ...base, ...animation };
+    result.maxRotations = Math.max(result.minRotations, result.maxRotations);
+    return result;
   }
 
   /**
-   * Gets the currently applied background skin.
-   * @returns {string|null} The current background skin, or the default if not set.
+   * Enables or disables locking dice by clicking their front face.
+   * @param {boolean} value - If true, clicking the `.face1` of a die toggles its lock.
    */
-  get bgSkin() {
-    return this.#bgSkin || this.#defaultBgSkin;
+  set lockOnClick(value) {
+    this.#lockOnClick = !!value;
+    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement)
+      this.diceArea.classList.toggle('lock-on-click', this.#lockOnClick);
+    for (const item of this.#tray) this.#updateDiceA11y(item);
   }
 
   /**
-   * Sets the text skin (style) of the dice numbers.
-   * @param {string|null} skin - The skin name to apply to the text. Pass null or non-string to reset to default.
+   * Gets whether dice are locked by clicking their front face.
+   * @returns {boolean}
    */
-  set textSkin(skin) {
-    this.#textSkin = typeof skin === 'string' && !!TinyColorValidator.isColor(skin) ? skin : null;
+  get lockOnClick() {
+    return this.#lockOnClick;
   }
 
   /**
-   * Gets the currently applied text skin.
-   * @returns {string|null} The current text skin, or the default if not set.
+   * Toggles the lock of the die whose front face was clicked, if `lockOnClick` is enabled.
+   *
+   * @param {MouseEvent} event
    */
-  get textSkin() {
-    return this.#textSkin || this.#defaultTextSkin;
-  }
+  #onDiceClick = (event) => {
+    if (!this.#lockOnClick || typeof Element === 'undefined') return;
+    if (!(event.target instanceof Element) || !event.target.closest('.face1')) return;
+    const target = event.target;
+    const index = this.#tray.findIndex((item) => item.cube && item.cube.contains(target));
+    if (index > -1) this.toggleDiceLock(index);
+  };
 
   /**
-   * Sets the border skin (style) of the dice edges.
-   * @param {string|null} skin - The skin name to apply to the border. Pass null or non-string to reset to default.
+   * Enables or disables the keyboard control of the tray.
+   *
+   * When enabled, the tray and every die can be focused. Pressing Enter or Space on the tray
+   * rerolls the unlocked dice, pressing them on a die toggles its lock, and the arrow,
+   * Home and End keys move the focus between dice.
+   *
+   * @param {boolean} value
    */
-  set borderSkin(skin) {
-    this.#borderSkin = typeof skin === 'string' && this.#isValidCssBorder(skin) ? skin : null;
+  set keyboardControl(value) {
+    this.#keyboardControl = !!value;
+    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement) {
+      if (this.#keyboardControl) this.diceArea.tabIndex = 0;
+      else this.diceArea.removeAttribute('tabindex');
+    }
+    for (const item of this.#tray) this.#updateDiceA11y(item);
   }
 
   /**
-   * Gets the currently applied border skin.
-   * @returns {string|null} The current border skin, or the default if not set.
+   * Gets whether the keyboard control of the tray is enabled.
+   * @returns {boolean}
    */
-  get borderSkin() {
-    return this.#borderSkin || this.#defaultBorderSkin;
+  get keyboardControl() {
+    return this.#keyboardControl;
   }
 
   /**
-   * Sets the background skin for selected dice.
-   * Accepts valid CSS color strings or `linear-gradient(...)`.
-   * Invalid values reset the skin to `null`.
+   * Enables or disables throwing the dice with the pointer.
+   *
+   * When enabled, dragging on the dice area and releasing it with a flick throws the unlocked dice
+   * with the speed and direction of the flick. Works with mouse, pen and touch.
    *
-   * @param {string} skin - The CSS background to apply when a die is selected.
+   * @param {boolean} value
    */
-  set selectionBgSkin(skin) {
-    if (typeof skin !== 'string') {
-      this.#selectionBgSkin = null;
-      return;
-    }
-
-    const trimmed = skin.trim();
-    const isGradient = this.#isValidLinearGradient(trimmed);
-    const isColor = !!TinyColorValidator.isColor(trimmed);
-
-    this.#selectionBgSkin = isGradient || isColor ? trimmed : null;
+  set throwMode(value) {
+    this.#throwMode = !!value;
+    this.#throwDrag = null;
+    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement)
+      this.diceArea.classList.toggle('throw-mode', this.#throwMode);
   }
 
   /**
-   * Gets the background skin used for selected dice.
-   * Returns the custom value if set; otherwise, returns the default.
-   *
-   * @returns {string|null} The current background skin for selected dice.
+   * Gets whether dice are thrown with the pointer.
+   * @returns {boolean}
    */
-  get selectionBgSkin() {
-    return this.#selectionBgSkin || this.#defaultSelectionBgSkin;
+  get throwMode() {
+    return this.#throwMode;
   }
 
   /**
-   * Sets the text color for selected dice.
-   * Only valid CSS color values are accepted.
-   * Invalid inputs will reset the color to `null`.
+   * Sets how the dice are placed in the dice area.
+   *
+   * - `row`: a centered row that wraps (default).
+   * - `scatter`: random spots with slight rotations, like dice on a table. Dice never overlap,
+   *   keep their spot until they are rerolled, and are placed again when the dice area is resized.
+   * - `grid`: a compact grid.
+   * - `stack`: a single column.
+   *
+   * Invalid values reset it to `row`.
    *
-   * @param {string} skin - The text color for selected dice.
+   * @param {DiceLayout} value
    */
-  set selectionTextSkin(skin) {
-    this.#selectionTextSkin =
-      typeof skin === 'string' && !!TinyColorValidator.isColor(skin) ? skin : null;
+  set layout(value) {
+    this.#layout = DICE_LAYOUTS.includes(value) ? value : 'row';
+    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement)
+      for (const name of DICE_LAYOUTS)
+        if (name !== 'row') this.diceArea.classList.toggle(`layout-${name}`, name === this.#layout);
+    this.#updateLayout();
   }
 
   /**
-   * Gets the text color used for selected dice.
-   * Returns the custom value if set; otherwise, returns the default.
-   *
-   * @returns {string|null} The current text color for selected dice.
+   * Gets how the dice are placed in the dice area.
+   * @returns {DiceLayout}
    */
-  get selectionTextSkin() {
-    return this.#selectionTextSkin || this.#defaultSelectionTextSkin;
+  get layout() {
+    return this.#layout;
   }
 
   /**
-   * Applies the current visual skin to a specific dice face element.
-   * This includes background color, text color, border style, and optionally
-   * a `background-image` if set via `setBgImg`.
+   * Places the scattered dice that have no spot yet, or whose spot is now outside the dice area.
+   * The other layouts are handled by the stylesheet, so the spots are removed from the dice.
    *
-   * @param {HTMLElement} face - The HTML element representing a dice face.
+   * The dice area and each dice group are scattered on their own. Groups stay on top of the dice area,
+   * and the dice outside of groups are scattered below them.
    */
-  #updateDiceFaceSkin(face) {
-    // Skin
-    face.style.background = this.bgSkin || '';
-    face.style.color = this.textSkin || '';
-    face.style.border = this.borderSkin || '';
-    face.style.setProperty('--dice-selection-bg', this.selectionBgSkin);
-    face.style.setProperty('--dice-selection-text', this.selectionTextSkin);
+  #updateLayout() {
+    if (!this.#existsHtml() || !(this.diceArea instanceof HTMLElement)) return;
+    const scatter = this.#layout === 'scatter';
+    this.#observeLayout(scatter);
+    this.#layoutWidth = this.diceArea.clientWidth;
 
-    // Background image
-    const bgImg = this.bgImg;
-    if (bgImg) {
-      face.style.backgroundImage = `url("${bgImg}")`;
-      face.style.backgroundPosition = 'center';
-      face.style.backgroundSize = '100%';
-      face.style.backgroundRepeat = 'repeat';
+    /** @type {Set<Element>} */
+    const groupElements = new Set();
+    const areas = [this.diceArea];
+    for (const group of this.#groups.values()) {
+      if (group.element) groupElements.add(group.element);
+      if (group.diceElement) areas.push(group.diceElement);
+    }
+
+    for (const area of areas) {
+      const dice = /** @type {HTMLElement[]} */ (
+        Array.from(area.children).filter(
+          (element) => element instanceof HTMLElement && !groupElements.has(element),
+        )
+      );
+      if (!scatter || dice.length < 1) {
+        area.style.minHeight = '';
+        for (const die of dice) {
+          die.style.left = '';
+          die.style.top = '';
+          die.style.rotate = '';
+        }
+        continue;
+      }
+
+      let offset = 0;
+      if (area === this.diceArea)
+        for (const element of groupElements)
+          if (element instanceof HTMLElement)
+            offset = Math.max(offset, element.offsetTop + element.offsetHeight);
+
+      // The cell of each die leaves room for its tilt
+      const dieSize =
+        dice.reduce((size, die) => Math.max(size, die.offsetWidth, die.offsetHeight), 0) || 100;
+      const cell = Math.ceil(dieSize * 1.4);
+      const inset = (cell - dieSize) / 2;
+
+      const { positions, height } = scatterPositions(
+        dice.map((die) => this.#scatterSpots.get(die) ?? null),
+        area.clientWidth,
+        cell * Math.min(dice.length, 2),
+        cell,
+        this.#random,
+      );
+      dice.forEach((die, index) => {
+        const spot = positions[index];
+        this.#scatterSpots.set(die, spot);
+        die.style.left = `${spot.x + inset}px`;
+        die.style.top = `${offset + spot.y + inset}px`;
+        die.style.rotate = `${spot.rotation}deg`;
+      });
+      area.style.minHeight = `${offset + height}px`;
     }
   }
 
   /**
-   * Updates the visual skin or style of a single dice face element.
+   * Watches the width of the dice area while the dice are scattered, to place them again when it changes.
    *
-   * This is a public wrapper around the internal method `#updateDiceFaceSkin`,
-   * allowing external calls to apply the dice face style dynamically.
-   *
-   * @param {HTMLElement} face - The DOM element representing a single face of the die.
-   * @returns {void}
+   * @param {boolean} enabled
    */
-  updateDiceFaceSkin(face) {
-    return this.#updateDiceFaceSkin(face);
+  #observeLayout(enabled) {
+    if (!enabled || typeof ResizeObserver === 'undefined') {
+      if (this.#layoutObserver) this.#layoutObserver.disconnect();
+      this.#layoutObserver = null;
+      return;
+    }
+    if (this.#layoutObserver || !(this.diceArea instanceof HTMLElement)) return;
+
+    // Only a new width moves the dice, so the heights set by the layout never run it again
+    this.#layoutObserver = new ResizeObserver(() => {
+      if (this.diceArea instanceof HTMLElement && this.diceArea.clientWidth !== this.#layoutWidth)
+        this.#updateLayout();
+    });
+    this.#layoutObserver.observe(this.diceArea);
   }
 
   /**
-   * Updates the visual skin of all dice face elements currently rendered.
-   * Iterates through each dice in `this.#elements` and applies the active
-   * background, text color, border, and background image styles using `#updateDiceFaceSkin`.
+   * Starts recording a throw drag, if the throw mode is enabled.
    *
+   * @param {PointerEvent} event
    */
-  updateDicesSkin() {
-    for (const index in this.#elements) this.updateDiceSkin(index);
-  }
+  #onThrowPointerDown = (event) => {
+    if (!this.#throwMode || !event.isPrimary || !(this.diceArea instanceof HTMLElement)) return;
+    this.#throwDrag = {
+      pointerId: event.pointerId,
+      samples: [{ x: event.clientX, y: event.clientY, time: event.timeStamp }],
+    };
+    if (typeof this.diceArea.setPointerCapture === 'function')
+      this.diceArea.setPointerCapture(event.pointerId);
+  };
 
   /**
-   * Updates the visual skin of a specific die by index.
-   * Applies current background color, text color, border style, and background image
-   * to all face elements of the selected die using `#updateDiceFaceSkin`.
+   * Records the pointer positions of a throw drag.
    *
-   * @param {number|string} index - The index of the die to update.
-   * @throws {Error} If the index is not a valid number or string convertible to number.
+   * @param {PointerEvent} event
+   */
+  #onThrowPointerMove = (event) => {
+    const drag = this.#throwDrag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    drag.samples.push({ x: event.clientX, y: event.clientY, time: event.timeStamp });
+    if (drag.samples.length > 20) drag.samples.shift();
+  };
+
+  /**
+   * Throws the unlocked dice when a drag is released with a flick.
+   * Slow releases are ignored, so clicks keep working.
    *
-   * @returns {boolean} Returns `true` if the die was found and updated; otherwise `false`.
+   * @param {PointerEvent} event
    */
-  updateDiceSkin(index) {
-    const parsedIndex =
-      typeof index === 'string' ? parseInt(index) : typeof index === 'number' ? index : -1;
-    if (Number.isNaN(parsedIndex))
-      throw new Error('updateDiceSkin: index must be a number or a numeric string.');
-    const element = this.#elements[parsedIndex];
+  #onThrowPointerUp = (event) => {
+    const drag = this.#throwDrag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    this.#throwDrag = null;
+    drag.samples.push({ x: event.clientX, y: event.clientY, time: event.timeStamp });
+    const { velocityX, velocityY } = getFlickVelocity(drag.samples);
+    if (Math.hypot(velocityX, velocityY) < FLICK_MIN_SPEED || this.#tray.length < 1) return;
+    this.throwDice(velocityX, velocityY, { x: event.clientX, y: event.clientY });
+  };
 
-    if (element) {
-      for (const index2 in element.faces) this.#updateDiceFaceSkin(element.faces[index2]);
-      return true;
-    } else return false;
-  }
+  /**
+   * Cancels a throw drag.
+   *
+   * @param {PointerEvent} event
+   */
+  #onThrowPointerCancel = (event) => {
+    if (this.#throwDrag && this.#throwDrag.pointerId === event.pointerId) this.#throwDrag = null;
+  };
 
   /**
-   * Generates a random integer between 1 and max (inclusive).
-   * If `canZero` is true, the range becomes 0 to max (inclusive).
+   * Handles the keyboard control of the tray and its dice.
    *
-   * @param {number} max - The maximum value for the roll (inclusive).
-   * @param {boolean} [canZero=false] - Whether the result can include 0.
-   * @returns {number} A random integer between 1 and max, or 0 and max if `canZero` is true. Returns 0 if max <= 0.
+   * @param {KeyboardEvent} event
    */
-  #rollNumber(max = 0, canZero = false) {
-    // Throw an error if the value is not a valid number
-    if (typeof max !== 'number' || Number.isNaN(max)) {
-      throw new Error(`Invalid die max value: ${max}. All values must be positive numbers.`);
-    }
+  #onDiceKeyDown = (event) => {
+    if (!this.#keyboardControl || typeof Element === 'undefined') return;
+    if (!(event.target instanceof Element)) return;
+    const target = event.target;
+    const activate = event.key === 'Enter' || event.key === ' ';
 
-    // Valid number
-    if (max > 0) {
-      let maxValue = max;
-      let finalValue = 1;
-      if (canZero) {
-        maxValue++;
-        finalValue--;
+    // The tray itself
+    if (target === this.diceArea) {
+      if (activate && this.#tray.length > 0) {
+        event.preventDefault();
+        this.rerollUnlocked();
       }
-      return Math.floor(Math.random() * maxValue) + finalValue;
-    } else return 0;
+      return;
+    }
+
+    // A die
+    const index = this.#tray.findIndex((item) => item.cube === target);
+    if (index < 0) return;
+
+    /** @type {number|null} */
+    let focusIndex = null;
+    if (activate) this.toggleDiceLock(index);
+    else if (event.key === 'ArrowRight' || event.key === 'ArrowDown')
+      focusIndex = (index + 1) % this.#tray.length;
+    else if (event.key === 'ArrowLeft' || event.key === 'ArrowUp')
+      focusIndex = (index - 1 + this.#tray.length) % this.#tray.length;
+    else if (event.key === 'Home') focusIndex = 0;
+    else if (event.key === 'End') focusIndex = this.#tray.length - 1;
+    else return;
+
+    event.preventDefault();
+    const cube = focusIndex !== null ? this.#tray[focusIndex].cube : null;
+    if (cube) cube.focus();
+  };
+
+  /**
+   * Sets the function that builds the accessible label (`aria-label`) of each die.
+   * Invalid values reset it to the default English label, such as `d20: 17, locked`.
+   *
+   * @param {((info: DieLabelInfo) => string)|null} value
+   */
+  set dieLabelFormatter(value) {
+    this.#dieLabelFormatter = typeof value === 'function' ? value : TinyDices.#defaultDieLabel;
+    for (const item of this.#tray) this.#updateDiceA11y(item);
   }
 
   /**
-   * Generates a random integer between a lower bound and a maximum value.
+   * Gets the function that builds the accessible label of each die.
+   * @returns {(info: DieLabelInfo) => string}
+   */
+  get dieLabelFormatter() {
+    return this.#dieLabelFormatter;
+  }
+
+  /**
+   * Sets the function that builds the text announced to screen readers once a roll ends.
+   * Invalid values reset it to the default English text, such as `Rolled 2 dice: 4, 6. Total: 10.`
    *
-   * This is a public wrapper for the internal method `#rollNumber`, which handles
-   * dice-style number generation, optionally allowing zero as a result.
+   * @param {((info: AnnouncementInfo) => string)|null} value
+   */
+  set announceFormatter(value) {
+    this.#announceFormatter = typeof value === 'function' ? value : TinyDices.#defaultAnnouncement;
+  }
+
+  /**
+   * Gets the function that builds the text announced to screen readers once a roll ends.
+   * @returns {(info: AnnouncementInfo) => string}
+   */
+  get announceFormatter() {
+    return this.#announceFormatter;
+  }
+
+  /**
+   * Updates the ARIA role, label and focus state of a tray die.
    *
-   * @param {number} [max=0] - The maximum value (inclusive upper bound if `canZero` is true).
-   * @param {boolean} [canZero=false] - If true, the roll can return 0 (or a range starting from 0).
-   * @returns {number} A pseudo-random integer within the expected range.
+   * Dice are announced as images, or as toggle buttons when they can be locked
+   * by click or keyboard.
    *
-   * - If `canZero` is false: returns a number from 1 to `max`.
-   * - If `canZero` is true: returns a number from 0 to `max`.
-   * - If `max <= 0`: always returns 0.
+   * @param {TrayDie} item
    */
-  rollNumber(max = 0, canZero = false) {
-    return this.#rollNumber(max, canZero);
+  #updateDiceA11y(item) {
+    const cube = item.cube;
+    if (!cube) return;
+    const interactive = this.#keyboardControl || this.#lockOnClick;
+    cube.setAttribute('role', interactive ? 'button' : 'img');
+    if (interactive) cube.setAttribute('aria-pressed', String(item.locked));
+    else cube.removeAttribute('aria-pressed');
+    if (this.#keyboardControl) cube.tabIndex = 0;
+    else cube.removeAttribute('tabindex');
+
+    const die = /** @type {DiceResult & { dropped?: boolean }} */ (item.die);
+    cube.setAttribute(
+      'aria-label',
+      this.#dieLabelFormatter({
+        index: this.#tray.indexOf(item),
+        max: item.max,
+        result: die.result,
+        label: item.faces ? /** @type {FaceDiceResult} */ (die).label : null,
+        name: item.name,
+        rolling: !item.stopped,
+        locked: item.locked,
+        dropped: !!die.dropped,
+      }),
+    );
   }
 
   /**
-   * Parses input parameters to determine the dice configuration.
+   * Announces the results of a finished roll through the `aria-live` region.
    *
-   * @param {string|Array<number>} perDieValues - Optional: a comma-separated string or array of individual max values.
-   * @returns {number[]} - Parsed dice configuration.
+   * @param {RollSession} session - The finished roll.
    */
-  parseRollConfig(perDieValues = '') {
-    // Get per die data
-    return typeof perDieValues === 'string' && perDieValues.length > 0
-      ? perDieValues
-          .trim()
-          .split(',')
-          .map((raw) => {
-            let val = 0;
-            try {
-              val = parseInt(raw.trim(), 10);
-            } catch {
-              val = 0;
-            }
-            if (typeof val === 'number' && !Number.isNaN(val) && Number.isFinite(val) && val > -1)
-              return val;
-            return -1;
-          })
-      : Array.isArray(perDieValues)
-        ? perDieValues
-        : [];
+  #announce(session) {
+    if (!this.#liveRegion || session.dice.length < 1) return;
+    const dice = session.dice.map((die) => {
+      const item = this.#tray.find((trayItem) => trayItem.die === die);
+      return {
+        max: item ? item.max : 0,
+        result: die.result,
+        label: item && item.faces ? /** @type {FaceDiceResult} */ (die).label : null,
+        name: item ? item.name : null,
+        dropped: !!(/** @type {DiceResult & { dropped?: boolean }} */ (die).dropped),
+      };
+    });
+    const total =
+      session.total ?? dice.reduce((sum, die) => (die.dropped ? sum : sum + die.result), 0);
+    this.#liveRegion.textContent = this.#announceFormatter({ dice, total });
   }
 
   /**
-   * Inserts a single 3D die into the DOM with animation.
+   * Forces the reduced motion mode on or off.
    *
-   * @param {number} result - The value displayed on the front face of the die.
-   * @param {number} max - The maximum value for the die (used to generate other random faces).
-   * @param {boolean} [canZero=false] - Whether 0 is a valid face value.
-   * @param {boolean} [rollInfinity=false] - Whether the die should spin indefinitely.
+   * When reduced motion is active, dice land almost right away instead of spinning,
+   * and infinite spins are not animated. Use `null` to follow the
+   * `prefers-reduced-motion` setting of the user.
    *
-   * @throws {Error} If `this.diceArea` is not a valid HTMLElement.
-   * @throws {Error} If `this.#createCube` is not a function.
-   * @throws {Error} If cube creation fails or returns an invalid sequence.
-   * @returns {PreDiceResult} - An object with the array representing the values on all six faces of the cube.
+   * @param {boolean|null} value
    */
-  insertDiceElement(result, max, canZero, rollInfinity) {
-    if (typeof HTMLElement === 'undefined' || !(this.diceArea instanceof HTMLElement))
-      throw new Error('insertDiceElement: this.diceArea is not a valid HTMLElement.');
+  set reducedMotion(value) {
+    this.#reducedMotion = typeof value === 'boolean' ? value : null;
+    if (this.#existsHtml()) {
+      const base = /** @type {HTMLElement} */ (this.#diceBase);
+      base.classList.toggle('reduced-motion', this.#reducedMotion === true);
+      base.classList.toggle('full-motion', this.#reducedMotion === false);
+    }
+  }
 
-    if (typeof this.#createCube !== 'function')
-      throw new Error('insertDiceElement: this.#createCube is not a valid function.');
+  /**
+   * Gets the forced reduced motion mode.
+   * @returns {boolean|null} The forced mode, or null if it follows the user preference.
+   */
+  get reducedMotion() {
+    return this.#reducedMotion;
+  }
 
-    const { cube, sequence, stop, reRollDice, stopTimeout } = this.#createCube(
-      result,
-      max,
-      canZero,
-      rollInfinity,
+  /**
+   * Checks if the reduced motion mode is active, following the user preference when it is not forced.
+   * @returns {boolean}
+   */
+  prefersReducedMotion() {
+    if (this.#reducedMotion !== null) return this.#reducedMotion;
+    return (
+      typeof window !== 'undefined' &&
+      typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches
     );
-    if (!Array.isArray(sequence))
-      throw new Error('insertDiceElement: invalid cube sequence returned.');
-
-    this.diceArea.appendChild(cube);
-    return { sequence, stop, reRollDice, stopTimeout };
   }
 
   /**
-   * Clears all dice cubes from the display area.
-   * Resets internal cube counter to avoid z-index conflicts.
+   * Gets the time a new die spins before stopping, including its stagger delay.
+   * It is skipped in reduced motion mode.
+   *
+   * @param {Required<DiceAnimation> & { delay: number }} animation - The animation settings of the die.
+   * @returns {number}
    */
-  clearDiceArea() {
-    this.#cubeId = 0;
-    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement)
-      this.diceArea.innerHTML = '';
-    this.#elements = [];
+  #getStopTime(animation) {
+    return this.prefersReducedMotion() ? 0 : animation.delay + animation.duration;
   }
 
   /**
-   * Initializes the default cube creation function and assigns it to `this.#createCube`.
+   * Sets the random number generator used by every random decision of the instance
+   * (results, face values and rotations).
    *
-   * This function builds a customizable cube with 6 animated faces, where each face is
-   * assigned a unique number (avoiding duplicates when possible). The front face shows the
-   * result value passed in, and the others are randomized based on the `max` value.
+   * Setting a generator disables the seeded mode. Invalid values reset it to `Math.random`.
    *
-   * @remarks
-   * If `createCubeScript` was not provided to the constructor, this method sets up the default cube generator.
+   * @param {import('./DiceRandom.mjs').RandomFunction|null} value - A function returning numbers in the range [0, 1).
+   */
+  set rng(value) {
+    this.#random = typeof value === 'function' ? value : Math.random;
+    this.#seed = null;
+  }
+
+  /**
+   * Gets the current random number generator.
+   * @returns {import('./DiceRandom.mjs').RandomFunction} The generator used when the instance is not seeded.
+   */
+  get rng() {
+    return this.#random;
+  }
+
+  /**
+   * Enables the seeded mode using the built-in pseudo-random generator.
    *
-   * @returns {void}
+   * Every roll uses its own seed, which is exposed as `seed` in the roll result.
+   * Setting that value back here replays the same roll exactly.
+   * Pass `null` to go back to the generator set in `rng`.
    *
-   * @function
+   * @param {number|string|null} value - The seed of the next roll. Strings are hashed into a number.
+   * @throws {Error} If the value is not a finite number, a string or null.
    */
-  #insertCreateCube() {
-    /**
+  set seed(value) {
+    this.#seed = value === null || value === undefined ? null : normalizeSeed(value);
+  }
+
+  /**
+   * Gets the seed that the next roll will use.
+   * @returns {number|null} The seed of the next roll, or null if the instance is not seeded.
+   */
+  get seed() {
+    return this.#seed;
+  }
+
+  /**
+   * Starts recording every roll made by the instance.
+   *
+   * Calling it again keeps the current entries and only updates the limit.
+   *
+   * @param {number} [limit=100] - Maximum amount of rolls kept. Use `Infinity` for no limit.
+   * @returns {DiceHistory} The roll history.
+   * @throws {Error} If the limit is not a positive number.
+   */
+  enableHistory(limit = 100) {
+    if (this.#history) this.#history.limit = limit;
+    else this.#history = new DiceHistory(limit);
+    return this.#history;
+  }
+
+  /**
+   * Stops recording rolls and discards the current history.
+   */
+  disableHistory() {
+    this.#history = null;
+  }
+
+  /**
+   * Gets the roll history.
+   * @returns {DiceHistory|null} The roll history, or null if it is not enabled.
+   */
+  get history() {
+    return this.#history;
+  }
+
+  /**
+   * Adds a roll to the history, if it is enabled.
+   *
+   * The id of the entry is kept by the source of the roll, so rerolls can link back to it.
+   *
+   * @param {string} input - The dice expression or the comma-separated list of max values.
+   * @param {boolean} canZero - Whether 0 was a valid result.
+   * @param {import('./DiceHistory.mjs').HistoryDie[]} dice - Every rolled die.
+   * @param {number[]} modifiers - Signed flat modifiers of the roll.
+   * @param {number} total - The grand total of the roll.
+   * @param {RollSession} session - The roll being recorded.
+   * @param {number[]} [rerollOf=[]] - Ids of the entries whose dice were rolled again.
+   */
+  #recordHistory(input, canZero, dice, modifiers, total, session, rerollOf = []) {
+    if (!this.#history) return;
+    const { seed } = session;
+    const entry = this.#history.add({
+      input,
+      canZero: !!canZero,
+      dice,
+      modifiers,
+      total,
+      seed,
+      rerollOf,
+    });
+    session.source.historyId = entry.id;
+  }
+
+  /**
+   * Starts playing sounds for rolls, landings and critical results, using the Web Audio API.
+   *
+   * Sounds are synthesized, so no audio files are needed. Browsers only allow audio after
+   * a user gesture, so call this method from a click or key handler when possible.
+   * Calling it again keeps the current audio context.
+   *
+   * @param {AudioContext|null} [context=null] - An audio context to use. By default, a new one is created.
+   * @returns {AudioContext} The audio context used by the sounds.
+   * @throws {Error} If the Web Audio API is not available, or the context is invalid.
+   */
+  enableSounds(context = null) {
+    if (this.#audioContext && (context === null || context === this.#audioContext))
+      return this.#audioContext;
+    if (
+      context !== null &&
+      (typeof context !== 'object' || typeof context.createGain !== 'function')
+    )
+      throw new Error('enableSounds: context must be an AudioContext.');
+    this.disableSounds();
+
+    let audio = context;
+    if (!audio) {
+      /** @type {typeof AudioContext|undefined} */
+      const AudioContextClass =
+        typeof window !== 'undefined'
+          ? window.AudioContext || /** @type {any} */ (window).webkitAudioContext
+          : undefined;
+      if (typeof AudioContextClass !== 'function')
+        throw new Error('enableSounds: the Web Audio API is not available.');
+      audio = new AudioContextClass();
+      this.#ownsAudioContext = true;
+    }
+
+    this.#audioContext = audio;
+    this.#soundGain = audio.createGain();
+    this.#soundGain.connect(audio.destination);
+    this.#updateSoundGain();
+    return audio;
+  }
+
+  /**
+   * Stops playing sounds. The audio context is closed if it was created by `enableSounds`.
+   */
+  disableSounds() {
+    if (this.#soundGain) this.#soundGain.disconnect();
+    if (this.#audioContext && this.#ownsAudioContext)
+      this.#audioContext.close().catch(() => undefined);
+    this.#audioContext = null;
+    this.#soundGain = null;
+    this.#ownsAudioContext = false;
+  }
+
+  /**
+   * Gets the audio context used by the sounds.
+   * @returns {AudioContext|null} The audio context, or null if sounds are not enabled.
+   */
+  get audioContext() {
+    return this.#audioContext;
+  }
+
+  /**
+   * Sets the volume of the sounds. Values are clamped between 0 and 1.
+   * Invalid values reset it to the default volume (`0.5`).
+   * @param {number} value
+   */
+  set soundVolume(value) {
+    this.#soundVolume =
+      typeof value === 'number' && !Number.isNaN(value) ? Math.min(Math.max(value, 0), 1) : 0.5;
+    this.#updateSoundGain();
+  }
+
+  /**
+   * Gets the volume of the sounds.
+   * @returns {number} The volume, from 0 to 1.
+   */
+  get soundVolume() {
+    return this.#soundVolume;
+  }
+
+  /**
+   * Mutes or unmutes the sounds, keeping the volume.
+   * @param {boolean} value
+   */
+  set soundMuted(value) {
+    this.#soundMuted = !!value;
+    this.#updateSoundGain();
+  }
+
+  /**
+   * Gets whether the sounds are muted.
+   * @returns {boolean}
+   */
+  get soundMuted() {
+    return this.#soundMuted;
+  }
+
+  /**
+   * Applies the volume and mute settings to the audio output.
+   */
+  #updateSoundGain() {
+    if (this.#soundGain) this.#soundGain.gain.value = this.#soundMuted ? 0 : this.#soundVolume;
+  }
+
+  /**
+   * Replaces a built-in sound with an audio buffer or a callback.
+   *
+   * Callbacks receive the audio context, the volume node to connect to and the dice of the sound.
+   * They are not called while the sounds are muted.
+   *
+   * @param {import('./DiceSounds.mjs').DiceSoundName} name - The sound to replace: `roll`, `land` or `critical`.
+   * @param {AudioBuffer|DiceSoundCallback|null} sound - The new sound, or null to use the built-in sound again.
+   * @throws {Error} If the sound name is unknown, or the sound is not an audio buffer, a function or null.
+   */
+  setSound(name, sound) {
+    if (!DICE_SOUND_NAMES.includes(name)) throw new Error(`setSound: unknown sound "${name}".`);
+    if (sound === null) {
+      this.#customSounds.delete(name);
+      return;
+    }
+    if (
+      typeof sound !== 'function' &&
+      !(typeof AudioBuffer !== 'undefined' && sound instanceof AudioBuffer)
+    )
+      throw new Error('setSound: sound must be an AudioBuffer, a function or null.');
+    this.#customSounds.set(name, sound);
+  }
+
+  /**
+   * Gets the custom sound that replaces a built-in sound.
+   *
+   * @param {import('./DiceSounds.mjs').DiceSoundName} name - The sound name.
+   * @returns {AudioBuffer|DiceSoundCallback|null} The custom sound, or null if the built-in sound is used.
+   */
+  getSound(name) {
+    return this.#customSounds.get(name) ?? null;
+  }
+
+  /**
+   * Plays a sound, if sounds are enabled and not muted.
+   *
+   * Landing sounds of dice stopping at the same time are spread out a little,
+   * and only the first few of them are played.
+   *
+   * @param {import('./DiceSounds.mjs').DiceSoundName} name - The sound to play.
+   * @param {DiceResult[]} dice - The dice of the roll, or the die that stopped.
+   * @param {number|null} index - Index of the die inside its roll, or null for the roll sound.
+   */
+  #playSound(name, dice, index) {
+    const context = this.#audioContext;
+    const destination = this.#soundGain;
+    if (!context || !destination || context.state === 'closed' || !this.#existsHtml()) return;
+    if (this.#soundMuted || this.#soundVolume <= 0) return;
+    if (context.state === 'suspended') context.resume().catch(() => undefined);
+
+    let when = context.currentTime;
+    if (name === 'land') {
+      if (this.#landBatch.time !== when) this.#landBatch = { time: when, count: 0 };
+      if (this.#landBatch.count >= 6) return;
+      when += this.#landBatch.count++ * 0.03;
+    } else if (name === 'critical') when += 0.05;
+
+    const sound = this.#customSounds.get(name);
+    if (typeof sound === 'function')
+      sound({ name, context, destination, volume: this.#soundVolume, when, dice, index });
+    else if (sound) playBuffer(context, destination, sound, when);
+    else if (name === 'roll') playRollSound(context, destination, when, dice.length);
+    else if (name === 'land') playLandSound(context, destination, when, dice[0].max);
+    else playCriticalSound(context, destination, when);
+  }
+
+  /**
+   * Prepares the seed and the random generator of a new roll.
+   *
+   * Every roll gets its own seed and a fresh generator built from it, so any roll can be replayed.
+   * In seeded mode, the seed comes from the seed chain, which moves forward for the next roll.
+   * Otherwise, it is drawn from the generator set in `rng`.
+   *
+   * A seed given to the roll is used instead, and the seed of the instance is not changed.
+   *
+   * @param {number|null} [rollSeed=null] - The normalized seed given to the roll, or null.
+   * @returns {RollRandom} The seed and the generator of the roll.
+   */
+  #beginRoll(rollSeed = null) {
+    let seed = rollSeed;
+    if (seed === null && this.#seed !== null) {
+      seed = this.#seed;
+      this.#seed = nextSeed(seed);
+    }
+    if (seed === null) seed = Math.floor(this.#random() * 4294967296) >>> 0;
+    return { seed, random: createSeededRandom(seed) };
+  }
+
+  /**
+   * Sets the background image using a `data:` URL.
+   *
+   * For security reasons, only `data:` URLs are accepted by default to avoid external resource injection.
+   *
+   * @param {string|null} value - The background-image URL (must be a `data:` image by default).
+   */
+  set bgImg(value) {
+    this.#bgImg = this.#validateSkinValue('bgImg', value);
+    this.#emit('skinchange', { name: 'bgImg', value: this.#bgImg });
+  }
+
+  /**
+   * Sets the background image using a `data:` URL or, optionally, a standard image URL if forced.
+   *
+   * For security reasons, only `data:` URLs are accepted by default to avoid external resource injection.
+   * You can override this restriction using the `forceUnsafe` flag, but this is discouraged unless trusted.
+   *
+   * @param {string|null} value - The background-image URL (must be a `data:` image by default).
+   * @param {boolean} [forceUnsafe=false] - Allows setting non-data URLs if true (use with caution).
+   */
+  setBgImg(value, forceUnsafe = false) {
+    this.#bgImg =
+      typeof value === 'string' && (forceUnsafe || this.#isValidDataImage(value)) ? value : null;
+    this.#emit('skinchange', { name: 'bgImg', value: this.#bgImg });
+  }
+
+  /**
+   * Returns the currently set background image if valid, or null.
+   *
+   * @returns {string|null} - The current background-image value (data:image URL) or null if none is set.
+   */
+  get bgImg() {
+    return this.#bgImg || null;
+  }
+
+  /**
+   * Sets the background skin style if it's a valid CSS color or linear-gradient.
+   * Prevents injection of unsafe or malformed styles.
+   *
+   * @param {string|null} skin - A valid CSS color string or gradient.
+   */
+  set bgSkin(skin) {
+    this.#bgSkin = this.#validateSkinValue('bgSkin', skin);
+    this.#emit('skinchange', { name: 'bgSkin', value: this.#bgSkin });
+  }
+
+  /**
+   * Gets the currently applied background skin.
+   * @returns {string|null} The current background skin, or the default if not set.
+   */
+  get bgSkin() {
+    return this.#bgSkin || this.#defaultBgSkin;
+  }
+
+  /**
+   * Sets the text skin (style) of the dice numbers.
+   * @param {string|null} skin - The skin name to apply to the text. Pass null or non-string to reset to default.
+   */
+  set textSkin(skin) {
+    this.#textSkin = this.#validateSkinValue('textSkin', skin);
+    this.#emit('skinchange', { name: 'textSkin', value: this.#textSkin });
+  }
+
+  /**
+   * Gets the currently applied text skin.
+   * @returns {string|null} The current text skin, or the default if not set.
+   */
+  get textSkin() {
+    return this.#textSkin || this.#defaultTextSkin;
+  }
+
+  /**
+   * Sets the border skin (style) of the dice edges.
+   * @param {string|null} skin - The skin name to apply to the border. Pass null or non-string to reset to default.
+   */
+  set borderSkin(skin) {
+    this.#borderSkin = this.#validateSkinValue('borderSkin', skin);
+    this.#emit('skinchange', { name: 'borderSkin', value: this.#borderSkin });
+  }
+
+  /**
+   * Gets the currently applied border skin.
+   * @returns {string|null} The current border skin, or the default if not set.
+   */
+  get borderSkin() {
+    return this.#borderSkin || this.#defaultBorderSkin;
+  }
+
+  /**
+   * Sets the background skin for selected dice.
+   * Accepts valid CSS color strings or `linear-gradient(...)`.
+   * Invalid values reset the skin to `null`.
+   *
+   * @param {string|null} skin - The CSS background to apply when a die is selected.
+   */
+  set selectionBgSkin(skin) {
+    this.#selectionBgSkin = this.#validateSkinValue('selectionBgSkin', skin);
+    this.#emit('skinchange', { name: 'selectionBgSkin', value: this.#selectionBgSkin });
+  }
+
+  /**
+   * Gets the background skin used for selected dice.
+   * Returns the custom value if set; otherwise, returns the default.
+   *
+   * @returns {string|null} The current background skin for selected dice.
+   */
+  get selectionBgSkin() {
+    return this.#selectionBgSkin || this.#defaultSelectionBgSkin;
+  }
+
+  /**
+   * Sets the text color for selected dice.
+   * Only valid CSS color values are accepted.
+   * Invalid inputs will reset the color to `null`.
+   *
+   * @param {string|null} skin - The text color for selected dice.
+   */
+  set selectionTextSkin(skin) {
+    this.#selectionTextSkin = this.#validateSkinValue('selectionTextSkin', skin);
+    this.#emit('skinchange', { name: 'selectionTextSkin', value: this.#selectionTextSkin });
+  }
+
+  /**
+   * Gets the text color used for selected dice.
+   * Returns the custom value if set; otherwise, returns the default.
+   *
+   * @returns {string|null} The current text color for selected dice.
+   */
+  get selectionTextSkin() {
+    return this.#selectionTextSkin || this.#defaultSelectionTextSkin;
+  }
+
+  /**
+   * Validates a skin value with the same rules used by the skin setters.
+   *
+   * @param {keyof DiceSkin} name - The skin name.
+   * @param {*} value - The value to validate.
+   * @returns {string|null} The accepted value, or null if it is invalid.
+   */
+  #validateSkinValue(name, value) {
+    if (typeof value !== 'string') return null;
+    switch (name) {
+      case 'bgSkin':
+      case 'selectionBgSkin': {
+        const trimmed = value.trim();
+        const isGradient = this.#isValidLinearGradient(trimmed);
+        const isColor = !!TinyColorValidator.isColor(trimmed);
+        return isGradient || isColor ? trimmed : null;
+      }
+      case 'textSkin':
+      case 'selectionTextSkin':
+        return TinyColorValidator.isColor(value) ? value : null;
+      case 'borderSkin':
+        return this.#isValidCssBorder(value) ? value : null;
+      case 'bgImg':
+        return this.#isValidDataImage(value) ? value : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validates a skin override object. Invalid values are removed, so they fall back to the instance skin.
+   *
+   * @param {DiceSkin|null|undefined} skin - The skin to validate.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @returns {DiceSkin|null} The cleaned skin, or null if no skin was given.
+   * @throws {Error} If the skin is not an object or has unknown keys.
+   */
+  #normalizeSkin(skin, where) {
+    if (skin === null || skin === undefined) return null;
+    if (!isJsonObject(skin)) throw new Error(`${where}: skin must be an object or null.`);
+
+    /** @type {DiceSkin} */
+    const result = {};
+    for (const name of Object.keys(skin)) {
+      if (!TinyDices.#skinNames.includes(/** @type {keyof DiceSkin} */ (name)))
+        throw new Error(`${where}: unknown skin "${name}".`);
+      const value = this.#validateSkinValue(
+        /** @type {keyof DiceSkin} */ (name),
+        skin[/** @type {keyof DiceSkin} */ (name)],
+      );
+      if (value !== null) result[/** @type {keyof DiceSkin} */ (name)] = value;
+    }
+    return result;
+  }
+
+  /**
+   * Gets the final skin of a tray die, from the most specific override to the instance skin:
+   * die index, roll call, dice group, die type (max value) and then the instance skin.
+   *
+   * @param {number} index - Index of the die inside the tray.
+   * @param {number|null} max - The maximum value of the die.
+   * @param {DiceSkin|null} rollSkin - The skin given to the roll that created the die.
+   * @param {string|null} [group=null] - The name of the group of the die.
+   * @returns {Required<DiceSkin>}
+   */
+  #resolveSkin(index, max, rollSkin, group = null) {
+    const groupData = group !== null ? this.#groups.get(group) : undefined;
+    const layers = [
+      this.#indexSkins.get(index),
+      rollSkin,
+      groupData ? groupData.skin : null,
+      max !== null ? this.#maxSkins.get(max) : undefined,
+    ];
+    /** @param {keyof DiceSkin} name @param {string|null} fallback */
+    const pick = (name, fallback) => {
+      for (const layer of layers) if (layer && typeof layer[name] === 'string') return layer[name];
+      return fallback;
+    };
+    return {
+      bgSkin: pick('bgSkin', this.bgSkin),
+      textSkin: pick('textSkin', this.textSkin),
+      borderSkin: pick('borderSkin', this.borderSkin),
+      bgImg: pick('bgImg', this.bgImg),
+      selectionBgSkin: pick('selectionBgSkin', this.selectionBgSkin),
+      selectionTextSkin: pick('selectionTextSkin', this.selectionTextSkin),
+    };
+  }
+
+  /**
+   * Sets a skin override for the die at a tray position. It is kept for new rolls until removed.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @param {DiceSkin|null} skin - The skin values to override, or null to remove the override.
+   * @throws {Error} If the index is not a valid number, or the skin is invalid.
+   */
+  setDiceSkin(index, skin) {
+    const parsedIndex = typeof index === 'string' ? parseInt(index, 10) : index;
+    if (typeof parsedIndex !== 'number' || Number.isNaN(parsedIndex))
+      throw new Error('setDiceSkin: index must be a number or a numeric string.');
+    const value = this.#normalizeSkin(skin, 'setDiceSkin');
+    if (value) this.#indexSkins.set(parsedIndex, value);
+    else this.#indexSkins.delete(parsedIndex);
+    this.#emit('skinchange', { name: 'diceSkin', value: { index: parsedIndex, skin: value } });
+    if (this.#tray[parsedIndex]) this.updateDiceSkin(parsedIndex);
+  }
+
+  /**
+   * Sets a skin override for every die with the given max value, such as all the d20s.
+   *
+   * @param {number} max - The maximum value of the dice.
+   * @param {DiceSkin|null} skin - The skin values to override, or null to remove the override.
+   * @throws {Error} If the max value is not a number, or the skin is invalid.
+   */
+  setDiceTypeSkin(max, skin) {
+    if (typeof max !== 'number' || Number.isNaN(max))
+      throw new Error('setDiceTypeSkin: max must be a number.');
+    const value = this.#normalizeSkin(skin, 'setDiceTypeSkin');
+    if (value) this.#maxSkins.set(max, value);
+    else this.#maxSkins.delete(max);
+    this.#emit('skinchange', { name: 'diceTypeSkin', value: { max, skin: value } });
+    this.updateDicesSkin();
+  }
+
+  /**
+   * Gets the final skin used by the die at a tray position, after every override is applied.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @returns {Required<DiceSkin>}
+   * @throws {Error} If the index is not a valid number.
+   */
+  getDiceSkin(index) {
+    const parsedIndex = typeof index === 'string' ? parseInt(index, 10) : index;
+    if (typeof parsedIndex !== 'number' || Number.isNaN(parsedIndex))
+      throw new Error('getDiceSkin: index must be a number or a numeric string.');
+    const item = this.#tray[parsedIndex];
+    return item
+      ? this.#resolveSkin(parsedIndex, item.max, item.skin, item.group)
+      : this.#resolveSkin(parsedIndex, null, null);
+  }
+
+  /**
+   * Removes every per-die and per-die-type skin override.
+   */
+  clearDiceSkins() {
+    this.#indexSkins.clear();
+    this.#maxSkins.clear();
+    this.#emit('skinchange', { name: 'diceSkin', value: null });
+    this.updateDicesSkin();
+  }
+
+  /**
+   * Validates a theme strictly: unknown keys and invalid values are rejected.
+   *
+   * @param {*} theme - The theme to validate.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @returns {DiceTheme} A clean copy of the theme.
+   * @throws {Error} If the theme is not an object, has unknown keys or invalid values.
+   */
+  #validateTheme(theme, where) {
+    if (!isJsonObject(theme)) throw new Error(`${where}: theme must be an object.`);
+    /** @type {DiceTheme} */
+    const result = {};
+    for (const [name, value] of Object.entries(theme)) {
+      const skinName = /** @type {keyof DiceSkin} */ (name);
+      if (!TinyDices.#skinNames.includes(skinName))
+        throw new Error(`${where}: unknown skin "${name}".`);
+      if (value === null || value === undefined) continue;
+      const validValue = this.#validateSkinValue(skinName, value);
+      if (validValue === null) throw new Error(`${where}: invalid value for "${name}".`);
+      result[skinName] = validValue;
+    }
+    return result;
+  }
+
+  /**
+   * Registers a theme under a name, replacing any theme with the same name.
+   *
+   * @param {string} name - The theme name.
+   * @param {DiceTheme} theme - The skin values of the theme.
+   * @throws {Error} If the name is not a non-empty string or the theme is invalid.
+   */
+  registerTheme(name, theme) {
+    if (typeof name !== 'string' || name.trim().length < 1)
+      throw new Error('registerTheme: name must be a non-empty string.');
+    this.#themes.set(name, this.#validateTheme(theme, 'registerTheme'));
+  }
+
+  /**
+   * Removes a registered theme.
+   *
+   * @param {string} name - The theme name.
+   * @returns {boolean} `true` if the theme existed and was removed.
+   */
+  removeTheme(name) {
+    return this.#themes.delete(name);
+  }
+
+  /**
+   * Gets a copy of a registered theme.
+   *
+   * @param {string} name - The theme name.
+   * @returns {DiceTheme|null} The theme, or null if no theme has this name.
+   */
+  getTheme(name) {
+    const theme = this.#themes.get(name);
+    return theme ? { ...theme } : null;
+  }
+
+  /**
+   * Gets the names of every registered theme, including the built-in presets.
+   * @returns {string[]}
+   */
+  get themeNames() {
+    return Array.from(this.#themes.keys());
+  }
+
+  /**
+   * Gets the skin values currently set on the instance, as a theme.
+   * Skins using their default value are not included.
+   *
+   * @returns {DiceTheme}
+   */
+  getCurrentTheme() {
+    /** @type {DiceTheme} */
+    const theme = {};
+    if (this.#bgSkin) theme.bgSkin = this.#bgSkin;
+    if (this.#bgImg) theme.bgImg = this.#bgImg;
+    if (this.#textSkin) theme.textSkin = this.#textSkin;
+    if (this.#borderSkin) theme.borderSkin = this.#borderSkin;
+    if (this.#selectionBgSkin) theme.selectionBgSkin = this.#selectionBgSkin;
+    if (this.#selectionTextSkin) theme.selectionTextSkin = this.#selectionTextSkin;
+    return theme;
+  }
+
+  /**
+   * Applies a theme in one call. Skins missing from the theme go back to their default value,
+   * and the dice already rendered are updated.
+   *
+   * @param {string|DiceTheme} theme - The name of a registered theme, or a theme object.
+   * @throws {Error} If no theme has this name, or the theme is invalid.
+   */
+  applyTheme(theme) {
+    /** @type {DiceTheme} */
+    let values;
+    if (typeof theme === 'string') {
+      const registered = this.#themes.get(theme);
+      if (!registered) throw new Error(`applyTheme: theme "${theme}" is not registered.`);
+      values = registered;
+    } else values = this.#validateTheme(theme, 'applyTheme');
+
+    this.bgSkin = values.bgSkin ?? null;
+    this.bgImg = values.bgImg ?? null;
+    this.textSkin = values.textSkin ?? null;
+    this.borderSkin = values.borderSkin ?? null;
+    this.selectionBgSkin = values.selectionBgSkin ?? null;
+    this.selectionTextSkin = values.selectionTextSkin ?? null;
+    this.#emit('themechange', {
+      name: typeof theme === 'string' ? theme : null,
+      theme: { ...values },
+    });
+    this.updateDicesSkin();
+  }
+
+  /**
+   * Exports a theme as a JSON string.
+   *
+   * @param {string|null} [name=null] - The name of a registered theme, or null to export the current skins.
+   * @param {number} [space] - Indentation passed to `JSON.stringify`.
+   * @returns {string}
+   * @throws {Error} If no theme has this name.
+   */
+  exportTheme(name = null, space) {
+    if (name === null) return JSON.stringify(this.getCurrentTheme(), null, space);
+    const theme = this.#themes.get(name);
+    if (!theme) throw new Error(`exportTheme: theme "${name}" is not registered.`);
+    return JSON.stringify(theme, null, space);
+  }
+
+  /**
+   * Imports a theme from a JSON string, validating every value with the same rules as the skin setters.
+   *
+   * @param {string} json - The JSON string created by `exportTheme`.
+   * @param {string|null} [name=null] - If given, the theme is also registered under this name.
+   * @returns {DiceTheme} The validated theme, ready to be used with `applyTheme`.
+   * @throws {Error} If the JSON is invalid, or the theme has unknown keys or invalid values.
+   */
+  importTheme(json, name = null) {
+    if (typeof json !== 'string') throw new Error('importTheme: json must be a string.');
+    const theme = this.#validateTheme(JSON.parse(json), 'importTheme');
+    if (name !== null) this.registerTheme(name, theme);
+    return theme;
+  }
+
+  /**
+   * Registers a face set for custom-faced dice, replacing any set with the same name.
+   *
+   * @param {string} name - The face set name.
+   * @param {import('./DiceFaces.mjs').DiceFaceInput[]} faces - The faces of the die, in order.
+   * @throws {Error} If the name is not a non-empty string or a face is invalid.
+   */
+  registerFaceSet(name, faces) {
+    if (typeof name !== 'string' || name.trim().length < 1)
+      throw new Error('registerFaceSet: name must be a non-empty string.');
+    this.#faceSets.set(name, normalizeFaces(faces, 'registerFaceSet'));
+  }
+
+  /**
+   * Removes a registered face set. Dice already in the tray keep their faces.
+   *
+   * @param {string} name - The face set name.
+   * @returns {boolean} `true` if the face set existed and was removed.
+   */
+  removeFaceSet(name) {
+    return this.#faceSets.delete(name);
+  }
+
+  /**
+   * Gets a copy of a registered face set.
+   *
+   * @param {string} name - The face set name.
+   * @returns {import('./DiceFaces.mjs').DiceFace[]|null} The faces, or null if no set has this name.
+   */
+  getFaceSet(name) {
+    const faces = this.#faceSets.get(name);
+    return faces ? faces.map((face) => ({ ...face })) : null;
+  }
+
+  /**
+   * Gets the names of every registered face set, including the built-in sets.
+   * @returns {string[]}
+   */
+  get faceSetNames() {
+    return Array.from(this.#faceSets.keys());
+  }
+
+  /**
+   * Applies the current visual skin to a specific dice face element.
+   * This includes background color, text color, border style, and optionally
+   * a `background-image` if set via `setBgImg`.
+   *
+   * @param {HTMLElement} face - The HTML element representing a dice face.
+   * @param {DiceSkin|null} [skin=null] - The skin of the die, or null for the instance skin.
+   */
+  #updateDiceFaceSkin(face, skin = null) {
+    const { bgSkin, textSkin, borderSkin, bgImg, selectionBgSkin, selectionTextSkin } = {
+      bgSkin: this.bgSkin,
+      textSkin: this.textSkin,
+      borderSkin: this.borderSkin,
+      bgImg: this.bgImg,
+      selectionBgSkin: this.selectionBgSkin,
+      selectionTextSkin: this.selectionTextSkin,
+      ...skin,
+    };
+
+    // Skin
+    face.style.background = bgSkin || '';
+    face.style.color = textSkin || '';
+    face.style.border = borderSkin || '';
+    face.style.setProperty('--dice-selection-bg', selectionBgSkin);
+    face.style.setProperty('--dice-selection-text', selectionTextSkin);
+
+    // Background image
+    if (bgImg) {
+      face.style.backgroundImage = `url("${bgImg}")`;
+      face.style.backgroundPosition = 'center';
+      face.style.backgroundSize = '100%';
+      face.style.backgroundRepeat = 'repeat';
+    }
+  }
+
+  /**
+   * Updates the visual skin or style of a single dice face element.
+   *
+   * This is a public wrapper around the internal method `#updateDiceFaceSkin`,
+   * allowing external calls to apply the dice face style dynamically.
+   *
+   * Custom cube scripts can pass `options.getSkin()` to use the per-die skin overrides.
+   *
+   * @param {HTMLElement} face - The DOM element representing a single face of the die.
+   * @param {DiceSkin|null} [skin=null] - The skin of the die, or null for the instance skin.
+   * @returns {void}
+   */
+  updateDiceFaceSkin(face, skin = null) {
+    return this.#updateDiceFaceSkin(face, this.#normalizeSkin(skin, 'updateDiceFaceSkin'));
+  }
+
+  /**
+   * Updates the visual skin of all dice face elements currently rendered.
+   * Iterates through each die of the tray and applies the active
+   * background, text color, border, and background image styles using `#updateDiceFaceSkin`.
+   *
+   */
+  updateDicesSkin() {
+    for (let index = 0; index < this.#tray.length; index++) this.updateDiceSkin(index);
+  }
+
+  /**
+   * Updates the visual skin of a specific die by index.
+   * Applies current background color, text color, border style, and background image
+   * to all face elements of the selected die using `#updateDiceFaceSkin`.
+   *
+   * @param {number|string} index - The index of the die to update.
+   * @throws {Error} If the index is not a valid number or string convertible to number.
+   *
+   * @returns {boolean} Returns `true` if the die was found and updated; otherwise `false`.
+   */
+  updateDiceSkin(index) {
+    const parsedIndex =
+      typeof index === 'string' ? parseInt(index) : typeof index === 'number' ? index : -1;
+    if (Number.isNaN(parsedIndex))
+      throw new Error('updateDiceSkin: index must be a number or a numeric string.');
+    const item = this.#tray[parsedIndex];
+    const element = item ? item.element : null;
+
+    if (element) {
+      const skin = this.getDiceSkin(parsedIndex);
+      for (const index2 in element.faces) this.#updateDiceFaceSkin(element.faces[index2], skin);
+      return true;
+    } else return false;
+  }
+
+  /**
+   * Generates a random integer between 1 and max (inclusive).
+   * If `canZero` is true, the range becomes 0 to max (inclusive).
+   *
+   * @param {number} max - The maximum value for the roll (inclusive).
+   * @param {boolean} [canZero=false] - Whether the result can include 0.
+   * @param {import('./DiceRandom.mjs').RandomFunction} [random] - The generator to use. Defaults to the one set in `rng`.
+   * @returns {number} A random integer between 1 and max, or 0 and max if `canZero` is true. Returns 0 if max <= 0.
+   */
+  #rollNumber(max = 0, canZero = false, random = this.#random) {
+    // Throw an error if the value is not a valid number
+    if (typeof max !== 'number' || Number.isNaN(max)) {
+      throw new Error(`Invalid die max value: ${max}. All values must be positive numbers.`);
+    }
+
+    // Valid number
+    if (max > 0) {
+      let maxValue = max;
+      let finalValue = 1;
+      if (canZero) {
+        maxValue++;
+        finalValue--;
+      }
+      return Math.floor(random() * maxValue) + finalValue;
+    } else return 0;
+  }
+
+  /**
+   * Generates a random integer between a lower bound and a maximum value.
+   *
+   * This is a public wrapper for the internal method `#rollNumber`, which handles
+   * dice-style number generation, optionally allowing zero as a result.
+   *
+   * @param {number} [max=0] - The maximum value (inclusive upper bound if `canZero` is true).
+   * @param {boolean} [canZero=false] - If true, the roll can return 0 (or a range starting from 0).
+   * @param {import('./DiceRandom.mjs').RandomFunction|null} [random=null] - The generator to use,
+   *        such as `options.random` in a custom cube script. Defaults to the one set in `rng`.
+   * @returns {number} A pseudo-random integer within the expected range.
+   * @throws {Error} If `random` is not a function or null.
+   *
+   * - If `canZero` is false: returns a number from 1 to `max`.
+   * - If `canZero` is true: returns a number from 0 to `max`.
+   * - If `max <= 0`: always returns 0.
+   */
+  rollNumber(max = 0, canZero = false, random = null) {
+    if (random !== null && typeof random !== 'function')
+      throw new Error('rollNumber: random must be a function or null.');
+    return this.#rollNumber(max, canZero, random ?? this.#random);
+  }
+
+  /**
+   * Parses input parameters to determine the dice configuration.
+   *
+   * @param {string|Array<number>} perDieValues - Optional: a comma-separated string or array of individual max values.
+   * @returns {number[]} - Parsed dice configuration.
+   */
+  parseRollConfig(perDieValues = '') {
+    // Get per die data
+    return typeof perDieValues === 'string' && perDieValues.length > 0
+      ? perDieValues
+          .trim()
+          .split(',')
+          .map((raw) => {
+            let val = 0;
+            try {
+              val = parseInt(raw.trim(), 10);
+            } catch {
+              val = 0;
+            }
+            if (typeof val === 'number' && !Number.isNaN(val) && Number.isFinite(val) && val > -1)
+              return val;
+            return -1;
+          })
+      : Array.isArray(perDieValues)
+        ? perDieValues
+        : [];
+  }
+
+  /**
+   * Parses a dice expression such as `4d6kh3`, `2d20kl1+5`, `3d6!` or `1d8+1d6-2`.
+   *
+   * @param {string} expression - The dice expression to parse.
+   * @returns {import('./DiceNotation.mjs').ParsedNotation} - The parsed terms of the expression.
+   * @throws {DiceNotationError} If the expression is invalid. The error has a `position` property.
+   */
+  parseNotation(expression) {
+    return parseDiceNotation(expression);
+  }
+
+  /**
+   * Computes the exact odds of a dice configuration, without rolling anything.
+   *
+   * Works with dice expressions (including keep/drop and exploding dice), comma-separated
+   * strings and arrays of max values, and follows the same rules as `rollNumber`.
+   *
+   * @param {string|Array<number>|import('./DiceNotation.mjs').ParsedNotation} perDieInput - A dice expression, its parsed form, a comma-separated string or an array of max values per die.
+   * @param {boolean} [canZero=false] - Whether 0 is a valid die result.
+   * @returns {import('./DiceProbability.mjs').DiceProbability} - The distribution of the total and its statistics.
+   * @throws {DiceNotationError} If a dice expression is invalid.
+   * @throws {Error} If a group explodes and keeps/drops dice, or the configuration is too large to compute.
+   */
+  probability(perDieInput, canZero = false) {
+    if (isJsonObject(perDieInput) && Array.isArray(perDieInput.terms))
+      return analyzeDistribution(
+        getNotationDistribution(
+          /** @type {import('./DiceNotation.mjs').ParsedNotation} */ (perDieInput),
+          canZero,
+        ),
+      );
+    if (isDiceNotation(perDieInput))
+      return analyzeDistribution(
+        getNotationDistribution(parseDiceNotation(/** @type {string} */ (perDieInput)), canZero),
+      );
+    return analyzeDistribution(
+      getConfigDistribution(
+        this.parseRollConfig(/** @type {string|Array<number>} */ (perDieInput)),
+        canZero,
+      ),
+    );
+  }
+
+  /**
+   * Formats a roll result for chat logs and other outputs.
+   *
+   * Formats:
+   * - `text` - A single line, such as `2d6+3 → [4, 2] + 3 = 9`.
+   * - `markdown` - A bold summary followed by one list item per die.
+   * - `html` - Escaped HTML with one `<span>` per die.
+   * - `json` - A JSON string with a stable schema.
+   *
+   * Dropped, exploded, critical (highest face) and fumbled (lowest face) dice are marked in every format.
+   *
+   * @param {import('./DiceFormat.mjs').FormattableRoll} roll - The value returned by a roll method, or a history entry.
+   * @param {'text'|'markdown'|'html'|'json'} [format='text'] - The output format.
+   * @param {import('./DiceFormat.mjs').FormatOptions} [options={}] - Template hook and other settings.
+   * @returns {string}
+   * @throws {Error} If the format is unknown or the value is not a roll result.
+   */
+  formatRoll(roll, format = 'text', options = {}) {
+    switch (format) {
+      case 'text':
+        return formatRollText(roll, options);
+      case 'markdown':
+        return formatRollMarkdown(roll, options);
+      case 'html':
+        return formatRollHTML(roll, options);
+      case 'json':
+        return formatRollJSON(roll, options);
+      default:
+        throw new Error(`formatRoll: unknown format "${format}".`);
+    }
+  }
+
+  /**
+   * Inserts a single 3D die into the DOM and returns the full cube data, including its element.
+   *
+   * @param {number} result - The value displayed on the front face of the die.
+   * @param {number} max - The maximum value for the die (used to generate other random faces).
+   * @param {boolean} [canZero=false] - Whether 0 is a valid face value.
+   * @param {boolean} [rollInfinity=false] - Whether the die should spin indefinitely.
+   * @param {() => void} [onStop] - Callback to run once the die stops.
+   * @param {HTMLElement|null} [target=null] - Element the die is inserted into, or null for the dice area.
+   * @param {CubeOptions} [options={}] - Settings of the die given to the cube script.
+   *
+   * @throws {Error} If `this.diceArea` is not a valid HTMLElement.
+   * @throws {Error} If `this.#createCube` is not a function.
+   * @throws {Error} If cube creation fails or returns an invalid sequence.
+   * @returns {CubeResult} - The inserted cube and its face data.
+   */
+  #insertDiceCube(result, max, canZero, rollInfinity, onStop, target = null, options = {}) {
+    if (typeof HTMLElement === 'undefined' || !(this.diceArea instanceof HTMLElement))
+      throw new Error('insertDiceElement: this.diceArea is not a valid HTMLElement.');
+
+    if (typeof this.#createCube !== 'function')
+      throw new Error('insertDiceElement: this.#createCube is not a valid function.');
+
+    const data = this.#createCube(result, max, canZero, rollInfinity, onStop, options);
+    if (!Array.isArray(data.sequence))
+      throw new Error('insertDiceElement: invalid cube sequence returned.');
+
+    (target ?? this.diceArea).appendChild(data.cube);
+    return data;
+  }
+
+  /**
+   * Inserts a single 3D die into the DOM with animation.
+   *
+   * @param {number} result - The value displayed on the front face of the die.
+   * @param {number} max - The maximum value for the die (used to generate other random faces).
+   * @param {boolean} [canZero=false] - Whether 0 is a valid face value.
+   * @param {boolean} [rollInfinity=false] - Whether the die should spin indefinitely.
+   * @param {() => void} [onStop] - Callback to run once the die stops.
+   *
+   * @throws {Error} If `this.diceArea` is not a valid HTMLElement.
+   * @throws {Error} If `this.#createCube` is not a function.
+   * @throws {Error} If cube creation fails or returns an invalid sequence.
+   * @returns {PreDiceResult} - An object with the array representing the values on all six faces of the cube.
+   */
+  insertDiceElement(result, max, canZero, rollInfinity, onStop) {
+    const { sequence, stop, reRollDice, stopTimeout } = this.#insertDiceCube(
+      result,
+      max,
+      canZero,
+      rollInfinity,
+      onStop,
+    );
+    return { sequence, stop, reRollDice, stopTimeout };
+  }
+
+  /**
+   * Clears all dice cubes from the display area.
+   * Resets internal cube counter to avoid z-index conflicts.
+   */
+  clearDiceArea() {
+    this.#interruptSessions(new Error('rollAsync: the roll was interrupted by clearDiceArea().'));
+    this.#cubeId = 0;
+    for (const cancelFlicker of Array.from(this.#flickers.values())) cancelFlicker();
+    for (const item of this.#tray) if (item.cube) item.cube.remove();
+    if (typeof HTMLElement !== 'undefined' && this.diceArea instanceof HTMLElement) {
+      // Dice groups keep their place, only their dice are removed
+      const groupElements = [];
+      for (const group of this.#groups.values()) {
+        if (!group.element || !group.diceElement) continue;
+        group.diceElement.replaceChildren();
+        groupElements.push(group.element);
+      }
+      this.diceArea.replaceChildren(...groupElements);
+    }
+    this.#elements.clear();
+    this.#tray = [];
+    for (const group of this.#groups.values()) {
+      group.modifier = 0;
+      this.#updateGroupTotal(group);
+    }
+    this.#updateLayout();
+  }
+
+  /**
+   * Gets a die of the tray by its index.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @returns {TrayDie|null}
+   * @throws {Error} If the index is not a valid number.
+   */
+  #getTrayDie(index, where) {
+    const parsedIndex = typeof index === 'string' ? parseInt(index, 10) : index;
+    if (typeof parsedIndex !== 'number' || Number.isNaN(parsedIndex))
+      throw new Error(`${where}: index must be a number or a numeric string.`);
+    return this.#tray[parsedIndex] ?? null;
+  }
+
+  /**
+   * Locks or unlocks a die of the tray. Locked dice keep their result on `rerollUnlocked`.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @param {boolean} [locked=true] - The new lock state.
+   * @returns {boolean} `true` if the die exists, otherwise `false`.
+   * @throws {Error} If the index is not a valid number.
+   */
+  lockDice(index, locked = true) {
+    const item = this.#getTrayDie(index, 'lockDice');
+    if (!item) return false;
+    if (item.locked !== !!locked) {
+      item.locked = !!locked;
+      if (item.cube) item.cube.classList.toggle('locked', item.locked);
+      this.#updateDiceA11y(item);
+      this.#emit('lockchange', {
+        index: this.#tray.indexOf(item),
+        locked: item.locked,
+        die: item.die,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Unlocks a die of the tray.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @returns {boolean} `true` if the die exists, otherwise `false`.
+   * @throws {Error} If the index is not a valid number.
+   */
+  unlockDice(index) {
+    return this.lockDice(index, false);
+  }
+
+  /**
+   * Toggles the lock of a die of the tray.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @returns {boolean} The new lock state, or `false` if the die does not exist.
+   * @throws {Error} If the index is not a valid number.
+   */
+  toggleDiceLock(index) {
+    const item = this.#getTrayDie(index, 'toggleDiceLock');
+    if (!item) return false;
+    this.lockDice(index, !item.locked);
+    return item.locked;
+  }
+
+  /**
+   * Checks if a die of the tray is locked.
+   *
+   * @param {number|string} index - Index of the die inside the tray.
+   * @returns {boolean} `true` if the die exists and is locked.
+   * @throws {Error} If the index is not a valid number.
+   */
+  isDiceLocked(index) {
+    const item = this.#getTrayDie(index, 'isDiceLocked');
+    return item ? item.locked : false;
+  }
+
+  /**
+   * Unlocks every die of the tray.
+   */
+  unlockAllDice() {
+    for (let i = 0; i < this.#tray.length; i++) this.lockDice(i, false);
+  }
+
+  /**
+   * Gets the current results of every die in the tray, in order.
+   * @returns {DiceResult[]}
+   */
+  get trayDice() {
+    return this.#tray.map((item) => item.die);
+  }
+
+  /**
+   * Initializes the default cube creation function and assigns it to `this.#createCube`.
+   *
+   * This function builds a customizable cube with 6 animated faces, where each face is
+   * assigned a unique number (avoiding duplicates when possible). The front face shows the
+   * result value passed in, and the others are randomized based on the `max` value.
+   *
+   * @remarks
+   * If `createCubeScript` was not provided to the constructor, this method sets up the default cube generator.
+   *
+   * @returns {void}
+   *
+   * @function
+   */
+  #insertCreateCube() {
+    /**
      * @param {number} result
      * @param {number} max
      * @param {boolean} [canZero=false]
      * @param {boolean} [rollInfinity=false]
+     * @param {() => void} [onStop]
+     * @param {CubeOptions} [options={}]
      *
      * @returns {CubeResult}
      */
-    this.#createCube = (result, max, canZero = false, rollInfinity = false) => {
+    this.#createCube = (
+      result,
+      max,
+      canZero = false,
+      rollInfinity = false,
+      onStop,
+      options = {},
+    ) => {
+      const {
+        getSkin = null,
+        animation = { ...this.#animation, delay: 0 },
+        faces: customFaces = null,
+        restored = null,
+        thrown = false,
+        random: rollRandom = this.#random,
+      } = options;
+
       // Container
       /** @type {DiceElement} */
       const diceElements = { faces: [], container: null, wrapper: null };
@@ -756,182 +2871,1665 @@ class TinyDices {
       container.style.zIndex = String(1000 + this.addCubeId()); // each dice with higher priority
       diceElements.container = container;
 
-      // Wrapper
-      const wrapper = document.createElement('div');
-      wrapper.className = `cube-wrapper${rollInfinity ? ` spin-infinite` : ''}`;
-      diceElements.wrapper = wrapper;
+      // Wrapper
+      // Thrown dice are moved by the throw simulation, so they never spin in place
+      const wrapper = document.createElement('div');
+      wrapper.className = `cube-wrapper${rollInfinity && !thrown ? ` spin-infinite` : ''}`;
+      diceElements.wrapper = wrapper;
+
+      // Restored dice never draw from the roll generator, so seeded rolls stay replayable
+      const random = restored ? Math.random : rollRandom;
+      const updateFaceSkin = (/** @type {HTMLElement} */ face) =>
+        this.#updateDiceFaceSkin(face, getSkin ? getSkin() : null);
+
+      // Get rot
+      const turns = animation.maxRotations - animation.minRotations + 1;
+      const rotX = 360 * (animation.minRotations + Math.floor(random() * turns));
+      const rotY = 360 * (animation.minRotations + Math.floor(random() * turns));
+
+      // Wrapper animation
+      const delay = restored || this.prefersReducedMotion() ? 0 : animation.delay;
+      wrapper.style.animation = thrown
+        ? 'none'
+        : `tinyDiceSpinCubeCustom ${restored ? 0 : animation.duration}ms ${animation.easing} ${delay}ms forwards`;
+      wrapper.style.setProperty('--rotX', `${rotX}deg`);
+      wrapper.style.setProperty('--rotY', `${rotY}deg`);
+
+      // Standard dice (d4, d6, d8, d10, d12, d20) get their real shape and numbering
+      const low = canZero ? 0 : 1;
+      /** @type {number[]} */
+      const values = [];
+      if (Number.isInteger(max) && max >= low) for (let v = low; v <= max; v++) values.push(v);
+      const hasResult = values.includes(result);
+
+      const shape = hasResult ? getDiceShape(values.length) : null;
+      const shapeValues = shape ? assignFaceValues(shape, values) : [];
+      const frontIndex = shapeValues.indexOf(result);
+      const isStandardCube = hasResult && values.length === 6;
+
+      /**
+       * Draws a value on a face. Custom-faced dice draw the face at that position instead.
+       * Labels and icons are inserted as text, never as HTML.
+       *
+       * @param {HTMLElement} face
+       * @param {number} value
+       */
+      const drawFace = (face, value) => {
+        const data = customFaces ? customFaces[value - 1] : null;
+        if (!data) {
+          face.textContent = String(value);
+          return;
+        }
+        face.classList.add('face-custom');
+        face.title = data.label;
+        if (data.image) {
+          const img = document.createElement('img');
+          img.className = 'face-image';
+          img.src = data.image;
+          img.alt = data.label;
+          img.draggable = false;
+          face.replaceChildren(img);
+        } else face.textContent = data.icon ?? data.label;
+      };
+
+      if (shape) {
+        container.classList.add('dice-shape', `dice-${shape.name}`);
+        wrapper.style.setProperty('--dice-orient', getFrontTransform(shape.faces[frontIndex]));
+      } else if (isStandardCube) container.classList.add('dice-d6');
+
+      /**
+       * Gets the faces of a standard d6, where opposite faces add up to the same number.
+       * The order follows the face classes: face1 (front) is opposite to face3,
+       * face2 is opposite to face4 and face5 is opposite to face6.
+       *
+       * @param {number} front - The value of the front face.
+       * @returns {number[]}
+       */
+      const getCubeSequence = (front) => {
+        /** @param {number} value */
+        const opposite = (value) => values[values.length - 1 - values.indexOf(value)];
+        const others = values.filter((v) => v !== front && v !== opposite(front));
+        return [front, others[0], opposite(front), others[3], others[1], others[2]];
+      };
+
+      /**
+       * Creates the faces of a polyhedral die, with the result face first.
+       * @param {import('./DiceGeometry.mjs').DiceShape} diceShape
+       * @param {import('./DiceRandom.mjs').RandomFunction|null} [shuffle=null] - If given, the values are drawn in a random order.
+       */
+      const createShapeFaces = (diceShape, shuffle = null) => {
+        /** @type {number[]} */
+        const sequence = [];
+        const faceValues = [...shapeValues];
+        if (shuffle)
+          for (let i = faceValues.length - 1; i > 0; i--) {
+            const j = Math.floor(shuffle() * (i + 1));
+            [faceValues[i], faceValues[j]] = [faceValues[j], faceValues[i]];
+          }
+        const order = diceShape.faces.map((_, index) => index).filter((i) => i !== frontIndex);
+        order.unshift(frontIndex);
+
+        const offset = `${(100 - diceShape.size) / 2}px`;
+        order.forEach((faceIndex, i) => {
+          const shapeFace = diceShape.faces[faceIndex];
+          const face = document.createElement('div');
+          face.className = `face face${i + 1}`;
+          updateFaceSkin(face);
+          face.style.width = `${diceShape.size}px`;
+          face.style.height = `${diceShape.size}px`;
+          face.style.left = offset;
+          face.style.top = offset;
+          face.style.transform = getFaceTransform(shapeFace);
+          face.style.clipPath = getFaceClipPath(shapeFace, diceShape.size);
+          drawFace(face, faceValues[faceIndex]);
+
+          sequence.push(faceValues[faceIndex]);
+          wrapper.appendChild(face);
+          diceElements.faces.push(face);
+        });
+        return sequence;
+      };
+
+      /**
+       *  Create the cube
+       * @param {boolean} [isFinal=false]
+       * @param {import('./DiceRandom.mjs').RandomFunction} [source=random] - Source of the values of the other faces.
+       */
+      const rollDice = (isFinal = false, source = random) => {
+        diceElements.faces = [];
+        wrapper.textContent = '';
+        if (shape) return createShapeFaces(shape, isFinal ? null : source);
+
+        const sequence = [];
+        const countSeq = new Set();
+        const min = !canZero ? 0 : -1;
+        const cubeSequence = isStandardCube
+          ? getCubeSequence(isFinal ? result : this.#rollNumber(max, canZero, source))
+          : null;
+
+        for (let i = 1; i <= 6; i++) {
+          // Element
+          const face = document.createElement('div');
+          face.className = `face face${i}`;
+          updateFaceSkin(face);
+
+          // Standard d6
+          if (cubeSequence) {
+            sequence.push(cubeSequence[i - 1]);
+            drawFace(face, cubeSequence[i - 1]);
+          }
+
+          // Faces of a restored die
+          else if (isFinal && i !== 1 && restored && typeof restored[i - 1] === 'number') {
+            sequence.push(restored[i - 1]);
+            countSeq.add(restored[i - 1]);
+            drawFace(face, restored[i - 1]);
+          }
+
+          // Ignored results
+          else if (i !== 1 || !isFinal) {
+            let roll;
+            // Normal max
+            if (max > min) {
+              let extraValue = min;
+              let usingExtra = false;
+              do {
+                roll = !usingExtra ? this.#rollNumber(max, canZero, source) : extraValue;
+                if (usingExtra || sequence.length >= max) {
+                  if (extraValue >= max) {
+                    extraValue = min;
+                    countSeq.clear();
+                  }
+                  extraValue++;
+                  usingExtra = true;
+                }
+              } while (countSeq.has(roll));
+            }
+            // 0 or negative max
+            else roll = max;
+
+            // Insert sequence
+            if (roll < 1) roll = 0;
+            sequence.push(roll);
+            countSeq.add(roll);
+            drawFace(face, roll);
+          }
+          // The result!
+          else {
+            drawFace(face, result);
+            sequence.push(result);
+            countSeq.add(result);
+          }
+          // Side added
+          wrapper.appendChild(face);
+          diceElements.faces.push(face);
+        }
+        return sequence;
+      };
+
+      // The sequence
+      let sequence = rollDice(!!restored);
+
+      /** @type {NodeJS.Timeout|null} */
+      let rollProgress = null;
+
+      // Stop the face flicker
+      let continueAnimation = true;
+      const cancelFlicker = () => {
+        continueAnimation = false;
+        if (rollProgress) clearTimeout(rollProgress);
+        rollProgress = null;
+        this.#flickers.delete(container);
+      };
+
+      // Stop cube animation
+      const stop = () => {
+        cancelFlicker();
+        if (wrapper) wrapper.classList.add('stopped');
+        sequence = rollDice(true);
+        data.sequence = sequence;
+        if (typeof onStop === 'function') onStop();
+      };
+
+      /** @type {NodeJS.Timeout|null} */
+      let stopTimeout = null;
+      if (!rollInfinity && !restored && !thrown)
+        stopTimeout = setTimeout(stop, this.#getStopTime(animation));
+
+      // Face flicker: the faces cycle while the die spins, slowing down with it.
+      // The values are only visual, so they never draw from the roll generator.
+      const flickerChanges = animation.flickerChanges;
+      const infinite = rollInfinity || thrown;
+      const spinStart = Date.now() + delay;
+      const continueAnim = () => {
+        rollProgress = null;
+        const next = getFlickerDelay(
+          Date.now() - spinStart,
+          animation.duration,
+          flickerChanges,
+          infinite,
+        );
+        if (!continueAnimation || !container.isConnected || next === null) return cancelFlicker();
+        sequence = rollDice(false, Math.random);
+        rollProgress = setTimeout(continueAnim, next);
+      };
+      if (animation.flicker && !restored && !this.prefersReducedMotion()) {
+        const first = getFlickerDelay(0, animation.duration, flickerChanges, infinite);
+        if (first !== null) {
+          this.#flickers.set(container, cancelFlicker);
+          rollProgress = setTimeout(continueAnim, delay + first);
+        }
+      }
+
+      // Insert the cube
+      container.appendChild(wrapper);
+      this.#addElement(diceElements);
+      /** @type {CubeResult} */
+      const data = { cube: container, sequence, stop, reRollDice: rollDice, stopTimeout };
+      return data;
+    };
+  }
+
+  /**
+   * Creates the tracking data of a new roll.
+   *
+   * @param {RollRandom} roll - The seed and the generator of the roll.
+   * @param {boolean} canZero - Whether 0 is a valid result.
+   * @param {boolean} rollInfinity - Whether the dice spin infinitely.
+   * @param {DiceSkin|null} [skin=null] - The skin given to the roll call.
+   * @param {DiceAnimation|null} [animation=null] - The animation settings given to the roll call.
+   * @param {Array<string|null>} [labels=[]] - Names of the dice of the roll, by position.
+   * @param {HTMLElement|null} [container=null] - Element the dice are inserted into, or null for the dice area.
+   * @returns {RollSession}
+   */
+  #createRollSession(
+    { seed, random },
+    canZero,
+    rollInfinity,
+    skin = null,
+    animation = null,
+    labels = [],
+    container = null,
+  ) {
+    /** @type {RollSession} */
+    const session = {
+      dice: [],
+      stopped: [],
+      seed,
+      random,
+      canZero,
+      rollInfinity,
+      skin,
+      animation: this.#resolveAnimation(animation),
+      labels,
+      container,
+      group: null,
+      source: { historyId: null, notation: null, rules: null },
+      total: null,
+      started: false,
+      ended: false,
+      interrupted: false,
+      reason: null,
+      onEnd: [],
+      onInterrupt: [],
+    };
+    this.#sessions.add(session);
+    this.#lastSession = session;
+    return session;
+  }
+
+  /**
+   * Emits the `rollstart` event of a roll whose dice were all created.
+   *
+   * In headless mode there is no animation, so every die stops right away.
+   *
+   * @param {RollSession} session - The roll tracking data.
+   */
+  #startRollSession(session) {
+    session.started = true;
+    this.#updateLayout();
+    const { dice, seed, canZero, rollInfinity } = session;
+    this.#emit('rollstart', { dice, seed, canZero, rollInfinity });
+    if (dice.length > 0) this.#playSound('roll', dice, null);
+    if (!this.#existsHtml()) for (let i = 0; i < dice.length; i++) this.#stopSessionDie(session, i);
+    else if (dice.length < 1) this.#endRollSession(session);
+  }
+
+  /**
+   * Finishes a roll whose dice have all stopped, emitting `rollend`.
+   *
+   * @param {RollSession} session - The roll tracking data.
+   */
+  #endRollSession(session) {
+    session.ended = true;
+    this.#sessions.delete(session);
+    const { dice, seed } = session;
+    for (const group of this.#groups.values()) this.#updateGroupTotal(group);
+    this.#announce(session);
+    this.#emit('rollend', { dice, seed });
+    for (const callback of session.onEnd) callback();
+  }
+
+  /**
+   * Interrupts a roll that still has dice spinning.
+   *
+   * Pending stop timers are cancelled and no more events are emitted for this roll.
+   *
+   * @param {RollSession} session - The roll tracking data.
+   * @param {any} reason - The reason given to the `onInterrupt` callbacks.
+   * @param {boolean} [settle=false] - If true, the dice are stopped right away on their results.
+   */
+  #interruptSession(session, reason, settle = false) {
+    if (session.ended || session.interrupted) return;
+    session.interrupted = true;
+    session.reason = reason;
+    this.#sessions.delete(session);
+    for (const die of session.dice) {
+      if (die.stopTimeout) clearTimeout(die.stopTimeout);
+      die.stopTimeout = null;
+      if (settle) die.stop();
+    }
+    for (const callback of session.onInterrupt) callback(reason);
+  }
+
+  /**
+   * Interrupts every roll that still has dice spinning.
+   *
+   * @param {any} reason - The reason given to the `onInterrupt` callbacks.
+   * @param {boolean} [settle=false] - If true, the dice are stopped right away on their results.
+   */
+  #interruptSessions(reason, settle = false) {
+    for (const session of Array.from(this.#sessions))
+      this.#interruptSession(session, reason, settle);
+  }
+
+  /**
+   * Marks a die of a roll as stopped, emitting `diestop` and, for the last die, `rollend`.
+   *
+   * @param {RollSession} session - The roll tracking data.
+   * @param {number} index - Index of the die inside the roll.
+   */
+  #stopSessionDie(session, index) {
+    if (session.stopped[index] || session.interrupted || session.ended) return;
+    session.stopped[index] = true;
+    const die = session.dice[index];
+    this.#emit('diestop', { index, result: die.result, die, seed: session.seed });
+    this.#playSound('land', [die], index);
+    const label = /** @type {Partial<FaceDiceResult>} */ (die).label;
+    if (typeof label !== 'string' && die.max > (session.canZero ? 0 : 1) && die.result === die.max)
+      this.#playSound('critical', [die], index);
+    if (session.stopped.every((stopped) => stopped)) this.#endRollSession(session);
+  }
+
+  /**
+   * Builds the result of a single die and inserts its cube into the DOM when the HTML output is active.
+   *
+   * @param {number} result - The rolled value of the die.
+   * @param {number} max - The maximum value for the die.
+   * @param {boolean} canZero - Whether 0 is a valid result.
+   * @param {boolean|undefined} rollInfinity - Whether the die spins infinitely.
+   * @param {RollSession} session - The roll this die belongs to.
+   * @param {Object} [options={}] - Extra settings of the die.
+   * @param {string[]} [options.classes=[]] - Extra CSS classes added to the die container.
+   * @param {Object} [options.extra={}] - Extra data merged into the result object.
+   * @param {DiceSkin|null} [options.skin] - Skin of the die. Defaults to the skin of the roll.
+   * @param {import('./DiceFaces.mjs').DiceFace[]|null} [options.faces=null] - Faces of a custom-faced die.
+   *        `result` is then the face number, starting at 1, and `max` the number of faces.
+   * @param {string|null} [options.faceSet=null] - Name of the face set of a custom-faced die.
+   * @param {string|null} [options.name] - Name of the die. Defaults to the label of its position in the roll.
+   * @param {string|null} [options.group] - Name of the group of the die. Defaults to the group of the roll.
+   * @param {DieSource} [options.source] - The rules of the roll that created the die. Defaults to the rules of the roll.
+   * @param {number[]|null} [options.restored=null] - Face values of a restored die, which stops right away.
+   * @param {boolean} [options.thrown=false] - Whether the die is moved by the throw simulation.
+   * @returns {DiceResult} - The result and face sequence of the die.
+   */
+  #createDiceResult(result, max, canZero, rollInfinity, session, options = {}) {
+    const index = session.dice.length;
+    const {
+      classes = [],
+      extra = {},
+      skin = session.skin,
+      faces = null,
+      faceSet = null,
+      name = session.labels[index] ?? null,
+      group = session.group,
+      source = session.source,
+      restored = null,
+      thrown = false,
+    } = options;
+    const groupData = group !== null ? this.#groups.get(group) : undefined;
+    const face = faces ? faces[result - 1] : null;
+    /** @type {DiceResult} */
+    const cube = {
+      ...extra,
+      ...(face ? { face: result, label: face.label, value: face.value, faceSet } : {}),
+      reRollDice: () => [],
+      stop: () => undefined,
+      stopTimeout: null,
+      sequence: [],
+      result: face ? (face.value ?? 0) : result,
+      max,
+      seed: session.seed,
+      ...(name !== null ? { name } : {}),
+    };
+    session.dice.push(cube);
+    session.stopped.push(false);
+
+    /** @type {TrayDie} */
+    const item = {
+      die: cube,
+      max,
+      canZero,
+      rollInfinity: !!rollInfinity,
+      locked: false,
+      cube: null,
+      element: null,
+      skin,
+      stopped: false,
+      faces,
+      faceSet,
+      name,
+      group: groupData ? group : null,
+      source,
+    };
+    this.#tray.push(item);
+
+    if (this.#existsHtml()) {
+      /** @type {CubeResult} */
+      let data;
+      const onStop = () => {
+        if (data) cube.sequence = data.sequence;
+        if (!item.stopped) {
+          item.stopped = true;
+          this.#updateDiceA11y(item);
+        }
+        this.#stopSessionDie(session, index);
+      };
+      data = this.#insertDiceCube(
+        result,
+        max,
+        canZero,
+        rollInfinity,
+        onStop,
+        groupData ? groupData.diceElement : session.container,
+        {
+          getSkin: () => this.#resolveSkin(this.#tray.indexOf(item), max, item.skin, item.group),
+          animation: { ...session.animation, delay: index * session.animation.stagger },
+          faces,
+          restored,
+          thrown,
+          random: session.random,
+        },
+      );
+      if (classes.length > 0) data.cube.classList.add(...classes);
+      item.cube = data.cube;
+      item.element = this.#elements.get(data.cube) ?? null;
+      this.#elements.delete(data.cube);
+      this.#updateDiceA11y(item);
+      cube.sequence = data.sequence;
+      cube.reRollDice = () => {
+        const sequence = data.reRollDice();
+        this.#emit('reroll', { index, die: cube, sequence });
+        return sequence;
+      };
+      cube.stop = () => {
+        data.stop();
+        onStop();
+      };
+      cube.stopTimeout = data.stopTimeout;
+    }
+    return cube;
+  }
+
+  /**
+   * Validates an options object given to a roll method.
+   *
+   * @param {Record<string, any>} options - The options to validate.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @param {string[]} [extraKeys=[]] - Other keys accepted by the calling method, which are ignored here.
+   * @returns {RollSettings}
+   * @throws {Error} If an option is unknown or invalid.
+   */
+  #normalizeRollOptions(options, where, extraKeys = []) {
+    /** @type {RollSettings} */
+    const settings = {
+      canZero: false,
+      infinite: false,
+      skin: null,
+      animation: null,
+      labels: [],
+      seed: null,
+      container: null,
+    };
+    /** @type {number|null} */
+    let stopTime = null;
+
+    for (const [name, value] of Object.entries(options)) {
+      if (value === undefined || extraKeys.includes(name)) continue;
+      switch (name) {
+        case 'canZero':
+        case 'infinite':
+          if (typeof value !== 'boolean')
+            throw new Error(`${where}: option "${name}" must be a boolean.`);
+          settings[name] = value;
+          break;
+        case 'stopTime':
+          if (typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+            throw new Error(`${where}: option "stopTime" must be a finite number of 0 or more.`);
+          stopTime = value;
+          break;
+        case 'skin':
+          settings.skin = this.#normalizeSkin(value, where);
+          break;
+        case 'animation':
+          settings.animation = this.#normalizeAnimation(value, where);
+          break;
+        case 'labels':
+          if (value === null) break;
+          if (
+            !Array.isArray(value) ||
+            !value.every((label) => label === null || typeof label === 'string')
+          )
+            throw new Error(`${where}: option "labels" must be an array of strings or null.`);
+          settings.labels = value.map((label) => (label === null ? null : label.trim() || null));
+          break;
+        case 'seed':
+          if (value === null) break;
+          if (typeof value !== 'string' && (typeof value !== 'number' || !Number.isFinite(value)))
+            throw new Error(`${where}: option "seed" must be a finite number, a string or null.`);
+          settings.seed = normalizeSeed(value);
+          break;
+        case 'container':
+          if (value === null) break;
+          if (typeof HTMLElement === 'undefined' || !(value instanceof HTMLElement))
+            throw new Error(`${where}: option "container" must be an HTMLElement or null.`);
+          settings.container = value;
+          break;
+        default:
+          throw new Error(`${where}: unknown option "${name}".`);
+      }
+    }
+
+    if (stopTime !== null) settings.animation = { ...settings.animation, duration: stopTime };
+    return settings;
+  }
+
+  /**
+   * Reads the settings of a roll from either an options object or the legacy positional arguments.
+   *
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @param {RollOptions|boolean|undefined} canZero - The options object, or the `canZero` argument.
+   * @param {boolean|undefined} rollInfinity - The `rollInfinity` argument.
+   * @param {string[]} [extraKeys=[]] - Other option keys accepted by the calling method.
+   * @returns {RollSettings}
+   * @throws {Error} If an option or argument is invalid, or positional arguments follow an options object.
+   */
+  #getRollSettings(where, canZero, rollInfinity, extraKeys = []) {
+    if (isJsonObject(canZero)) {
+      if (rollInfinity !== undefined)
+        throw new Error(`${where}: positional arguments cannot follow an options object.`);
+      return this.#normalizeRollOptions(
+        /** @type {Record<string, any>} */ (canZero),
+        where,
+        extraKeys,
+      );
+    }
+    return {
+      canZero: !!canZero,
+      infinite: !!rollInfinity,
+      skin: null,
+      animation: null,
+      labels: [],
+      seed: null,
+      container: null,
+    };
+  }
+
+  /**
+   * Starts the session of a roll made with validated settings.
+   *
+   * @param {RollSettings} settings
+   * @returns {RollSession}
+   */
+  #createSettingsSession(settings) {
+    const group = settings.group ? (this.#groups.get(settings.group) ?? null) : null;
+    const session = this.#createRollSession(
+      this.#beginRoll(settings.seed),
+      settings.canZero,
+      settings.infinite,
+      settings.skin,
+      settings.animation,
+      settings.labels,
+      !this.#existsHtml() ? null : group ? group.diceElement : settings.container,
+    );
+    session.group = group ? group.name : null;
+    return session;
+  }
+
+  /**
+   * Inserts a single die cube into the DOM using the specified configuration.
+   *
+   * The settings can also be given as a single options object: `rollDice(20, { labels: ['Attack'] })`.
+   *
+   * @param {number} max - Default maximum value for dice (if no individual values are given).
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result, or the options of the roll.
+   * @param {boolean} [rollInfinity=false] - Whether all dice should spin infinitely.
+   * @returns {DiceResult} - Array with results and face sequences for each die.
+   * @throws {Error} If an option is invalid.
+   */
+  rollDice(max, canZero, rollInfinity) {
+    const settings = this.#getRollSettings('rollDice', canZero, rollInfinity);
+    const session = this.#createSettingsSession(settings);
+    const cube = this.#createDiceResult(
+      this.#rollNumber(max, settings.canZero, session.random),
+      max,
+      settings.canZero,
+      settings.infinite,
+      session,
+    );
+    this.#recordHistory(
+      String(max),
+      settings.canZero,
+      [{ max, result: cube.result }],
+      [],
+      cube.result,
+      session,
+    );
+    this.#startRollSession(session);
+    return cube;
+  }
+
+  /**
+   * Inserts multiple dice cubes into the DOM using the specified configuration.
+   *
+   * The settings can also be given as a single options object: `rollDices([6, 6], { seed: 42 })`.
+   *
+   * @param {number[]} perDieData - Array of individual max values per die.
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result on any die, or the options of the roll.
+   * @param {boolean} [rollInfinity=false] - Whether all dice should spin infinitely.
+   * @returns {Array<DiceResult>} - Array with results and face sequences for each die.
+   * @throws {Error} If an option is invalid.
+   */
+  rollDices(perDieData, canZero, rollInfinity) {
+    return this.#rollDices(perDieData, this.#getRollSettings('rollDices', canZero, rollInfinity));
+  }
+
+  /**
+   * Inserts multiple dice cubes into the DOM using validated settings.
+   *
+   * @param {number[]} perDieData - Array of individual max values per die.
+   * @param {RollSettings} settings
+   * @returns {Array<DiceResult>}
+   */
+  #rollDices(perDieData, settings) {
+    const { canZero, infinite } = settings;
+    const session = this.#createSettingsSession(settings);
+    const cubes = [];
+    for (let i = 0; i < perDieData.length; i++) {
+      const max = perDieData[i];
+      cubes.push(
+        this.#createDiceResult(
+          this.#rollNumber(max, canZero, session.random),
+          max,
+          canZero,
+          infinite,
+          session,
+        ),
+      );
+    }
+    this.#recordHistory(
+      perDieData.join(','),
+      canZero,
+      cubes.map((cube, index) => ({ max: perDieData[index], result: cube.result })),
+      [],
+      cubes.reduce((sum, cube) => sum + cube.result, 0),
+      session,
+    );
+    this.#startRollSession(session);
+    return cubes;
+  }
+
+  /**
+   * Rolls a dice expression and inserts every rolled die into the DOM.
+   *
+   * Dropped dice receive the `dropped` class, dice that exploded receive the `exploded` class,
+   * and dice added by an explosion receive the `from-explosion` class.
+   *
+   * @param {string|import('./DiceNotation.mjs').ParsedNotation} expression - A dice expression or its parsed form.
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result, or the options of the roll.
+   * @param {boolean} [rollInfinity=false] - Whether dice spin infinitely.
+   * @returns {NotationRollResult} - The per-die values, modifiers and grand total.
+   * @throws {DiceNotationError} If the expression is invalid.
+   * @throws {Error} If an option is invalid.
+   */
+  rollNotation(expression, canZero, rollInfinity) {
+    const parsed = typeof expression === 'string' ? parseDiceNotation(expression) : expression;
+    return this.#rollNotation(parsed, this.#getRollSettings('rollNotation', canZero, rollInfinity));
+  }
+
+  /**
+   * Rolls a parsed dice expression using validated settings.
+   *
+   * @param {import('./DiceNotation.mjs').ParsedNotation} parsed - The parsed expression.
+   * @param {RollSettings} settings
+   * @returns {NotationRollResult}
+   */
+  #rollNotation(parsed, settings) {
+    const { canZero, infinite } = settings;
+    const session = this.#createSettingsSession(settings);
+    session.source.notation = parsed;
+    const evaluation = evaluateDiceNotation(
+      parsed,
+      (max, zero) => this.#rollNumber(max, zero, session.random),
+      canZero,
+    );
+
+    const dice = evaluation.dice.map((die) => {
+      /** @type {string[]} */
+      const classes = [];
+      if (die.dropped) classes.push('dropped');
+      if (die.exploded) classes.push('exploded');
+      if (die.fromExplosion) classes.push('from-explosion');
+      return /** @type {NotationDiceResult} */ (
+        this.#createDiceResult(die.result, die.max, canZero, infinite, session, {
+          classes,
+          extra: die,
+        })
+      );
+    });
+
+    session.total = evaluation.total;
+    this.#recordHistory(
+      parsed.expression,
+      canZero,
+      evaluation.dice,
+      evaluation.modifiers,
+      evaluation.total,
+      session,
+    );
+    this.#startRollSession(session);
+    return { ...evaluation, dice, seed: session.seed };
+  }
+
+  /**
+   * Rolls custom-faced dice and inserts them into the DOM, such as Fudge (Fate) dice,
+   * symbol dice for narrative systems or dice with faces like 2, 4, 6 and 8.
+   *
+   * Faces are drawn with their image, icon or label. Every result reports the `label` and `value`
+   * of its face, and `result` holds the value (0 for symbol faces), so totals keep working.
+   *
+   * The settings are given as an options object, which accepts the roll options and a `count` key:
+   * `rollFaces('fudge', { count: 4, labels: ['Fate'] })`. Custom faces cannot roll 0, so `canZero`
+   * can only be `false`.
+   *
+   * @param {string|import('./DiceFaces.mjs').DiceFaceInput[]} faces - The name of a registered face set, or the list of faces.
+   * @param {RollOptions & { count?: number }} [options={}] - The options of the roll, and how many dice are rolled (default: 1).
+   * @returns {FaceDiceResult[]} - The face, label and value of each die.
+   * @throws {Error} If the face set is not registered, a face is invalid, the count is not a positive integer,
+   *         `canZero` is `true` or an option is invalid.
+   */
+  rollFaces(faces, options = {}) {
+    const faceSet = typeof faces === 'string' ? faces : null;
+    const list =
+      faceSet !== null ? this.#faceSets.get(faceSet) : normalizeFaces(faces, 'rollFaces');
+    if (!list) throw new Error(`rollFaces: face set "${faceSet}" is not registered.`);
+    if (!isJsonObject(options)) throw new Error('rollFaces: options must be an object.');
+    const { count = 1, canZero } = /** @type {Record<string, any>} */ (options);
+    if (!Number.isInteger(count) || count < 1)
+      throw new Error('rollFaces: count must be a positive integer.');
+    if (canZero === true)
+      throw new Error('rollFaces: option "canZero" cannot be used with custom faces.');
+
+    const settings = this.#normalizeRollOptions(
+      /** @type {Record<string, any>} */ (options),
+      'rollFaces',
+      ['count'],
+    );
+    const rollInfinity = settings.infinite;
+    const session = this.#createSettingsSession(settings);
+    /** @type {FaceDiceResult[]} */
+    const cubes = [];
+    for (let i = 0; i < count; i++)
+      cubes.push(
+        /** @type {FaceDiceResult} */ (
+          this.#createDiceResult(
+            this.#rollNumber(list.length, false, session.random),
+            list.length,
+            false,
+            rollInfinity,
+            session,
+            { faces: list, faceSet },
+          )
+        ),
+      );
+    this.#recordHistory(
+      `${count}d[${faceSet ?? 'custom'}]`,
+      false,
+      cubes.map((cube) => ({ max: list.length, result: cube.result, label: cube.label })),
+      [],
+      cubes.reduce((sum, cube) => sum + cube.result, 0),
+      session,
+    );
+    this.#startRollSession(session);
+    return cubes;
+  }
+
+  /**
+   * Rolls a dice pool and counts its successes instead of adding the dice up,
+   * as in Storyteller, Shadowrun or other pool-based systems.
+   *
+   * Successful dice receive the `success` class and the other dice the `failure` class.
+   * Botch dice also receive the `botch` class, dice that triggered an "again" roll the `exploded`
+   * class and dice added by an "again" roll the `from-explosion` class.
+   *
+   * The settings of the roll are given as a second options object:
+   * `rollPool({ count: 5, sides: 10, target: 8 }, { canZero: true, seed: 42 })`.
+   *
+   * @param {import('./DicePool.mjs').PoolInput} pool - The amount of dice, their maximum value and the pool rules.
+   * @param {RollOptions} [options={}] - The options of the roll.
+   * @returns {PoolRollResult} - The per-die values and the success counts.
+   * @throws {Error} If the count, the sides, a rule or an option is invalid.
+   */
+  rollPool(pool, options = {}) {
+    if (!isJsonObject(pool))
+      throw new Error('rollPool: pool must be an object with count, sides and target.');
+    if (!isJsonObject(options)) throw new Error('rollPool: options must be an object.');
+    const settings = this.#normalizeRollOptions(
+      /** @type {Record<string, any>} */ (options),
+      'rollPool',
+    );
+    const { canZero, infinite: rollInfinity } = settings;
+    const { count, sides } = pool;
+    const rules = normalizePoolOptions(count, sides, pool, canZero, 'rollPool');
+    const session = this.#createSettingsSession(settings);
+    session.source.rules = rules;
+    const evaluation = evaluateDicePool(
+      count,
+      sides,
+      rules,
+      (max, zero) => this.#rollNumber(max, zero, session.random),
+      canZero,
+    );
+
+    const dice = evaluation.dice.map(
+      (die) =>
+        /** @type {PoolDiceResult} */ (
+          this.#createDiceResult(die.result, die.max, canZero, rollInfinity, session, {
+            classes: getPoolClasses(die),
+            extra: die,
+          })
+        ),
+    );
+
+    const input = `${count}d${sides}>=${rules.target}`;
+    session.total = evaluation.successes;
+    this.#recordHistory(input, canZero, evaluation.dice, [], evaluation.successes, session);
+    this.#startRollSession(session);
+    return {
+      ...evaluation,
+      input,
+      canZero,
+      rules,
+      dice,
+      modifiers: [],
+      total: evaluation.successes,
+      seed: session.seed,
+    };
+  }
+
+  /**
+   * Rolls again every unlocked die of the tray, keeping the locked ones untouched.
+   *
+   * Rerolled dice get new results and a new animation in the same tray position.
+   * Dice from a dice expression or a dice pool are scored again with the rules of their roll:
+   * keep/drop modifiers are applied again to every die of the term, locked ones included,
+   * and pool dice get their success data again. Rerolled dice never explode.
+   * The history entry only has the rerolled dice, and `rerollOf` links it to the entries of their rolls.
+   * Dice still spinning from a previous roll land on their results right away.
+   * The `rollstart`, `diestop` and `rollend` events only include the rerolled dice.
+   *
+   * @param {{ animation?: DiceAnimation|null }} [options={}] - The options of the reroll.
+   *        `animation` overrides the animation settings of the rerolled dice.
+   * @returns {DiceResult[]} - The results of every die in the tray, in order.
+   * @throws {Error} If an option is unknown, or the animation is invalid.
+   */
+  rerollUnlocked(options = {}) {
+    if (!isJsonObject(options)) throw new Error('rerollUnlocked: options must be an object.');
+    for (const name of Object.keys(options))
+      if (name !== 'animation') throw new Error(`rerollUnlocked: unknown option "${name}".`);
+    return this.#rerollUnlocked(
+      this.#normalizeAnimation(options.animation ?? null, 'rerollUnlocked'),
+      false,
+    );
+  }
+
+  /**
+   * Rolls again every unlocked die of the tray using validated settings.
+   *
+   * @param {DiceAnimation|null} rollAnimation - Animation overrides for the rerolled dice.
+   * @param {boolean} thrown - Whether the rerolled dice are moved by the throw simulation.
+   * @returns {DiceResult[]} - The results of every die in the tray, in order.
+   */
+  #rerollUnlocked(rollAnimation, thrown) {
+    const targets = this.#tray.filter((item) => !item.locked);
+    if (targets.length < 1) return this.trayDice;
+    this.#interruptSessions(
+      new Error('rollAsync: the roll was interrupted by rerollUnlocked().'),
+      true,
+    );
+
+    const session = this.#createRollSession(
+      this.#beginRoll(),
+      targets.some((item) => item.canZero),
+      targets.some((item) => item.rollInfinity),
+      null,
+      rollAnimation,
+    );
+    /** @type {TrayDie[]} */
+    const rerolled = [];
+    for (const old of targets) {
+      const index = this.#tray.indexOf(old);
+      const result = this.#rollNumber(old.max, old.canZero, session.random);
+
+      // The new die is created at the end of the tray, then moved to the old position
+      this.#createDiceResult(result, old.max, old.canZero, old.rollInfinity, session, {
+        ...TinyDices.#getRerollData(old, result),
+        source: old.source,
+        skin: old.skin,
+        faces: old.faces,
+        faceSet: old.faceSet,
+        name: old.name,
+        group: old.group,
+        thrown,
+      });
+      const item = /** @type {TrayDie} */ (this.#tray.pop());
+      this.#tray[index] = item;
+      rerolled.push(item);
+      const hadFocus = !!old.cube && old.cube === document.activeElement;
+      if (old.cube && item.cube) old.cube.replaceWith(item.cube);
+      else if (old.cube) old.cube.remove();
+      if (hadFocus && item.cube) item.cube.focus();
+      if (item.cube) this.updateDiceSkin(index);
+    }
+    this.#updateDroppedDice(rerolled);
 
-      // Get rot
-      const rotX = 360 * (3 + Math.floor(Math.random() * 5));
-      const rotY = 360 * (3 + Math.floor(Math.random() * 5));
+    // Only the rerolled dice are recorded, linked to the entries of the rolls they come from
+    const sources = Array.from(new Set(rerolled.map((item) => item.source)));
+    let total = 0;
+    for (const source of sources) {
+      const items = rerolled.filter((item) => item.source === source);
+      if (source.rules)
+        total += countPoolSuccesses(
+          items.map((item) => /** @type {PoolDiceResult} */ (item.die)),
+          source.rules,
+        );
+      else
+        for (const item of items)
+          if (!(/** @type {Partial<NotationDiceResult>} */ (item.die).dropped))
+            total += item.die.result;
+    }
+    session.total = total;
+    this.#recordHistory(
+      describeDice(rerolled.map((item) => (item.faces ? (item.faceSet ?? 'custom') : item.max))),
+      rerolled.some((item) => item.canZero),
+      rerolled.map((item) => {
+        const die = /** @type {Partial<FaceDiceResult & NotationDiceResult>} */ (item.die);
+        return {
+          max: item.max,
+          result: item.die.result,
+          ...(item.faces ? { label: die.label } : {}),
+          ...(die.dropped ? { dropped: true } : {}),
+          ...(die.fromExplosion ? { fromExplosion: true } : {}),
+        };
+      }),
+      [],
+      total,
+      session,
+      sources.flatMap((source) => (source.historyId !== null ? [source.historyId] : [])),
+    );
+    const dice = this.trayDice;
+    this.#startRollSession(session);
+    return dice;
+  }
 
-      // Wrapper animation
-      wrapper.style.animation = `tinyDiceSpinCubeCustom 2s ease-in-out forwards`;
-      wrapper.style.setProperty('--rotX', `${rotX}deg`);
-      wrapper.style.setProperty('--rotY', `${rotY}deg`);
+  /**
+   * Gets the notation or pool data of a rerolled die, using the rules of the roll that created it.
+   *
+   * The `dropped` flag of notation dice is set afterwards by `#updateDroppedDice`.
+   *
+   * @param {TrayDie} old - The die being rerolled.
+   * @param {number} result - The new result of the die.
+   * @returns {{ classes: string[], extra: Object }} The classes and the result data of the new die.
+   */
+  static #getRerollData(old, result) {
+    const die = /** @type {Partial<NotationDiceResult & PoolDiceResult>} */ (old.die);
+    const fromExplosion = !!die.fromExplosion;
+    if (old.source.rules) {
+      const extra = { ...scorePoolDie(result, old.source.rules), exploded: false, fromExplosion };
+      return { classes: getPoolClasses(extra), extra };
+    }
+    if (old.source.notation && typeof die.term === 'number')
+      return {
+        classes: fromExplosion ? ['from-explosion'] : [],
+        extra: { term: die.term, dropped: false, exploded: false, fromExplosion },
+      };
+    return { classes: [], extra: {} };
+  }
 
-      /**
-       *  Create the cube
-       * @param {boolean} [isFinal=false]
-       */
-      const rollDice = (isFinal = false) => {
-        const sequence = [];
-        const countSeq = new Set();
-        const min = !canZero ? 0 : -1;
+  /**
+   * Applies the keep/drop modifiers again to the terms of the given notation dice.
+   *
+   * Every tray die of the same roll and term is updated, locked ones included.
+   *
+   * @param {TrayDie[]} items - The rerolled dice.
+   */
+  #updateDroppedDice(items) {
+    const sources = new Set(items.map((item) => item.source).filter((source) => source.notation));
+    for (const source of sources) {
+      const dice = this.#tray.filter((item) => item.source === source);
+      const { terms } = /** @type {import('./DiceNotation.mjs').ParsedNotation} */ (
+        source.notation
+      );
+      terms.forEach((term, termIndex) => {
+        if (term.type !== 'dice' || !term.select) return;
+        const termDice = dice.filter(
+          (item) => /** @type {Partial<NotationDiceResult>} */ (item.die).term === termIndex,
+        );
+        const dropped = new Set(
+          getDroppedDice(
+            termDice.map((item) => item.die),
+            term.select,
+          ),
+        );
+        for (const item of termDice) {
+          const die = /** @type {NotationDiceResult} */ (item.die);
+          die.dropped = dropped.has(die);
+          if (item.cube) item.cube.classList.toggle('dropped', die.dropped);
+          this.#updateDiceA11y(item);
+        }
+      });
+    }
+  }
 
-        diceElements.faces = [];
-        wrapper.textContent = '';
-        for (let i = 1; i <= 6; i++) {
-          // Element
-          const face = document.createElement('div');
-          face.className = `face face${i}`;
-          this.#updateDiceFaceSkin(face);
+  /**
+   * Throws every unlocked die of the tray, like `rerollUnlocked`, with a launch speed and direction.
+   *
+   * The dice tumble and slide across the dice area, slowing down with friction and bouncing
+   * on its walls, then settle on their results. The results are rolled when the dice are thrown,
+   * so seeded rolls stay replayable. Thrown dice always settle, even if they were rolled with `rollInfinity`.
+   *
+   * In headless mode or in reduced motion mode, the dice are rerolled without the simulation.
+   *
+   * @param {number} velocityX - Horizontal launch speed, in pixels per second.
+   * @param {number} velocityY - Vertical launch speed, in pixels per second.
+   * @param {{ x: number, y: number }|null} [origin=null] - Viewport point the dice are thrown from.
+   *        By default, the dice start from their place in the tray.
+   * @returns {DiceResult[]} - The results of every die in the tray, in order.
+   * @throws {Error} If a speed is not a finite number, or the origin is invalid.
+   */
+  throwDice(velocityX, velocityY, origin = null) {
+    if (!Number.isFinite(velocityX) || !Number.isFinite(velocityY))
+      throw new Error('throwDice: velocityX and velocityY must be finite numbers.');
+    if (
+      origin !== null &&
+      (typeof origin !== 'object' || !Number.isFinite(origin.x) || !Number.isFinite(origin.y))
+    )
+      throw new Error('throwDice: origin must be an object with numeric x and y values.');
+    if (!this.#existsHtml() || this.prefersReducedMotion()) return this.rerollUnlocked();
 
-          // Ignored results
-          if (i !== 1 || !isFinal) {
-            let roll;
-            // Normal max
-            if (max > min) {
-              let extraValue = min;
-              let usingExtra = false;
-              do {
-                roll = !usingExtra ? this.#rollNumber(max, canZero) : extraValue;
-                if (usingExtra || sequence.length >= max) {
-                  if (extraValue >= max) {
-                    extraValue = min;
-                    countSeq.clear();
-                  }
-                  extraValue++;
-                  usingExtra = true;
-                }
-              } while (countSeq.has(roll));
-            }
-            // 0 or negative max
-            else roll = max;
+    const targets = this.#tray.filter((item) => !item.locked);
+    if (targets.length < 1) return this.trayDice;
+    const dice = this.#rerollUnlocked(null, true);
 
-            // Insert sequence
-            if (roll < 1) roll = 0;
-            sequence.push(roll);
-            countSeq.add(roll);
-            face.textContent = String(roll);
-          }
-          // The result!
-          else {
-            face.textContent = String(result);
-            sequence.push(result);
-            countSeq.add(result);
-          }
-          // Side added
-          wrapper.appendChild(face);
-          diceElements.faces.push(face);
-        }
-        return sequence;
-      };
+    const thrown = this.#tray.filter((item) => !item.locked);
+    for (const item of thrown) this.#throwDie(item, velocityX, velocityY, origin);
+    this.#emit('throw', {
+      velocityX,
+      velocityY,
+      dice: thrown.map((item) => item.die),
+    });
+    return dice;
+  }
 
-      // The sequence
-      let sequence = rollDice();
+  /**
+   * Runs the throw simulation of a die, stopping it once it settles.
+   *
+   * The simulation ends early if the die is stopped manually or removed from the tray.
+   *
+   * @param {TrayDie} item - The thrown die.
+   * @param {number} velocityX - Horizontal launch speed, in pixels per second.
+   * @param {number} velocityY - Vertical launch speed, in pixels per second.
+   * @param {{ x: number, y: number }|null} origin - Viewport point the die is thrown from.
+   */
+  #throwDie(item, velocityX, velocityY, origin) {
+    const container = item.cube;
+    if (!container || !(this.diceArea instanceof HTMLElement)) return;
+    const wrapper = item.element && item.element.wrapper ? item.element.wrapper : null;
 
-      /** @type {NodeJS.Timeout|null} */
-      let rollProgress = null;
+    // Walls of the dice area, as offsets from the place of the die
+    const area = (container.parentElement ?? this.diceArea).getBoundingClientRect();
+    const rect = container.getBoundingClientRect();
+    /** @type {import('./DicePhysics.mjs').ThrowBounds} */
+    const bounds = {
+      minX: Math.min(0, area.left - rect.left),
+      maxX: Math.max(0, area.right - rect.right),
+      minY: Math.min(0, area.top - rect.top),
+      maxY: Math.max(0, area.bottom - rect.bottom),
+    };
+    /** @param {number} value @param {number} min @param {number} max */
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const state = createThrowState(
+      velocityX,
+      velocityY,
+      origin ? clamp(origin.x - (rect.left + rect.width / 2), bounds.minX, bounds.maxX) : 0,
+      origin ? clamp(origin.y - (rect.top + rect.height / 2), bounds.minY, bounds.maxY) : 0,
+      this.#random,
+    );
 
-      // Stop cube animation
-      let continueAnimation = true;
-      const stop = () => {
-        continueAnimation = false;
-        if (rollProgress) clearTimeout(rollProgress);
-        rollProgress = null;
-        if (wrapper) wrapper.classList.add('stopped');
-        sequence = rollDice(true);
-      };
+    /** @param {number} rotX @param {number} rotY */
+    const render = (rotX, rotY) => {
+      container.style.transform = `translate(${state.x}px, ${state.y}px)`;
+      if (wrapper)
+        wrapper.style.transform = `rotateX(${rotX}deg) rotateY(${rotY}deg) var(--dice-orient, rotateZ(0deg))`;
+    };
+    /** @param {FrameRequestCallback} callback */
+    const requestFrame = (callback) =>
+      typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame(callback)
+        : setTimeout(() => callback(Date.now()), 16);
 
-      /** @type {NodeJS.Timeout|null} */
-      let stopTimeout = null;
-      if (!rollInfinity) stopTimeout = setTimeout(stop, this.#stopTime);
+    container.classList.add('thrown');
+    render(0, 0);
 
-      const rdChanges = this.#stopTime / this.#rdChangerAmount;
-      const continueAnim = () => {
-        if (continueAnimation) rollProgress = setTimeout(continueAnim, rdChanges);
-        sequence = rollDice();
-      };
+    // The die turns to its closest resting angle, where the result face is shown
+    const settle = () => {
+      if (wrapper) wrapper.style.transition = 'transform 0.3s ease-out';
+      render(getRestingAngle(state.rotX), getRestingAngle(state.rotY));
+      setTimeout(() => {
+        if (wrapper) wrapper.style.transition = '';
+        if (!item.stopped && this.#tray.includes(item)) item.die.stop();
+      }, 300);
+    };
 
-      // Insert the cube
-      container.appendChild(wrapper);
-      this.#addElement(diceElements);
-      return { cube: container, sequence, stop, reRollDice: rollDice, stopTimeout };
+    /** @type {number|null} */
+    let start = null;
+    /** @type {number|null} */
+    let last = null;
+    /** @param {number} time */
+    const frame = (time) => {
+      if (!this.#tray.includes(item)) return;
+      if (item.stopped) return render(getRestingAngle(state.rotX), getRestingAngle(state.rotY));
+      if (start === null) start = time;
+      const delta = last === null ? 0 : Math.min(time - last, 50) / 1000;
+      last = time;
+      const moving = stepThrow(state, delta, bounds);
+      render(state.rotX, state.rotY);
+      if (moving && time - start < THROW_MAX_TIME) requestFrame(frame);
+      else settle();
     };
+    requestFrame(frame);
   }
 
   /**
-   * Inserts a single die cube into the DOM using the specified configuration.
+   * Creates a JSON-safe description of the dice in the tray, so they can be saved and restored later.
    *
-   * @param {number} max - Default maximum value for dice (if no individual values are given).
-   * @param {boolean} [canZero=false] - Whether 0 is a valid result.
-   * @param {boolean} [rollInfinity=false] - Whether all dice should spin infinitely.
-   * @returns {DiceResult} - Array with results and face sequences for each die.
+   * Per-position and per-type skin overrides belong to the instance and are not included.
+   * The groups used by the dice are saved with their label and skin.
+   *
+   * @returns {DiceSnapshot}
    */
-  rollDice(max, canZero = false, rollInfinity = undefined) {
-    /** @type {DiceResult} */
-    const cube = {
-      reRollDice: () => [],
-      stop: () => undefined,
-      stopTimeout: null,
-      sequence: [],
-      result: this.#rollNumber(max, canZero),
-    };
-    if (this.#existsHtml()) {
-      const data = this.insertDiceElement(cube.result, max, canZero, rollInfinity);
-      cube.sequence = data.sequence;
-      cube.reRollDice = data.reRollDice;
-      cube.stop = data.stop;
-      cube.stopTimeout = data.stopTimeout;
+  snapshot() {
+    /** @type {DiceGroup[]} */
+    const groups = [];
+    for (const item of this.#tray) {
+      const group = item.group !== null ? this.#groups.get(item.group) : undefined;
+      if (group && !groups.includes(group)) groups.push(group);
     }
-    return cube;
+    return {
+      version: SNAPSHOT_VERSION,
+      dice: this.#tray.map(snapshotDie),
+      groups: groups.map(snapshotGroup),
+    };
   }
 
   /**
-   * Inserts multiple dice cubes into the DOM using the specified configuration.
+   * Rebuilds the dice of a snapshot in their stopped state, replacing the current tray.
    *
-   * @param {number[]} perDieData - Array of individual max values per die.
-   * @param {boolean} [canZero=false] - Whether 0 is a valid result on any die.
-   * @param {boolean} [rollInfinity=false] - Whether all dice should spin infinitely.
-   * @returns {Array<DiceResult>} - Array with results and face sequences for each die.
+   * Results, faces, locks and skins are restored as saved: nothing is rolled again,
+   * no roll events are emitted and the history is not changed.
+   *
+   * Dice go back into their group. A group missing from the instance is created again
+   * with the label and skin saved in the snapshot, while existing groups keep their settings.
+   *
+   * @param {DiceSnapshot|string} snapshot - The object returned by `snapshot()`, or its JSON string.
+   * @returns {DiceResult[]} - The results of every restored die, in order.
+   * @throws {Error} If the snapshot is invalid. The dice area is kept untouched.
    */
-  rollDices(perDieData, canZero = false, rollInfinity = false) {
-    const cubes = [];
-    for (let i = 0; i < perDieData.length; i++) {
-      const max = perDieData[i];
-      /** @type {DiceResult} */
-      const cube = {
-        reRollDice: () => [],
-        stop: () => undefined,
-        stopTimeout: null,
-        sequence: [],
-        result: this.#rollNumber(max, canZero),
-      };
-      if (this.#existsHtml()) {
-        const data = this.insertDiceElement(cube.result, max, canZero, rollInfinity);
-        cube.sequence = data.sequence;
-        cube.reRollDice = data.reRollDice;
-        cube.stop = data.stop;
-        cube.stopTimeout = data.stopTimeout;
-      }
-      cubes.push(cube);
+  restore(snapshot) {
+    const { dice, groups } = parseSnapshot(snapshot, (value, where) =>
+      this.#normalizeSkin(value, where),
+    );
+
+    this.clearDiceArea();
+    for (const group of groups)
+      if (!this.#groups.has(group.name))
+        this.createGroup(group.name, { label: group.label, skin: group.skin });
+
+    // Restored dice are already stopped, so their roll is closed from the start
+    const session = this.#createRollSession({ seed: null, random: this.#random }, false, false);
+    this.#sessions.delete(session);
+    session.ended = true;
+
+    for (const die of dice) {
+      const { classes, extra } = getSnapshotDieData(die);
+      const cube = die.faces
+        ? this.#createDiceResult(die.face ?? 1, die.faces.length, false, false, session, {
+            classes,
+            extra,
+            skin: die.skin,
+            faces: die.faces,
+            faceSet: die.faceSet ?? null,
+            name: die.name ?? null,
+            group: die.group ?? null,
+            restored: die.sequence,
+          })
+        : this.#createDiceResult(die.result, die.max, die.canZero, false, session, {
+            classes,
+            extra,
+            skin: die.skin,
+            name: die.name ?? null,
+            group: die.group ?? null,
+            restored: die.sequence,
+          });
+      cube.seed = die.seed;
+      if (!this.#existsHtml()) cube.sequence = die.sequence;
+
+      const item = this.#tray[this.#tray.length - 1];
+      item.rollInfinity = die.rollInfinity;
+      item.locked = die.locked;
+      if (item.cube) item.cube.classList.toggle('locked', item.locked);
+      cube.stop();
+      this.#updateDiceA11y(item);
     }
-    return cubes;
+
+    for (const group of this.#groups.values()) this.#updateGroupTotal(group);
+    this.#updateLayout();
+    const results = this.trayDice;
+    this.#emit('restore', { dice: results });
+    return results;
   }
 
   /**
    * Rolls the dice by clearing existing cubes and inserting new ones.
    *
-   * @param {string|Array<number>} perDieInput - Either a comma-separated string or array of max values per die.
-   * @param {boolean} [canZero=false] - Whether 0 is a valid result.
+   * Strings containing dice notation (e.g. `4d6kh3`, `2d20kl1+5`, `3d6!`, `1d8+1d6-2`)
+   * are rolled through `rollNotation` and return a structured result instead of an array.
+   *
+   * The settings can also be given as a single options object:
+   * `roll('1d20+5', { labels: ['Attack'], seed: 'session-1', stopTime: 800 })`.
+   *
+   * @param {string|Array<number>} perDieInput - A comma-separated string, a dice expression or array of max values per die.
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result, or the options of the roll.
    * @param {boolean} [rollInfinity=false] - Whether dice spin infinitely.
-   * @returns {Array<DiceResult>} - Array with results and face sequences for each die.
+   * @returns {Array<DiceResult>|NotationRollResult} - Array with results and face sequences for each die,
+   *          or the structured result when a dice expression was given.
+   * @throws {DiceNotationError} If a dice expression is invalid. The dice area is kept untouched.
+   * @throws {Error} If an option is invalid. The dice area is kept untouched.
+   */
+  roll(perDieInput, canZero, rollInfinity) {
+    return this.#roll(perDieInput, this.#getRollSettings('roll', canZero, rollInfinity));
+  }
+
+  /**
+   * Clears the dice area and rolls the dice using validated settings.
+   *
+   * @param {string|Array<number>} perDieInput - A comma-separated string, a dice expression or array of max values per die.
+   * @param {RollSettings} settings
+   * @returns {Array<DiceResult>|NotationRollResult}
    */
-  roll(perDieInput, canZero = false, rollInfinity = false) {
-    const perDieData = this.parseRollConfig(perDieInput);
+  #roll(perDieInput, settings) {
+    const input = this.#parseRollInput(perDieInput);
     this.clearDiceArea();
-    return this.rollDices(perDieData, canZero, rollInfinity);
+    return Array.isArray(input)
+      ? this.#rollDices(input, settings)
+      : this.#rollNotation(input, settings);
+  }
+
+  /**
+   * Parses the input of `roll`: a dice expression, or a list of max values per die.
+   *
+   * @param {string|Array<number>} perDieInput - A comma-separated string, a dice expression or array of max values per die.
+   * @returns {number[]|import('./DiceNotation.mjs').ParsedNotation}
+   * @throws {DiceNotationError} If a dice expression is invalid.
+   */
+  #parseRollInput(perDieInput) {
+    return isDiceNotation(perDieInput)
+      ? parseDiceNotation(/** @type {string} */ (perDieInput))
+      : this.parseRollConfig(perDieInput);
+  }
+
+  /**
+   * Rolls the dice just like `roll`, but returns a promise that resolves once every die has stopped.
+   *
+   * Dice rolled with `rollInfinity` resolve only after they are stopped manually.
+   * In headless mode, the promise resolves right away.
+   *
+   * The settings can also be given as a single options object, which accepts a `signal` key too:
+   * `rollAsync('2d6', { signal: controller.signal, labels: ['Damage'] })`.
+   *
+   * @param {string|Array<number>} perDieInput - A comma-separated string, a dice expression or array of max values per die.
+   * @param {boolean|(RollOptions & { signal?: AbortSignal })} [canZero=false] - Whether 0 is a valid result, or the options of the roll.
+   * @param {boolean} [rollInfinity=false] - Whether dice spin infinitely.
+   * @returns {Promise<Array<DiceResult>|NotationRollResult>} - The same value returned by `roll`.
+   *
+   * The promise rejects if the signal is aborted (with the signal reason), or if `clearDiceArea()`,
+   * a new roll or `destroy()` interrupts the dice before they stop. It also rejects if an option
+   * is invalid.
+   */
+  rollAsync(perDieInput, canZero, rollInfinity) {
+    return new Promise((resolve, reject) => {
+      /** @type {AbortSignal|undefined} */
+      let signal;
+      if (isJsonObject(canZero)) {
+        signal = /** @type {Record<string, any>} */ (canZero).signal ?? undefined;
+        if (
+          signal !== undefined &&
+          (typeof AbortSignal === 'undefined' || !(signal instanceof AbortSignal))
+        )
+          throw new Error('rollAsync: option "signal" must be an AbortSignal.');
+      }
+      const settings = this.#getRollSettings('rollAsync', canZero, rollInfinity, ['signal']);
+      if (signal && signal.aborted) return reject(signal.reason);
+
+      const result = this.#roll(perDieInput, settings);
+      const session = this.#lastSession;
+      if (!session || session.ended) return resolve(result);
+      // An event listener may have interrupted the roll before it returned
+      if (session.interrupted) return reject(session.reason);
+
+      const onAbort = () => this.#interruptSession(session, signal ? signal.reason : null, true);
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      session.onEnd.push(() => {
+        cleanup();
+        resolve(result);
+      });
+      session.onInterrupt.push((reason) => {
+        cleanup();
+        reject(reason);
+      });
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      if (signal && signal.aborted) onAbort();
+    });
+  }
+
+  /**
+   * Gets a dice group by its name.
+   *
+   * @param {*} name - The name of the group.
+   * @param {string} where - Name of the calling method, used in error messages.
+   * @returns {DiceGroup}
+   * @throws {Error} If the name is invalid or the group does not exist.
+   */
+  #getGroup(name, where) {
+    const groupName = normalizeGroupName(name, where);
+    const group = this.#groups.get(groupName);
+    if (!group) throw new Error(`${where}: the group "${groupName}" does not exist.`);
+    return group;
+  }
+
+  /**
+   * Gets the dice of the tray that belong to a group.
+   *
+   * @param {DiceGroup} group
+   * @returns {TrayDie[]}
+   */
+  #getGroupDice(group) {
+    return this.#tray.filter((item) => item.group === group.name);
+  }
+
+  /**
+   * Shows the subtotal of a group once every one of its dice has stopped.
+   *
+   * @param {DiceGroup} group
+   */
+  #updateGroupTotal(group) {
+    updateGroupTotal(group, this.#getGroupDice(group));
+  }
+
+  /**
+   * Removes the dice of a group from the tray. Rolls still spinning in the group are interrupted.
+   *
+   * @param {DiceGroup} group
+   * @param {string} where - Name of the calling method, used in the interruption reason.
+   */
+  #clearGroup(group, where) {
+    const items = this.#getGroupDice(group);
+    if (items.length > 0) {
+      const dice = new Set(items.map((item) => item.die));
+      const reason = new Error(`rollAsync: the roll was interrupted by ${where}().`);
+      for (const session of Array.from(this.#sessions))
+        if (session.dice.some((die) => dice.has(die))) this.#interruptSession(session, reason);
+
+      /** @type {TrayDie[]} */
+      const tray = [];
+      this.#tray.forEach((item) => {
+        if (item.group !== group.name) {
+          tray.push(item);
+          return;
+        }
+        if (!item.cube) return;
+        const cancelFlicker = this.#flickers.get(item.cube);
+        if (cancelFlicker) cancelFlicker();
+        item.cube.remove();
+      });
+      this.#tray = tray;
+      if (this.#existsHtml()) this.updateDicesSkin();
+    }
+    if (group.diceElement) group.diceElement.replaceChildren();
+    group.modifier = 0;
+    this.#updateGroupTotal(group);
+    this.#updateLayout();
+  }
+
+  /**
+   * Replaces the dice of a group with a new roll.
+   *
+   * @param {DiceGroup} group
+   * @param {number[]|import('./DiceNotation.mjs').ParsedNotation} input - The parsed roll input.
+   * @param {RollSettings} settings
+   * @param {string} where - Name of the calling method, used in the interruption reason.
+   * @returns {Array<DiceResult>|NotationRollResult}
+   */
+  #rollGroup(group, input, settings, where) {
+    this.#clearGroup(group, where);
+    const groupSettings = { ...settings, group: group.name };
+    const result = Array.isArray(input)
+      ? this.#rollDices(input, groupSettings)
+      : this.#rollNotation(input, groupSettings);
+    group.modifier = Array.isArray(result)
+      ? 0
+      : result.modifiers.reduce((sum, value) => sum + value, 0);
+    this.#updateGroupTotal(group);
+    return result;
+  }
+
+  /**
+   * Creates a named group of dice inside the dice area, such as an attack roll and a damage roll side by side.
+   *
+   * Each group has its own `.dice-group` element with an optional label and a subtotal,
+   * and can be rolled and cleared without touching the other dice.
+   *
+   * @param {string} name - The name of the group.
+   * @param {DiceGroupOptions|null} [options={}] - The label and skin of the group.
+   * @returns {DiceGroupInfo}
+   * @throws {Error} If the name is invalid or already used, or an option is invalid.
+   */
+  createGroup(name, options = {}) {
+    const groupName = normalizeGroupName(name, 'createGroup');
+    if (this.#groups.has(groupName))
+      throw new Error(`createGroup: the group "${groupName}" already exists.`);
+    const settings = normalizeGroupOptions(
+      options,
+      (value, where) => this.#normalizeSkin(value, where),
+      'createGroup',
+    );
+    const group = createDiceGroup(
+      groupName,
+      settings,
+      this.#existsHtml() ? /** @type {HTMLElement} */ (this.diceArea) : null,
+    );
+
+    this.#groups.set(groupName, group);
+    updateGroupLabel(group);
+    this.#updateGroupTotal(group);
+    this.#updateLayout();
+    return getGroupInfo(group, this.#getGroupDice(group));
+  }
+
+  /**
+   * Changes the label or the skin of a group. Missing keys keep their current value.
+   *
+   * @param {string} name - The name of the group.
+   * @param {DiceGroupOptions} options - The new label and skin of the group.
+   * @returns {DiceGroupInfo}
+   * @throws {Error} If the group does not exist or an option is invalid.
+   */
+  updateGroup(name, options) {
+    const group = this.#getGroup(name, 'updateGroup');
+    const settings = normalizeGroupOptions(
+      options,
+      (value, where) => this.#normalizeSkin(value, where),
+      'updateGroup',
+    );
+    if (settings.label !== undefined) group.label = settings.label;
+    if (settings.skin !== undefined) group.skin = settings.skin;
+    updateGroupLabel(group);
+    this.#updateLayout();
+    if (settings.skin !== undefined && this.#existsHtml())
+      this.#tray.forEach((item, index) => {
+        if (item.group === group.name) this.updateDiceSkin(index);
+      });
+    return getGroupInfo(group, this.#getGroupDice(group));
+  }
+
+  /**
+   * Removes a group and its dice.
+   *
+   * @param {string} name - The name of the group.
+   * @returns {boolean} `true` if the group existed.
+   */
+  removeGroup(name) {
+    const group = typeof name === 'string' ? this.#groups.get(name.trim()) : undefined;
+    if (!group) return false;
+    this.#clearGroup(group, 'removeGroup');
+    if (group.element) group.element.remove();
+    this.#groups.delete(group.name);
+    this.#updateLayout();
+    return true;
+  }
+
+  /**
+   * Gets the label, skin, dice and subtotal of a group.
+   *
+   * @param {string} name - The name of the group.
+   * @returns {DiceGroupInfo|null} The group, or null if it does not exist.
+   */
+  getGroup(name) {
+    const group = typeof name === 'string' ? this.#groups.get(name.trim()) : undefined;
+    return group ? getGroupInfo(group, this.#getGroupDice(group)) : null;
+  }
+
+  /**
+   * Gets the names of every group, in creation order.
+   * @returns {string[]}
+   */
+  get groups() {
+    return Array.from(this.#groups.keys());
+  }
+
+  /**
+   * Gets the subtotal of every group, keyed by group name.
+   * @returns {Record<string, number>}
+   */
+  get groupSubtotals() {
+    /** @type {Record<string, number>} */
+    const subtotals = {};
+    for (const group of this.#groups.values())
+      subtotals[group.name] = getGroupSubtotal(group, this.#getGroupDice(group));
+    return subtotals;
+  }
+
+  /**
+   * Removes the dice of a group, keeping the group and every other die.
+   *
+   * @param {string} name - The name of the group.
+   * @throws {Error} If the group does not exist.
+   */
+  clearGroup(name) {
+    this.#clearGroup(this.#getGroup(name, 'clearGroup'), 'clearGroup');
+  }
+
+  /**
+   * Rolls the dice of a group, replacing its previous dice. Dice outside the group are kept.
+   *
+   * The skin of the group is applied to its dice, below the skin given to this roll.
+   * The settings can also be given as a single options object, just like `roll`,
+   * except for the `container` option.
+   *
+   * @param {string} name - The name of the group.
+   * @param {string|Array<number>} perDieInput - A comma-separated string, a dice expression or array of max values per die.
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result, or the options of the roll.
+   * @param {boolean} [rollInfinity=false] - Whether dice spin infinitely.
+   * @returns {Array<DiceResult>|NotationRollResult} - The same value returned by `roll`.
+   * @throws {DiceNotationError} If a dice expression is invalid. The group is kept untouched.
+   * @throws {Error} If the group does not exist, or an option is invalid.
+   */
+  rollGroup(name, perDieInput, canZero, rollInfinity) {
+    const group = this.#getGroup(name, 'rollGroup');
+    const settings = this.#getRollSettings('rollGroup', canZero, rollInfinity);
+    if (settings.container !== null)
+      throw new Error('rollGroup: option "container" cannot be used with dice groups.');
+    return this.#rollGroup(group, this.#parseRollInput(perDieInput), settings, 'rollGroup');
+  }
+
+  /**
+   * Rolls several groups at once, such as `{ attack: '1d20+5', damage: '2d6+3' }`.
+   *
+   * Every input is checked before any group is rolled. The settings apply to every group.
+   * A `seed` option is used by the first group, and each next group uses the next seed of its chain.
+   *
+   * @param {Record<string, string|Array<number>>} rolls - The roll input of each group, keyed by group name.
+   * @param {boolean|RollOptions} [canZero=false] - Whether 0 is a valid result, or the options of the rolls.
+   * @param {boolean} [rollInfinity=false] - Whether dice spin infinitely.
+   * @returns {Record<string, Array<DiceResult>|NotationRollResult>} - The result of each group, keyed by group name.
+   * @throws {DiceNotationError} If a dice expression is invalid. Every group is kept untouched.
+   * @throws {Error} If a group does not exist, or an option is invalid.
+   */
+  rollGroups(rolls, canZero, rollInfinity) {
+    if (!isJsonObject(rolls))
+      throw new Error('rollGroups: rolls must be an object of group names and dice.');
+    const settings = this.#getRollSettings('rollGroups', canZero, rollInfinity);
+    if (settings.container !== null)
+      throw new Error('rollGroups: option "container" cannot be used with dice groups.');
+    const entries = Object.entries(/** @type {Record<string, any>} */ (rolls)).map(
+      ([name, perDieInput]) =>
+        /** @type {[DiceGroup, number[]|import('./DiceNotation.mjs').ParsedNotation]} */ ([
+          this.#getGroup(name, 'rollGroups'),
+          this.#parseRollInput(perDieInput),
+        ]),
+    );
+
+    /** @type {Record<string, Array<DiceResult>|NotationRollResult>} */
+    const results = {};
+    let seed = settings.seed;
+    for (const [group, input] of entries) {
+      results[group.name] = this.#rollGroup(group, input, { ...settings, seed }, 'rollGroups');
+      if (seed !== null) seed = nextSeed(seed);
+    }
+    return results;
   }
 
   /**
@@ -957,8 +4555,14 @@ class TinyDices {
    * dice.destroy(); // 💣 Cleans up everything and makes the instance unusable
    */
   destroy() {
+    // Notify listeners before everything is gone
+    this.#emit('destroy');
+    this.#interruptSessions(new Error('rollAsync: the roll was interrupted by destroy().'));
+
     // Clear any dice already rendered
     this.clearDiceArea();
+    this.disableSounds();
+    this.#groups.clear();
 
     // Remove container element content (optional: comment if you want to preserve it)
     if (typeof HTMLElement !== 'undefined') {
@@ -967,10 +4571,13 @@ class TinyDices {
       if (this.diceArea instanceof HTMLElement) this.diceArea.innerHTML = '';
     }
 
+    this.#observeLayout(false);
+
     // Optionally, unset the container reference
     this.#diceBase = null;
     this.diceArea = null;
     this.container = null;
+    this.#liveRegion = null;
 
     // Reset any styles or configs (if you store them in other properties, reset them here)
     this.#defaultBgSkin = null;
@@ -987,6 +4594,7 @@ class TinyDices {
 
     // Optionally, mark as destroyed to prevent further use
     this.#destroyed = true;
+    this.#events.offAllTypes();
   }
 }
 
@@ -1,5 +1,9 @@
+const assert = require('node:assert/strict');
 const TinyDices = require('../dist/index.cjs');
+const { defineTinyDicesElement, FORWARDED_EVENTS } = require('../dist/TinyDicesElement.cjs');
+const { REACT_EVENT_PROPS } = require('../dist/TinyDicesReact.cjs');
 
+// Only checks that this build loads and runs: the feature checks live in index.mjs
 const dice = new TinyDices();
 console.log(dice);
 
@@ -9,4 +13,17 @@ console.log(dice.roll([6, 10]));
 console.log(dice.rollDices([6, 10]));
 console.log(dice.rollDice(6));
 
+assert.deepEqual(
+  dice.roll('4d6kh3+2', { seed: 42 }).dice.map((die) => die.result),
+  dice.roll('4d6kh3+2', { seed: 42 }).dice.map((die) => die.result),
+);
+assert.ok(dice.rollPool({ count: 5, sides: 10, target: 8 }).dice.length >= 5);
+dice.createGroup('attack');
+assert.deepEqual(Object.keys(dice.rollGroups({ attack: '1d20+5' })), ['attack']);
+assert.equal(dice.restore(dice.snapshot()).length, dice.trayDice.length);
+
+assert.equal(defineTinyDicesElement(), null);
+assert.ok(FORWARDED_EVENTS.includes('rollend'));
+assert.equal(REACT_EVENT_PROPS.rollend, 'onRollEnd');
+
 dice.destroy();
@@ -1,12 +1,571 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
 import TinyDices from '../dist/index.mjs';
+import { DiceNotationError, parseDiceNotation } from '../dist/DiceNotation.mjs';
+import { formatRollHTML, formatRollJSON, formatRollText } from '../dist/DiceFormat.mjs';
+import { assignFaceValues, getDiceShape } from '../dist/DiceGeometry.mjs';
+import DiceHistory from '../dist/DiceHistory.mjs';
+import { SCATTER_MAX_TILT, scatterPositions } from '../dist/DiceLayout.mjs';
+import { evaluateDicePool, normalizePoolOptions } from '../dist/DicePool.mjs';
+import { createSeededRandom } from '../dist/DiceRandom.mjs';
+import { defineTinyDicesElement, FORWARDED_EVENTS } from '../dist/TinyDicesElement.mjs';
+import { REACT_EVENT_PROPS } from '../dist/TinyDicesReact.mjs';
 
 const dice = new TinyDices();
 console.log(dice);
 
+// Dice notation
+assert.deepEqual(parseDiceNotation('4d6kh3').terms[0].select, {
+  type: 'keep',
+  side: 'highest',
+  amount: 3,
+});
+assert.equal(parseDiceNotation('2d20kl1+5').terms[1].value, 5);
+assert.throws(() => parseDiceNotation('1d0'), { name: 'DiceNotationError', position: 2 });
+assert.throws(
+  () => parseDiceNotation('d6d'),
+  (err) => {
+    assert.ok(err instanceof DiceNotationError);
+    assert.equal(err.position, 2);
+    assert.match(err.message, /single die/);
+    return true;
+  },
+);
+assert.throws(() => parseDiceNotation('4d6d4'), { position: 3 });
+
+// Roll history
+const history = new DiceHistory();
+history.add({
+  input: '4d6kh3',
+  canZero: false,
+  dice: [
+    { max: 6, result: 5 },
+    { max: 6, result: 1, dropped: true },
+  ],
+  modifiers: [2],
+  total: 7,
+  seed: null,
+});
+history.add({
+  input: '2d[fudge]',
+  canZero: false,
+  dice: [{ max: 6, result: -1, label: 'a,"b"' }],
+  modifiers: [],
+  total: -1,
+  seed: 42,
+});
+const csv = history.exportCSV();
+const copy = new DiceHistory();
+copy.importCSV(csv);
+assert.deepEqual(copy.entries, history.entries);
+assert.equal(copy.exportCSV(), csv);
+copy.importJSON(history.exportJSON(), true);
+assert.deepEqual(
+  copy.entries.map((entry) => entry.id),
+  [1, 2, 3, 4],
+);
+assert.equal(
+  copy.add({ input: '6', canZero: false, dice: [], modifiers: [], total: 0, seed: null }).id,
+  5,
+);
+copy.clear();
+copy.importJSON(history.exportJSON());
+assert.equal(
+  copy.add({ input: '6', canZero: false, dice: [], modifiers: [], total: 0, seed: null }).id,
+  3,
+);
+copy.clear();
+assert.equal(
+  copy.add({ input: '6', canZero: false, dice: [], modifiers: [], total: 0, seed: null }).id,
+  1,
+);
+
+// Reroll links
+const rerolls = new DiceHistory();
+rerolls.add({
+  input: '4d6kh3',
+  canZero: false,
+  dice: [
+    { max: 6, result: 5 },
+    { max: 6, result: 1, dropped: true },
+  ],
+  modifiers: [],
+  total: 5,
+  seed: 3,
+});
+rerolls.add({
+  input: '6',
+  canZero: false,
+  dice: [{ max: 6, result: 4 }],
+  modifiers: [],
+  total: 4,
+  seed: 4,
+  rerollOf: [1],
+});
+const rerollsCopy = new DiceHistory();
+rerollsCopy.importCSV(rerolls.exportCSV());
+assert.deepEqual(rerollsCopy.entries, rerolls.entries);
+rerollsCopy.importJSON(rerolls.exportJSON(), true);
+assert.deepEqual(
+  rerollsCopy.entries.map((entry) => entry.rerollOf),
+  [[], [1], [], [3]],
+);
+rerollsCopy.importCSV('id,timestamp,input,canZero,dice,modifiers,total,seed\n1,5,6,false,6:3,,3,');
+assert.deepEqual(rerollsCopy.entries[0].rerollOf, []);
+
+const rerolling = new TinyDices();
+rerolling.enableHistory(10);
+rerolling.roll('4d6kh3');
+rerolling.lockDice(0);
+rerolling.rerollUnlocked();
+const [rolled, rerolled] = rerolling.history.entries;
+assert.deepEqual(rerolled.rerollOf, [rolled.id]);
+assert.equal(rerolled.dice.length, 3);
+assert.equal(
+  rerolled.total,
+  rerolled.dice.reduce((sum, die) => (die.dropped ? sum : sum + die.result), 0),
+);
+assert.equal(rerolling.trayDice.filter((die) => die.dropped).length, 1);
+rerolling.destroy();
+
+// Probability
+/** @param {number} actual @param {number} expected */
+const assertNear = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+const odds = dice.probability('2d6+3');
+assert.equal(odds.min, 5);
+assert.equal(odds.max, 15);
+assertNear(odds.mean, 10);
+assertNear(odds.variance, 35 / 6);
+assertNear(odds.atLeast(15), 1 / 36);
+assertNear(odds.exactly(10), 6 / 36);
+assertNear(odds.atMost(4), 0);
+assert.equal(odds.percentile(50), 10);
+assertNear(
+  odds.distribution.reduce((sum, entry) => sum + entry.probability, 0),
+  1,
+);
+assertNear(dice.probability('4d6dl').mean, 15869 / 1296);
+assertNear(dice.probability('2d20kh1').atLeast(20), 1 - (19 / 20) ** 2);
+assertNear(dice.probability('1d8-1d4').mean, 2);
+const zeroOdds = dice.probability([6, 6, 20], true);
+assert.equal(zeroOdds.min, 0);
+assert.equal(zeroOdds.max, 32);
+const exploding = dice.probability('1d6!');
+assert.ok(Math.abs(exploding.mean - 4.2) < 1e-6);
+assert.equal(exploding.exactly(6), 0);
+assertNear(exploding.exactly(7), 1 / 36);
+assert.throws(() => dice.probability('4d6!kh3'), Error);
+assert.throws(() => odds.percentile(101), /percent/);
+
+// Scatter layout
+/**
+ * @param {{ positions: Array<{ x: number, y: number, rotation: number }>, height: number }} layout
+ * @param {number} width
+ * @param {number} size
+ */
+const assertScatter = ({ positions, height }, width, size) => {
+  positions.forEach((spot, index) => {
+    assert.ok(spot.x >= 0 && spot.x <= width - size, `die ${index} is out of the area width`);
+    assert.ok(spot.y >= 0 && spot.y + size <= height, `die ${index} is out of the area height`);
+    assert.ok(Math.abs(spot.rotation) <= SCATTER_MAX_TILT);
+    for (const other of positions.slice(index + 1))
+      assert.ok(
+        Math.abs(spot.x - other.x) >= size || Math.abs(spot.y - other.y) >= size,
+        `die ${index} overlaps another die`,
+      );
+  });
+};
+const scatterRandom = createSeededRandom(42);
+const scattered = scatterPositions(Array(12).fill(null), 500, 200, 120, scatterRandom);
+assert.equal(scattered.positions.length, 12);
+assert.ok(scattered.height >= 200);
+assertScatter(scattered, 500, 120);
+
+const kept = scattered.positions.map((spot, index) => (index % 3 === 0 ? null : spot));
+const rescattered = scatterPositions(kept, 500, 200, 120, scatterRandom);
+kept.forEach((spot, index) => {
+  if (spot) assert.equal(rescattered.positions[index], spot);
+});
+assertScatter(rescattered, 500, 120);
+
+const moved = scatterPositions(
+  [
+    { x: 10, y: 10, rotation: 0 },
+    { x: 50, y: 50, rotation: 0 },
+    { x: 900, y: 0, rotation: 0 },
+  ],
+  500,
+  200,
+  120,
+  scatterRandom,
+);
+assert.deepEqual(moved.positions[0], { x: 10, y: 10, rotation: 0 });
+assert.notDeepEqual(moved.positions[1], { x: 50, y: 50, rotation: 0 });
+assert.ok(moved.positions[2].x <= 380);
+assertScatter(moved, 500, 120);
+assertScatter(scatterPositions(Array(3).fill(null), 50, 0, 120, scatterRandom), 120, 120);
+
+// Roll seeds
+const replayable = new TinyDices();
+const first = replayable.roll('4d6kh3+2');
+assert.equal(typeof first.seed, 'number');
+assert.deepEqual(
+  replayable.roll('4d6kh3+2', { seed: first.seed }).dice.map((die) => die.result),
+  first.dice.map((die) => die.result),
+);
+replayable.destroy();
+
+// Dice shapes
+for (const sides of [4, 8, 10, 12, 20]) {
+  const shape = getDiceShape(sides);
+  assert.ok(shape, `d${sides} has no shape`);
+  assert.equal(shape.faces.length, sides);
+  assert.equal(shape.name, `d${sides}`);
+
+  const values = Array.from({ length: sides }, (_, index) => index + 1);
+  const numbered = assignFaceValues(shape, values);
+  assert.deepEqual(
+    numbered.slice().sort((a, b) => a - b),
+    values,
+  );
+  shape.faces.forEach((face, index) => {
+    if (sides === 4) assert.equal(face.opposite, -1);
+    else assert.equal(numbered[index] + numbered[face.opposite], sides + 1);
+  });
+}
+const d10 = /** @type {import('../dist/DiceGeometry.mjs').DiceShape} */ (getDiceShape(10));
+const zeroNumbered = assignFaceValues(d10, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+d10.faces.forEach((face, index) =>
+  assert.equal(zeroNumbered[index] + zeroNumbered[face.opposite], 9),
+);
+assert.equal(getDiceShape(6), null);
+assert.equal(getDiceShape(7), null);
+
+// Dice pools
+/** @param {number[]} results */
+const scripted = (results) => () => {
+  assert.ok(results.length > 0, 'the pool rolled more dice than scripted');
+  return /** @type {number} */ (results.shift());
+};
+const poolRules = normalizePoolOptions(
+  3,
+  10,
+  { target: 8, again: 10, doubleOn: 10, cancelOn: 1 },
+  false,
+  'rollPool',
+);
+const pool = evaluateDicePool(3, 10, poolRules, scripted([10, 10, 1, 8, 3]));
+assert.deepEqual(
+  pool.dice.map(({ result, exploded, fromExplosion }) => [result, exploded, fromExplosion]),
+  [
+    [10, true, false],
+    [10, true, true],
+    [1, false, true],
+    [8, false, false],
+    [3, false, false],
+  ],
+);
+assert.deepEqual(
+  pool.dice.map((die) => die.successes),
+  [2, 2, 0, 1, 0],
+);
+assert.equal(pool.successes, 4);
+assert.equal(pool.failures, 2);
+assert.equal(pool.botches, 1);
+assert.equal(pool.botched, false);
+
+const cancelRules = normalizePoolOptions(3, 10, { target: 8, cancelOn: 2 }, false, 'rollPool');
+const cancelled = evaluateDicePool(3, 10, cancelRules, scripted([9, 1, 2]));
+assert.equal(cancelled.successes, 0);
+assert.equal(cancelled.botched, false);
+
+const botchRules = normalizePoolOptions(2, 10, { target: 8, botchOn: 2 }, false, 'rollPool');
+const botched = evaluateDicePool(2, 10, botchRules, scripted([2, 5]));
+assert.equal(botched.botches, 1);
+assert.equal(botched.botched, true);
+assert.equal(evaluateDicePool(2, 10, botchRules, scripted([3, 5])).botched, false);
+
+assert.throws(
+  () => normalizePoolOptions(5, 10, { target: 8, again: 1 }, false, 'rollPool'),
+  /again must be higher/,
+);
+assert.throws(
+  () => normalizePoolOptions(5, 10, { target: 8, again: 11 }, false, 'rollPool'),
+  /again cannot be higher/,
+);
+
+// Roll formats
+const formatted = {
+  expression: '2d6+3',
+  dice: [
+    { max: 6, result: 4 },
+    { max: 6, result: 2 },
+  ],
+  modifiers: [3],
+  total: 9,
+  seed: null,
+};
+assert.equal(formatRollText(formatted), '2d6+3 → [4, 2] + 3 = 9');
+assert.equal(
+  formatRollText(formatted, {
+    template: ({ input, dice: values, total }) => `${input}: ${values.join('+')} = ${total}`,
+  }),
+  '2d6+3: 4+2 = 9',
+);
+
+const unsafe = formatRollHTML({
+  input: `<b>"'`,
+  canZero: false,
+  dice: [{ max: 2, result: 1, label: `<i>"'` }],
+  modifiers: [],
+  total: 1,
+  seed: null,
+});
+assert.ok(!unsafe.includes('<b>') && !unsafe.includes('<i>'));
+assert.ok(unsafe.includes('&lt;b&gt;&quot;&#39;'));
+assert.ok(unsafe.includes('&lt;i&gt;&quot;&#39;</span>'));
+assert.equal(
+  formatRollHTML(formatted, { template: ({ total }) => `<b>${total}</b>` }),
+  '<b><span class="dice-roll-total">9</span></b>',
+);
+
+const summary = JSON.parse(formatRollJSON([{ max: 6, result: 6 }]));
+assert.deepEqual(summary, {
+  version: 1,
+  input: '6',
+  canZero: false,
+  dice: [
+    {
+      max: 6,
+      result: 6,
+      label: null,
+      dropped: false,
+      exploded: false,
+      fromExplosion: false,
+      critical: true,
+      fumble: false,
+    },
+  ],
+  modifiers: [],
+  total: 6,
+  seed: null,
+});
+
+// Command line
+const cliPath = fileURLToPath(new URL('../dist/cli.mjs', import.meta.url));
+/** @param {...string} args */
+const runCli = (...args) =>
+  spawnSync(process.execPath, [cliPath, ...args], { encoding: 'utf8', timeout: 30000 });
+const cliRoll = runCli('2d6+3', '-s', '42');
+assert.equal(cliRoll.status, 0);
+assert.equal(cliRoll.stdout, '2d6+3 → [4, 3] + 3 = 10  (seed 42)\n');
+const cliJson = runCli('2d6+3', '-s', '42', '--json');
+assert.equal(cliJson.status, 0);
+assert.deepEqual(JSON.parse(cliJson.stdout)[0].dice, [
+  { max: 6, result: 4 },
+  { max: 6, result: 3 },
+]);
+for (const args of [['0,6'], ['--bogus', '6']]) {
+  const failed = runCli(...args);
+  assert.equal(failed.status, 2);
+  assert.equal(failed.stdout, '');
+  assert.match(failed.stderr, /Run "tiny-dices --help" for usage\./);
+}
+
+// Roll events
+const events = new TinyDices();
+/** @type {string[]} */
+const order = [];
+/** @type {any[]} */
+const stopped = [];
+events.on('rollstart', () => order.push('rollstart'));
+events.on('diestop', (event) => {
+  order.push('diestop');
+  stopped.push(event);
+});
+events.on('rollend', () => order.push('rollend'));
+const eventRoll = events.roll([6, 20], { seed: 3 });
+assert.deepEqual(order, ['rollstart', 'diestop', 'diestop', 'rollend']);
+assert.deepEqual(
+  stopped.map(({ index, result }) => ({ index, result })),
+  eventRoll.map((die, index) => ({ index, result: die.result })),
+);
+
+const asyncRoll = await events.rollAsync([6, 20], { seed: 3 });
+assert.deepEqual(
+  asyncRoll.map((die) => die.result),
+  eventRoll.map((die) => die.result),
+);
+await assert.rejects(events.rollAsync([6], { signal: AbortSignal.abort() }), {
+  name: 'AbortError',
+});
+events.destroy();
+
+for (const method of /** @type {const} */ (['clearDiceArea', 'destroy'])) {
+  const interrupting = new TinyDices();
+  interrupting.on('rollstart', () => interrupting[method]());
+  await assert.rejects(interrupting.rollAsync([6, 6]), {
+    message: `rollAsync: the roll was interrupted by ${method}().`,
+  });
+  interrupting.destroy();
+}
+
+// Dice groups
+const grouping = new TinyDices();
+grouping.createGroup('attack');
+grouping.createGroup('damage');
+const groupRolls = grouping.rollGroups({ attack: '1d20+5', damage: '4d6kh3-1' }, { seed: 11 });
+for (const [name, roll] of Object.entries(groupRolls)) {
+  if (Array.isArray(roll)) throw new Error(`${name} was not rolled as a dice expression.`);
+  const kept = roll.dice.reduce((sum, die) => (die.dropped ? sum : sum + die.result), 0);
+  const modifier = roll.modifiers.reduce((sum, value) => sum + value, 0);
+  assert.equal(grouping.groupSubtotals[name], kept + modifier);
+  assert.equal(grouping.getGroup(name)?.subtotal, roll.total);
+}
+assert.equal(groupRolls.damage.dice.filter((die) => die.dropped).length, 1);
+grouping.clearGroup('damage');
+assert.equal(grouping.groupSubtotals.damage, 0);
+grouping.destroy();
+
+// Dice skins
+const skinned = new TinyDices();
+skinned.textSkin = '#222';
+skinned.setDiceTypeSkin(20, { bgSkin: 'crimson' });
+skinned.roll([6, 20], { skin: { textSkin: 'gold' } });
+skinned.setDiceSkin(0, { borderSkin: '2px solid blue', textSkin: 'white' });
+assert.equal(skinned.getDiceSkin(0).borderSkin, '2px solid blue');
+assert.equal(skinned.getDiceSkin(0).textSkin, 'white');
+assert.equal(skinned.getDiceSkin(1).bgSkin, 'crimson');
+assert.equal(skinned.getDiceSkin(1).textSkin, 'gold');
+skinned.setDiceSkin(1, { borderSkin: 'url(x)' });
+assert.equal(skinned.getDiceSkin(1).borderSkin, skinned.borderSkin);
+assert.throws(() => skinned.setDiceTypeSkin(6, { glow: 'red' }), /unknown skin "glow"/);
+skinned.clearDiceSkins();
+assert.equal(skinned.getDiceSkin(0).textSkin, 'gold');
+assert.equal(skinned.getDiceSkin(1).bgSkin, skinned.bgSkin);
+skinned.destroy();
+
+// Themes
+const theming = new TinyDices();
+theming.applyTheme('parchment');
+const exported = theming.exportTheme();
+const themed = new TinyDices();
+assert.deepEqual(themed.importTheme(exported, 'saved'), JSON.parse(exported));
+themed.applyTheme('saved');
+assert.deepEqual(themed.getCurrentTheme(), theming.getCurrentTheme());
+assert.equal(themed.exportTheme('saved'), exported);
+assert.throws(
+  () => themed.importTheme('{"bgSkin":"linear-gradient(135deg, red"}'),
+  /invalid value for "bgSkin"/,
+);
+assert.throws(
+  () => themed.importTheme('{"borderSkin":"2px solid red; color: blue"}'),
+  /invalid value for "borderSkin"/,
+);
+assert.throws(() => themed.importTheme('{"glow":"red"}'), /unknown skin "glow"/);
+theming.destroy();
+themed.destroy();
+
+// Roll options
+const optioned = new TinyDices();
+assert.throws(() => optioned.roll([6], { bogus: 1 }), /unknown option "bogus"/);
+assert.throws(() => optioned.rollDice(6, { bogus: 1 }), /rollDice: unknown option "bogus"/);
+assert.throws(() => optioned.rollDices([6], { bogus: 1 }), /rollDices: unknown option "bogus"/);
+optioned.seed = 8;
+const positional = optioned.roll([6, 6, 6, 6], true).map((die) => die.result);
+assert.deepEqual(
+  optioned.roll([6, 6, 6, 6], { canZero: true, seed: 8 }).map((die) => die.result),
+  positional,
+);
+optioned.destroy();
+
+// Dice snapshots
+const saving = new TinyDices();
+saving.createGroup('attack', { label: 'Attack', skin: { bgSkin: 'crimson' } });
+saving.rollGroup('attack', '2d6+3', { seed: 5 });
+const saved = saving.snapshot();
+assert.deepEqual(saved.groups, [{ name: 'attack', label: 'Attack', skin: { bgSkin: 'crimson' } }]);
+saving.destroy();
+
+const loading = new TinyDices();
+loading.restore(JSON.stringify(saved));
+assert.equal(loading.getGroup('attack')?.label, 'Attack');
+assert.deepEqual(loading.getGroup('attack')?.skin, { bgSkin: 'crimson' });
+assert.equal(loading.getGroup('attack')?.dice.length, 2);
+assert.deepEqual(loading.snapshot(), saved);
+assert.throws(() => loading.restore({ ...saved, groups: [{ name: 'attack', label: 4 }] }), /label/);
+assert.equal(loading.getGroup('attack')?.dice.length, 2);
+loading.destroy();
+
+const mixed = new TinyDices();
+mixed.roll('4d6kh3+2', { seed: 9 });
+mixed.lockDice(0);
+mixed.rollFaces('fudge', { count: 2, seed: 4 });
+mixed.rollPool({ count: 3, sides: 10, target: 8, again: 10, seed: 2 });
+const mixedSnapshot = mixed.snapshot();
+assert.equal(mixedSnapshot.dice.length, mixed.trayDice.length);
+mixed.restore(mixedSnapshot);
+assert.deepEqual(mixed.snapshot(), mixedSnapshot);
+assert.equal(mixed.trayDice.filter((die) => die.dropped).length, 1);
+mixed.destroy();
+
+dice.on('rollend', ({ dice: results }) => console.log('rollend', results.length));
+dice.enableHistory(10);
+dice.reducedMotion = true;
+console.log(dice.prefersReducedMotion());
+
 console.log(dice.roll('6'));
-console.log(dice.roll([6, 10]));
+dice.applyTheme('parchment');
+console.log(dice.exportTheme());
+dice.setDiceTypeSkin(20, { bgSkin: 'crimson' });
+console.log(dice.roll([6, 10], { skin: { textSkin: 'gold' } }));
+console.log(dice.roll('4d6kh3+2'));
+console.log(dice.probability('2d6+3').atLeast(15));
+console.log(dice.formatRoll(dice.roll('2d6+3'), 'markdown'));
+
+dice.seed = 'tiny-dices';
+console.log(dice.roll('2d20kl1+5'));
 
 console.log(dice.rollDices([6, 10]));
 console.log(dice.rollDice(6));
+console.log(dice.rollFaces('fudge', { count: 4 }));
+assert.equal(dice.rollFaces('fudge', { count: 2, canZero: false, seed: 7 }).length, 2);
+assert.throws(() => dice.rollFaces('fudge', { canZero: true }), /option "canZero"/);
+
+dice.lockDice(0);
+console.log(dice.rerollUnlocked());
+console.log(dice.restore(JSON.stringify(dice.snapshot())));
+
+console.log(dice.rollPool({ count: 5, sides: 10, target: 8, again: 10 }));
+
+console.log(dice.throwDice(1200, -300));
+
+dice.soundVolume = 0.8;
+console.log(dice.soundVolume, dice.soundMuted, dice.getSound('land'));
+
+dice.animation = { duration: 1200, easing: 'ease-out', stagger: 100 };
+console.log(dice.animation, dice.roll('6,6', { animation: { duration: 500 } }));
+
+console.log(dice.roll('20,8', { labels: ['Attack', 'Damage'], seed: 'demo', stopTime: 800 }));
+
+dice.rdChangerAmount = 40;
+assert.equal(dice.animation.flickerChanges, 40);
+dice.rdChangerAmount = -1;
+assert.equal(dice.rdChangerAmount, 40);
+console.log(dice.roll('20', { animation: { flicker: true } }));
+
+dice.createGroup('attack', { label: 'Attack' });
+dice.createGroup('damage', { label: 'Damage' });
+console.log(dice.rollGroups({ attack: '1d20+5', damage: '2d6+3' }), dice.groupSubtotals);
+
+console.log(defineTinyDicesElement(), FORWARDED_EVENTS);
+console.log(REACT_EVENT_PROPS);
+
+dice.layout = 'scatter';
+console.log(dice.layout);
+
+console.log(dice.history.exportCSV());
 
 dice.destroy();
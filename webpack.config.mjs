@@ -62,4 +62,7 @@ const addModule = (entry, library, isClass = false) => {
 // Main
 addModule('./src/build.mjs', 'TinyDices', true);
 
+// <tiny-dices> element, registered by the page with TinyDicesElement.defineTinyDicesElement()
+addModule('./src/TinyDicesElement.mjs', 'TinyDicesElement');
+
 export default modules;